@@ -0,0 +1,256 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "crypto";
+import logger from "../logger/index.js";
+import { DriveApiClient } from "../utils/driveApi.js";
+
+/**
+ * Linked Google Accounts
+ * Stores one Google account per Telegram user. Refresh tokens are encrypted
+ * with AES-256-GCM before they reach storage; access tokens only live in memory.
+ */
+
+// Access tokens are renewed this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+export class GoogleAccountStore {
+  /**
+   * @param {Collection} collection - Storage collection holding the accounts (userId -> account)
+   * @param {Object} options - Store options
+   * @param {GoogleOAuthClient} options.oauth - Client used to refresh and revoke tokens
+   * @param {string} options.encryptionKey - Secret the refresh tokens are encrypted with
+   */
+  constructor(collection, { oauth, encryptionKey }) {
+    this.collection = collection;
+    this.oauth = oauth;
+    this.key = encryptionKey
+      ? scryptSync(encryptionKey, "telegram-gdrive-bot:google-accounts", 32)
+      : null;
+    this.accessTokens = new Map(); // userId -> { accessToken, expiresAt }
+    this.pendingRefreshes = new Map(); // userId -> Promise<string>
+  }
+
+  get size() {
+    return this.collection.size;
+  }
+
+  /**
+   * Public details of a linked account
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} { email, displayName, scope, connectedAt, lastUsedAt, uploadFolderId }
+   */
+  get(userId) {
+    const account = this.collection.get(userId);
+    if (!account) {
+      return null;
+    }
+
+    const { refreshToken, ...details } = account;
+    return details;
+  }
+
+  isLinked(userId) {
+    return this.collection.has(userId);
+  }
+
+  /**
+   * Link a Google account, replacing any account linked before
+   * @param {number} userId - Telegram user ID
+   * @param {Object} tokens - Tokens from the device flow
+   * @returns {Promise<Object>} Public details of the linked account
+   */
+  async link(userId, tokens) {
+    if (!tokens.refreshToken) {
+      throw new Error("Google did not issue a refresh token");
+    }
+
+    const profile = await new DriveApiClient(
+      bearerAuth(async () => tokens.accessToken)
+    ).getUser();
+
+    this.collection.set(userId, {
+      email: profile.emailAddress || null,
+      displayName: profile.displayName || null,
+      scope: tokens.scope,
+      refreshToken: this.encrypt(tokens.refreshToken),
+      connectedAt: Date.now(),
+      lastUsedAt: null,
+    });
+    this.accessTokens.set(String(userId), {
+      accessToken: tokens.accessToken,
+      expiresAt: tokens.expiresAt,
+    });
+
+    logger.info("Google account linked", { userId });
+    return this.get(userId);
+  }
+
+  /**
+   * Revoke a user's tokens at Google and delete them
+   * The tokens are deleted even if Google can't be reached.
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} { revoked } or null if no account was linked
+   */
+  async unlink(userId) {
+    const account = this.collection.get(userId);
+    if (!account) {
+      return null;
+    }
+
+    let revoked = false;
+    try {
+      revoked = await this.oauth.revokeToken(this.decrypt(account.refreshToken));
+    } catch (error) {
+      logger.warn("Stored Google token could not be decrypted", {
+        userId,
+        error: error.message,
+      });
+    }
+
+    this.forget(userId);
+    logger.info("Google account unlinked", { userId, revoked });
+    return { revoked };
+  }
+
+  forget(userId) {
+    this.collection.delete(userId);
+    this.accessTokens.delete(String(userId));
+  }
+
+  /**
+   * Remember the folder a linked account's uploads go to
+   * @param {number} userId - Telegram user ID
+   * @param {string} folderId - Google Drive folder ID
+   */
+  setUploadFolder(userId, folderId) {
+    const account = this.collection.get(userId);
+    if (account) {
+      this.collection.set(userId, { ...account, uploadFolderId: folderId });
+    }
+  }
+
+  /**
+   * Get a valid access token, refreshing it when needed
+   * A refresh token Google no longer accepts unlinks the account.
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(userId) {
+    const key = String(userId);
+    const cached = this.accessTokens.get(key);
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return cached.accessToken;
+    }
+
+    if (!this.pendingRefreshes.has(key)) {
+      this.pendingRefreshes.set(
+        key,
+        this.refresh(userId).finally(() => this.pendingRefreshes.delete(key))
+      );
+    }
+    return this.pendingRefreshes.get(key);
+  }
+
+  async refresh(userId) {
+    const account = this.collection.get(userId);
+    if (!account) {
+      throw new Error("No Google account is linked, use /connect first");
+    }
+
+    let refreshToken;
+    try {
+      refreshToken = this.decrypt(account.refreshToken);
+    } catch {
+      // TOKEN_ENCRYPTION_KEY changed; the token is useless now
+      this.forget(userId);
+      throw new Error(
+        "The linked Google account can no longer be used, use /connect to link it again"
+      );
+    }
+
+    try {
+      const tokens = await this.oauth.refreshAccessToken(refreshToken);
+      this.accessTokens.set(String(userId), {
+        accessToken: tokens.accessToken,
+        expiresAt: tokens.expiresAt,
+      });
+      this.collection.set(userId, { ...account, lastUsedAt: Date.now() });
+      return tokens.accessToken;
+    } catch (error) {
+      if (error.code === "OAUTH_REVOKED") {
+        this.forget(userId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drive API client acting as the user's linked account
+   * @param {number} userId - Telegram user ID
+   * @returns {DriveApiClient|null} Client, or null if no account is linked
+   */
+  getDriveClient(userId) {
+    if (!this.isLinked(userId)) {
+      return null;
+    }
+
+    return new DriveApiClient(bearerAuth(() => this.getAccessToken(userId)));
+  }
+
+  encrypt(plaintext) {
+    if (!this.key) {
+      throw new Error("TOKEN_ENCRYPTION_KEY is not configured");
+    }
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", this.key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext, "utf8"),
+      cipher.final(),
+    ]);
+
+    return ["v1", iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+      .join(":");
+  }
+
+  decrypt(payload) {
+    if (!this.key) {
+      throw new Error("TOKEN_ENCRYPTION_KEY is not configured");
+    }
+
+    const [version, iv, tag, ciphertext] = String(payload).split(":");
+    if (version !== "v1" || !ciphertext) {
+      throw new Error("Unsupported token format");
+    }
+
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      this.key,
+      Buffer.from(iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+}
+
+/**
+ * Drive API auth sending a user's OAuth access token
+ * @param {Function} getAccessToken - async () => access token
+ * @returns {Object} Auth object for DriveApiClient
+ */
+function bearerAuth(getAccessToken) {
+  return {
+    type: "user_oauth",
+    getRequestAuth: async () => ({
+      headers: { Authorization: `Bearer ${await getAccessToken()}` },
+      params: {},
+    }),
+  };
+}
@@ -0,0 +1,351 @@
+import axios from "axios";
+import { randomBytes } from "crypto";
+import config from "../config/index.js";
+import logger from "../logger/index.js";
+
+/**
+ * Google OAuth 2.0 Client
+ * Links Google accounts through one of two flows:
+ * - device: the bot shows a short code, the user enters it on
+ *   google.com/device, and the bot polls until Google issues the tokens.
+ *   Google only allows the drive.file and drive.appdata Drive scopes here.
+ * - web: the user opens a sign-in link and Google redirects the browser to
+ *   the bot's redirect URL with an authorization code. Any scope is allowed.
+ * Also refreshes and revokes tokens.
+ */
+
+const AUTHORIZATION_URL = "https://accounts.google.com/o/oauth2/v2/auth";
+const DEVICE_CODE_URL = "https://oauth2.googleapis.com/device/code";
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const REVOKE_URL = "https://oauth2.googleapis.com/revoke";
+
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+// How long a web sign-in link waits for Google's redirect
+const WEB_FLOW_TIMEOUT_MS = 10 * 60 * 1000;
+
+const DRIVE_SCOPE = "https://www.googleapis.com/auth/drive";
+const DRIVE_READONLY_SCOPE = "https://www.googleapis.com/auth/drive.readonly";
+
+export class GoogleOAuthClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} options.clientSecret - OAuth client secret
+   * @param {string[]} options.scopes - Scopes requested when linking
+   * @param {string} options.redirectUrl - Redirect URL of the web flow (empty for the device flow)
+   */
+  constructor({ clientId, clientSecret, scopes, redirectUrl }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes;
+    this.redirectUrl = redirectUrl;
+    this.pendingWebFlows = new Map(); // state -> finish(error, code)
+  }
+
+  /**
+   * Start a sign-in with the configured flow
+   * @returns {Promise<Object>} Flow for waitForTokens(); web flows have
+   *   { authorizationUrl }, device flows { userCode, verificationUrl }
+   */
+  async startFlow() {
+    return this.redirectUrl ? this.startWebFlow() : this.startDeviceFlow();
+  }
+
+  /**
+   * Wait until the user approves or denies a sign-in
+   * @param {Object} flow - Result of startFlow()
+   * @param {Object} options - { signal } stops waiting
+   * @returns {Promise<Object>} Tokens ({ accessToken, refreshToken, expiresAt, scope })
+   * @throws {Error} With code "OAUTH_DENIED", "OAUTH_EXPIRED" or "CANCELLED"
+   */
+  waitForTokens(flow, options) {
+    return flow.type === "web"
+      ? this.waitForWebFlow(flow, options)
+      : this.pollDeviceFlow(flow, options);
+  }
+
+  /**
+   * Start an authorization code sign-in
+   * @returns {Object} { type, state, authorizationUrl, expiresAt }
+   */
+  startWebFlow() {
+    const state = randomBytes(24).toString("base64url");
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUrl,
+      response_type: "code",
+      scope: this.scopes.join(" "),
+      // A refresh token is only issued with offline access and fresh consent
+      access_type: "offline",
+      prompt: "consent",
+      state,
+    });
+
+    return {
+      type: "web",
+      state,
+      authorizationUrl: `${AUTHORIZATION_URL}?${params}`,
+      expiresAt: Date.now() + WEB_FLOW_TIMEOUT_MS,
+    };
+  }
+
+  /**
+   * Wait for Google's redirect of a web sign-in, then exchange its code
+   * @param {Object} flow - Result of startWebFlow()
+   * @param {Object} options - Wait options
+   * @param {AbortSignal} options.signal - Stops waiting
+   * @returns {Promise<Object>} Tokens ({ accessToken, refreshToken, expiresAt, scope })
+   */
+  async waitForWebFlow(flow, { signal } = {}) {
+    const code = await new Promise((resolve, reject) => {
+      const finish = (error, authorizationCode) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        this.pendingWebFlows.delete(flow.state);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(authorizationCode);
+        }
+      };
+      const onAbort = () =>
+        finish(createOAuthError("Google account linking was cancelled", "CANCELLED"));
+      const timer = setTimeout(
+        () => finish(createOAuthError("The sign-in link expired", "OAUTH_EXPIRED")),
+        flow.expiresAt - Date.now()
+      );
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.pendingWebFlows.set(flow.state, finish);
+    });
+
+    const data = await this.post(TOKEN_URL, {
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      code,
+      redirect_uri: this.redirectUrl,
+      grant_type: "authorization_code",
+    });
+    return toTokens(data);
+  }
+
+  /**
+   * Hand Google's redirect to the web sign-in waiting for it
+   * @param {string} state - state parameter of the redirect
+   * @param {Object} result - { code, error } parameters of the redirect
+   * @returns {boolean} False if no sign-in is waiting for this state
+   */
+  completeWebFlow(state, { code, error }) {
+    const finish = this.pendingWebFlows.get(state);
+    if (!finish) {
+      return false;
+    }
+
+    if (error === "access_denied") {
+      finish(createOAuthError("Google account access was denied", "OAUTH_DENIED"));
+    } else if (!code) {
+      finish(new Error(`Google sign-in failed: ${error || "no authorization code"}`));
+    } else {
+      finish(null, code);
+    }
+    return true;
+  }
+
+  /**
+   * Start a device authorization
+   * @returns {Promise<Object>} { type, deviceCode, userCode, verificationUrl, expiresAt, intervalMs }
+   */
+  async startDeviceFlow() {
+    const data = await this.post(DEVICE_CODE_URL, {
+      client_id: this.clientId,
+      scope: this.scopes.join(" "),
+    });
+
+    return {
+      type: "device",
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUrl: data.verification_url || data.verification_uri,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      intervalMs: (data.interval || 5) * 1000,
+    };
+  }
+
+  /**
+   * Poll until the user approves or denies the device authorization
+   * @param {Object} flow - Result of startDeviceFlow()
+   * @param {Object} options - Poll options
+   * @param {AbortSignal} options.signal - Stops polling
+   * @returns {Promise<Object>} Tokens ({ accessToken, refreshToken, expiresAt, scope })
+   * @throws {Error} With code "OAUTH_DENIED", "OAUTH_EXPIRED" or "CANCELLED"
+   */
+  async pollDeviceFlow(flow, { signal } = {}) {
+    let intervalMs = flow.intervalMs;
+
+    while (Date.now() < flow.expiresAt) {
+      await sleep(intervalMs, signal);
+
+      try {
+        const data = await this.post(TOKEN_URL, {
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          device_code: flow.deviceCode,
+          grant_type: DEVICE_GRANT_TYPE,
+        });
+        return toTokens(data);
+      } catch (error) {
+        switch (error.oauthError) {
+          case "authorization_pending":
+            continue;
+          case "slow_down":
+            intervalMs += 5000;
+            continue;
+          case "access_denied":
+            throw createOAuthError("Google account access was denied", "OAUTH_DENIED");
+          case "expired_token":
+            throw createOAuthError("The sign-in code expired", "OAUTH_EXPIRED");
+          default:
+            throw error;
+        }
+      }
+    }
+
+    throw createOAuthError("The sign-in code expired", "OAUTH_EXPIRED");
+  }
+
+  /**
+   * Get a new access token for a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} Tokens ({ accessToken, expiresAt, scope })
+   * @throws {Error} With code "OAUTH_REVOKED" if the grant is no longer valid
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const data = await this.post(TOKEN_URL, {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: refreshToken,
+        grant_type: "refresh_token",
+      });
+      return toTokens(data);
+    } catch (error) {
+      if (error.oauthError === "invalid_grant") {
+        throw createOAuthError(
+          "Google account access was revoked, use /connect to link it again",
+          "OAUTH_REVOKED"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a token at Google (revoking a refresh token also revokes its access tokens)
+   * @param {string} token - Refresh or access token
+   * @returns {Promise<boolean>} True if Google confirmed the revocation
+   */
+  async revokeToken(token) {
+    try {
+      await this.post(REVOKE_URL, { token });
+      return true;
+    } catch (error) {
+      // Tokens that are already invalid can't be revoked again
+      logger.warn("Failed to revoke Google token", { error: error.message });
+      return false;
+    }
+  }
+
+  async post(url, params) {
+    try {
+      const response = await axios.post(url, new URLSearchParams(params).toString(), {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 15000,
+      });
+      return response.data;
+    } catch (error) {
+      const oauthError = error.response?.data?.error;
+      if (!oauthError) {
+        throw error;
+      }
+
+      const wrapped = new Error(
+        `Google OAuth error: ${error.response.data.error_description || oauthError}`
+      );
+      wrapped.oauthError = oauthError;
+      throw wrapped;
+    }
+  }
+}
+
+/**
+ * Whether granted scopes let the account read every file it can open
+ * @param {string|string[]} scope - Granted or requested scopes
+ * @returns {boolean} True with the drive or drive.readonly scope
+ */
+export function canReadAllFiles(scope) {
+  const scopes = toScopeList(scope);
+  return scopes.includes(DRIVE_SCOPE) || scopes.includes(DRIVE_READONLY_SCOPE);
+}
+
+/**
+ * Whether granted scopes let the account add files to any of its folders
+ * Other Drive scopes only reach folders the bot created.
+ * @param {string|string[]} scope - Granted or requested scopes
+ * @returns {boolean} True with the drive scope
+ */
+export function canWriteAllFolders(scope) {
+  return toScopeList(scope).includes(DRIVE_SCOPE);
+}
+
+function toScopeList(scope) {
+  return Array.isArray(scope) ? scope : String(scope || "").split(/\s+/);
+}
+
+function toTokens(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+    scope: data.scope || "",
+  };
+}
+
+function createOAuthError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createOAuthError("Google account linking was cancelled", "CANCELLED"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Shared client configured from GOOGLE_OAUTH_* settings
+const googleOAuth = new GoogleOAuthClient({
+  clientId: config.GOOGLE_OAUTH_CLIENT_ID,
+  clientSecret: config.GOOGLE_OAUTH_CLIENT_SECRET,
+  scopes: config.GOOGLE_OAUTH_SCOPES,
+  redirectUrl: config.GOOGLE_OAUTH_REDIRECT_URL,
+});
+
+export default googleOAuth;
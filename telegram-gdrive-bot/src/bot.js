@@ -3,34 +3,168 @@ import { message } from "telegraf/filters";
 import dotenv from "dotenv";
 import path from "path";
 import fs from "fs-extra";
+import axios from "axios";
+import http from "http";
+import https from "https";
+import { pipeline } from "stream";
+import { pathToFileURL } from "url";
 import config from "./config/index.js";
 import logger from "./logger/index.js";
+import storage from "./storage/index.js";
+import { HttpServer } from "./server/httpServer.js";
+import { registerHealthRoutes } from "./server/healthRoutes.js";
+import { registerOAuthRoutes } from "./server/oauthRoutes.js";
+import { JobQueue, JOB_PRIORITY } from "./queue/jobQueue.js";
+import { FileCache } from "./cache/fileCache.js";
+import googleOAuth, {
+  canReadAllFiles,
+  canWriteAllFolders,
+} from "./auth/googleOAuth.js";
+import { GoogleAccountStore } from "./auth/googleAccounts.js";
+import { DriveWatcher } from "./watch/driveWatcher.js";
+import tempStorage from "./utils/tempStorage.js";
+import driveApi, { FOLDER_MIME_TYPE } from "./utils/driveApi.js";
+import metrics, {
+  fileRequestsTotal,
+  fileRequestFailuresTotal,
+  fileCacheRequestsTotal,
+  queueDepth,
+} from "./utils/metrics.js";
+import { getErrorClass } from "./middleware/errorHandler.js";
 import {
   parseGoogleDriveUrl,
   isValidGoogleDriveUrl,
+  isGoogleDriveFolderUrl,
+  parseGoogleDriveFolderUrl,
+  getGoogleDocType,
+  getGoogleDocTypeFromMime,
+  parseSheetGid,
 } from "./utils/urlParser.js";
-import { downloadGoogleDriveFile } from "./utils/googleDrive.js";
-import { getFileType, validateFileSize } from "./utils/fileHandler.js";
+import {
+  downloadGoogleDriveFile,
+  getFileInfo,
+  listFolderContents,
+  listDriveFolder,
+  listSpreadsheetTabs,
+} from "./utils/googleDrive.js";
+import { matchFileNames, isUnambiguous } from "./utils/nameMatcher.js";
+import {
+  getFileType,
+  validateFileSize,
+  createZipArchive,
+  sanitizeFileName,
+} from "./utils/fileHandler.js";
+import {
+  ProgressStream,
+  ProgressTracker,
+  formatProgressDetails,
+} from "./utils/progress.js";
+import { splitFile, needsSplitting } from "./utils/fileSplitter.js";
 
 // Load environment variables
 dotenv.config();
 
+// A job interrupted this many times is dropped instead of resumed again,
+// so a file that crashes the bot cannot cause a restart loop
+const MAX_JOB_RESUMES = 3;
+
+// Changed files a single watch check delivers; the rest are only listed
+const MAX_WATCH_DELIVERIES = 10;
+
+// Folders /get searches at most, starting with the Drive folder itself
+const MAX_LIBRARY_SEARCH_FOLDERS = 25;
+
+// Drive copy errors (403) saying the linked account can't copy the source file
+const COPY_SOURCE_DENIED_REASONS = ["cannotCopyFile", "appNotAuthorizedToFile"];
+
+// Title of the processing message for each transfer phase
+const PROGRESS_PHASES = {
+  download: ["📥", "Downloading from Google Drive"],
+  upload: ["📤", "Uploading to Telegram"],
+  receive: ["📥", "Receiving from Telegram"],
+  store: ["☁️", "Uploading to Google Drive"],
+};
+
 /**
  * Enhanced Telegram Bot Class with Dynamic Modules
  * Includes File Manager and Admin Dashboard with dynamic keyboards
  */
 class EnhancedTelegramGDriveBot {
   constructor() {
-    this.bot = new Telegraf(config.BOT_TOKEN);
-    this.userSessions = new Map();
-    this.userStats = new Map();
-    this.fileHistory = new Map();
+    // Webhook replies are disabled so API calls always return real results
+    // (message IDs are needed to edit progress messages)
+    this.bot = new Telegraf(config.BOT_TOKEN, {
+      telegram: { webhookReply: false, ...this.getBotApiOptions() },
+    });
+    this.httpServer = null;
+    this.updateMode = null;
+    this.storage = storage;
+    this.userSessions = this.storage.collection("userSessions");
+    this.userStats = this.storage.collection("userStats");
+    this.fileHistory = this.storage.collection("fileHistory");
+    this.userPreferences = this.storage.collection("userPreferences");
+    this.downloadJobs = this.storage.collection("downloadJobs"); // jobId -> persisted job
+    this.fileCache = new FileCache(this.storage.collection("fileCache"), {
+      ttlMs: config.FILE_CACHE_TTL_MS,
+      maxEntries: config.FILE_CACHE_MAX_ENTRIES,
+    });
+    this.googleAccounts = new GoogleAccountStore(
+      this.storage.collection("googleAccounts"),
+      { oauth: googleOAuth, encryptionKey: config.TOKEN_ENCRYPTION_KEY }
+    );
+    this.pendingConnections = new Map(); // userId -> AbortController of a running /connect
+    this.chatDrives = this.storage.collection("chatDrives"); // chatId -> { driveIds, updatedAt, updatedBy }
+    this.driveWatcher = new DriveWatcher(this.storage.collection("driveWatches"), {
+      intervalMs: config.WATCH_POLL_INTERVAL_MS,
+      maxPerChat: config.MAX_WATCHES_PER_CHAT,
+      inspect: (watch) => this.inspectWatchTarget(watch),
+      onChanges: (watch, changes) => this.deliverWatchChanges(watch, changes),
+      onFailed: (watch, error) => this.reportWatchDropped(watch, error),
+    });
     this.adminUsers = new Set(config.ADMIN_USER_IDS || []);
-    this.cooldowns = new Map(); // NEW: cooldowns for actions
+    this.cooldowns = this.storage.collection("cooldowns"); // NEW: cooldowns for actions
+    this.activeDownloads = new Map(); // "chatId:messageId" -> { controller, userId, progress, jobId }
+    this.downloadQueue = new JobQueue({
+      concurrency: config.MAX_CONCURRENT_DOWNLOADS,
+      perUserConcurrency: config.MAX_CONCURRENT_DOWNLOADS_PER_USER,
+    });
 
     this.setupMiddleware();
     this.setupHandlers();
     this.setupErrorHandling();
+    this.setupMetrics();
+  }
+
+  /**
+   * Register metrics computed from bot state at scrape time
+   */
+  setupMetrics() {
+    metrics.gauge(
+      "bot_active_users",
+      "Users active within the last 24 hours",
+      () =>
+        Array.from(this.userStats.values()).filter(
+          (stats) => stats.last_activity > Date.now() - 24 * 60 * 60 * 1000
+        ).length
+    );
+  }
+
+  /**
+   * Whether updates are currently being received (polling loop or webhook server)
+   * @returns {boolean} True if the update transport is alive
+   */
+  isUpdateTransportAlive() {
+    if (this.updateMode === "polling") {
+      return Boolean(
+        this.bot.polling && !this.bot.polling.abortController.signal.aborted
+      );
+    }
+
+    if (this.updateMode === "webhook") {
+      return Boolean(this.httpServer?.isListening());
+    }
+
+    return false;
   }
 
   // NEW: Content change detection utility
@@ -82,6 +216,16 @@ class EnhancedTelegramGDriveBot {
     return 0;
   }
 
+  // Drop persisted cooldowns that can no longer block anything
+  pruneCooldowns(maxAgeMs = 60 * 60 * 1000) {
+    const now = Date.now();
+    for (const [key, lastAction] of this.cooldowns.entries()) {
+      if (now - lastAction > maxAgeMs) {
+        this.cooldowns.delete(key);
+      }
+    }
+  }
+
   /**
    * Setup middleware for the bot
    */
@@ -119,7 +263,7 @@ class EnhancedTelegramGDriveBot {
 • 🔄 **Smart Downloads** - Intelligent file processing with progress tracking\n\n
 **How to use:**
 • Send me any Google Drive sharing link
-• I'll download the file (up to ${config.MAX_FILE_SIZE_MB}MB)
+• I'll download the file (up to ${config.MAX_FILE_SIZE_MB}MB, ${this.describeBotApiMode()})
 • Use the menu below to explore all features!\n\n
 **Quick Start:** Just paste your Google Drive link and I'll handle the rest! 🔗`;
 
@@ -143,14 +287,21 @@ class EnhancedTelegramGDriveBot {
 *🤖 Enhanced Google Drive Bot Help*
 
 *📁 File Operations:*
-• Drag & drop Google Drive links for instant download
+• Drag & drop Google Drive links for instant download${
+          config.DRIVE_UPLOAD_ENABLED &&
+          (config.GOOGLE_OAUTH_ENABLED || config.DRIVE_UPLOAD_FOLDER_ID)
+            ? "\n• Send documents, photos, videos or audio to save them to Google Drive"
+            : ""
+        }
 • Smart file type detection and optimization
 • Automatic file organization and categorization
 
 *🔗 Supported Link Formats:*
 • https://drive.google.com/file/d/[FILE_ID]/view
 • https://drive.google.com/open?id=[FILE_ID]
-• https://docs.google.com/document/d/[FILE_ID]
+• https://docs.google.com/document/d/[FILE_ID] (exported as PDF, DOCX, TXT, Markdown or EPUB)
+• Google Sheets (XLSX, CSV, PDF, ODS) and Slides (PPTX, PDF)
+• https://drive.google.com/drive/folders/[FOLDER_ID]
 
 *📊 Advanced Features:*
 • File Manager for browsing downloaded content
@@ -160,13 +311,46 @@ class EnhancedTelegramGDriveBot {
 *⚡ Quick Commands:*
 /start - Main menu with all features
 /files - Open File Manager
+/queue - See and cancel your queued downloads${
+          config.GOOGLE_OAUTH_ENABLED || config.DRIVE_UPLOAD_FOLDER_ID
+            ? "\n/list - Browse your Google Drive folder\n/get <name> - Fetch a file from it by name or pattern"
+            : ""
+        }${
+          config.WATCH_ENABLED
+            ? "\n/watch <link> - Get new and changed files of a Drive file or folder\n/watches - See and stop this chat's watches"
+            : ""
+        }${
+          config.GOOGLE_OAUTH_ENABLED
+            ? `\n/connect - Link your Google account ${
+                canReadAllFiles(config.GOOGLE_OAUTH_SCOPES)
+                  ? "for private files"
+                  : "to store files in it"
+              }\n/disconnect - Unlink your Google account`
+            : ""
+        }
 /admin - Admin Dashboard (authorized users)
+/purgecache - Clear cached files (admins)${
+          config.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE
+            ? "\n/drives - Choose the Shared Drives a chat may use (admins)"
+            : ""
+        }
 /stats - Your usage statistics
 
 *🔧 Technical Specs:*
 • Max file size: ${config.MAX_FILE_SIZE_MB}MB
+• Upload limit: ${config.TELEGRAM_UPLOAD_LIMIT_MB}MB (${this.describeBotApiMode()})${
+          config.FILE_SPLIT_ENABLED
+            ? `\n• Larger files arrive in numbered parts of up to ${config.FILE_SPLIT_PART_SIZE_MB}MB`
+            : ""
+        }
 • Supported: PDFs, Videos, Images, Documents
-• Files must be publicly accessible
+• Files must be publicly accessible${
+          config.GOOGLE_OAUTH_ENABLED
+            ? canReadAllFiles(config.GOOGLE_OAUTH_SCOPES)
+              ? " or readable by your linked Google account"
+              : " or stored by me in your linked Google account"
+            : ""
+        }
 
 Need more help? Use the buttons below! 👇
 `,
@@ -209,6 +393,7 @@ Need more help? Use the buttons below! 👇
 👥 Total Users: ${totalUsers}
 📥 Total Downloads: ${totalDownloads}
 📁 Max File Size: ${config.MAX_FILE_SIZE_MB}MB
+📤 Upload Limit: ${config.TELEGRAM_UPLOAD_LIMIT_MB}MB (${this.describeBotApiMode()})
 🚀 Bot Version: Enhanced v2.0
 
 *🔧 Available Modules:*
@@ -222,11 +407,31 @@ Need more help? Use the buttons below! 👇
       );
     });
 
+    // Files sent to the bot are stored in Google Drive
+    this.bot.on(
+      [message("document"), message("photo"), message("video"), message("audio")],
+      async (ctx) => {
+        await this.handleIncomingFile(ctx);
+      }
+    );
+
     // Google Drive link processing with enhanced features
     this.bot.on(message("text"), async (ctx) => {
       const messageText = ctx.message.text;
 
-      if (isValidGoogleDriveUrl(messageText)) {
+      if (isGoogleDriveFolderUrl(messageText)) {
+        await this.handleGoogleDriveFolderLink(ctx, messageText);
+      } else if (
+        isValidGoogleDriveUrl(messageText) &&
+        getGoogleDocType(messageText)
+      ) {
+        await this.showExportFormatMenu(
+          ctx,
+          parseGoogleDriveUrl(messageText),
+          getGoogleDocType(messageText),
+          { gid: parseSheetGid(messageText) }
+        );
+      } else if (isValidGoogleDriveUrl(messageText)) {
         await this.handleEnhancedGoogleDriveLink(ctx, messageText);
       } else if (!messageText.startsWith("/")) {
         const suggestionKeyboard = Markup.inlineKeyboard([
@@ -255,6 +460,7 @@ Need more help? Use the buttons below! 👇
         `*📊 Your Statistics*\n\n` +
           `• Messages sent: ${stats.message_count}\n` +
           `• Files downloaded: ${stats.download_count}\n` +
+          `• Files saved to Drive: ${stats.upload_count || 0}\n` +
           `• First seen: ${new Date(stats.first_seen).toLocaleString()}\n` +
           `• Last activity: ${new Date(stats.last_activity).toLocaleString()}`,
         {
@@ -305,6 +511,7 @@ Need more help? Use the buttons below! 👇
           `👥 Total Users: ${totalUsers}\n` +
           `📥 Total Downloads: ${totalDownloads}\n` +
           `📁 Max File Size: ${config.MAX_FILE_SIZE_MB}MB\n` +
+          `📤 Upload Limit: ${config.TELEGRAM_UPLOAD_LIMIT_MB}MB (${this.describeBotApiMode()})\n` +
           `🚀 Bot Version: Enhanced v2.0\n\n` +
           `*🔧 Available Modules:*\n` +
           `📁 File Manager: ✅ Active\n` +
@@ -317,6 +524,36 @@ Need more help? Use the buttons below! 👇
       );
     });
 
+    // ====================
+    // ⏳ DOWNLOAD QUEUE MODULE
+    // ====================
+
+    this.bot.command("queue", async (ctx) => {
+      await this.showQueueOverview(ctx);
+    });
+
+    this.bot.action("q_refresh", async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.showQueueOverview(ctx, { edit: true });
+    });
+
+    this.bot.action(/^q_cancel_([a-z0-9]+)$/, async (ctx) => {
+      const job = this.downloadQueue.get(ctx.match[1]);
+
+      if (
+        !job ||
+        job.status !== "pending" ||
+        (job.userId !== ctx.from.id && !this.isAdmin(ctx.from.id))
+      ) {
+        await ctx.answerCbQuery("This download is no longer waiting in the queue.");
+      } else {
+        this.downloadQueue.cancel(job.id);
+        await ctx.answerCbQuery("⏹️ Removed from the queue");
+      }
+
+      await this.showQueueOverview(ctx, { edit: true });
+    });
+
     // ====================
     // 📁 FILE MANAGER MODULE
     // ====================
@@ -367,34 +604,15 @@ Need more help? Use the buttons below! 👇
         return;
       }
 
-      try {
-        // You may want to check if the file still exists in storage
-        // For this example, we assume you have a way to retrieve the file
-        // If you store the file path, use it here:
-        if (!fileInfo.driveFileId) {
-          await ctx.reply("❌ Original Google Drive file ID not found.");
-          return;
-        }
-        // Re-download from Google Drive if needed
-        const downloadResult = await downloadGoogleDriveFile(
-          fileInfo.driveFileId
-        );
-        if (!downloadResult.success) {
-          throw new Error(downloadResult.error || "Download failed");
-        }
-        const { filePath, fileName, fileSize } = downloadResult;
-        const fileType = await getFileType(filePath);
-
-        await this.sendFileByType(ctx, filePath, fileName, fileType);
-
-        await fs.remove(filePath); // Clean up temp file
-      } catch (error) {
-        logger.error("Error downloading file from File Manager", {
-          error: error.message,
-          stack: error.stack,
-        });
-        await ctx.reply("❌ Could not download the file. Please try again.");
+      // You may want to check if the file still exists in storage
+      // For this example, we assume you have a way to retrieve the file
+      // If you store the file path, use it here:
+      if (!fileInfo.driveFileId) {
+        await ctx.reply("❌ Original Google Drive file ID not found.");
+        return;
       }
+
+      this.enqueueJob(ctx, fileInfo.name, "redownload", { entry: fileInfo });
     });
 
     // Handler for deleting a file from File Manager
@@ -423,6 +641,280 @@ Need more help? Use the buttons below! 👇
       });
     });
 
+    // ====================
+    // 📝 GOOGLE DOCS EXPORT MODULE
+    // ====================
+
+    this.bot.action(/^exp_([dsp])_([a-z0-9]+)_([a-zA-Z0-9_-]+)$/, async (ctx) => {
+      const docType = this.getDocTypeFromCode(ctx.match[1]);
+      const exportFormat = ctx.match[2];
+      const fileId = ctx.match[3];
+      const formatInfo = config.GOOGLE_EXPORT_FORMATS[docType]?.find(
+        (option) => option.format === exportFormat
+      );
+
+      if (!formatInfo) {
+        await ctx.answerCbQuery("❌ Unsupported export format");
+        return;
+      }
+
+      // CSV only holds a single tab: use the one named in the link, if any
+      const sheetLink = this.getUserSession(ctx.from.id).sheetLink;
+      const gid =
+        exportFormat === "csv" && sheetLink?.fileId === fileId
+          ? sheetLink.gid
+          : undefined;
+
+      await ctx.answerCbQuery(`📤 Exporting as ${formatInfo.label}`);
+      this.setPreferredExportFormat(ctx.from.id, docType, exportFormat);
+      await ctx.editMessageText(`📤 Exporting as ${formatInfo.label}...`);
+
+      await this.processGoogleDriveFile(ctx, fileId, {
+        docType,
+        exportFormat,
+        gid,
+      });
+    });
+
+    this.bot.action(/^st_list_([a-zA-Z0-9_-]+)$/, async (ctx) => {
+      await ctx.answerCbQuery("📑 Loading sheet tabs...");
+      await this.showSheetTabPicker(ctx, ctx.match[1]);
+    });
+
+    this.bot.action(/^st_toggle_(\d+)$/, async (ctx) => {
+      const picker = this.getUserSession(ctx.from.id).sheetTabs;
+      const tab = picker?.tabs[Number(ctx.match[1])];
+      if (!tab) return this.answerSheetSessionExpired(ctx);
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, {
+        sheetTabs: {
+          ...picker,
+          selected: picker.selected.includes(tab.gid)
+            ? picker.selected.filter((gid) => gid !== tab.gid)
+            : [...picker.selected, tab.gid],
+        },
+      });
+      await this.renderSheetTabPicker(ctx);
+    });
+
+    this.bot.action(/^st_(csv|zip)_(selected|all)$/, async (ctx) => {
+      const picker = this.getUserSession(ctx.from.id).sheetTabs;
+      if (!picker) return this.answerSheetSessionExpired(ctx);
+      const tabs =
+        ctx.match[2] === "all"
+          ? picker.tabs
+          : picker.tabs.filter((tab) => picker.selected.includes(tab.gid));
+      if (tabs.length === 0) {
+        await ctx.answerCbQuery("Select at least one tab first");
+        return;
+      }
+
+      if (ctx.match[1] === "zip") {
+        await ctx.answerCbQuery(`🗜️ Bundling ${tabs.length} tab(s)`);
+        this.startSheetBundle(ctx, picker.fileId, tabs, picker.title);
+      } else {
+        await ctx.answerCbQuery(`📄 Exporting ${tabs.length} tab(s) as CSV`);
+        this.startBatchDownload(
+          ctx,
+          tabs.map((tab) => ({
+            fileId: picker.fileId,
+            options: {
+              docType: "spreadsheets",
+              exportFormat: "csv",
+              gid: tab.gid,
+            },
+          }))
+        );
+      }
+    });
+
+    // ====================
+    // 📂 FOLDER BROWSER MODULE
+    // ====================
+
+    this.bot.action(/^fb_open_(\d+)$/, async (ctx) => {
+      const item = this.getFolderBrowserItem(ctx, Number(ctx.match[1]));
+      if (!item) return this.answerFolderSessionExpired(ctx);
+      await ctx.answerCbQuery("📂 Opening folder...");
+      await this.openFolder(ctx, item.id, { pushCurrent: true });
+    });
+
+    this.bot.action("fb_up", async (ctx) => {
+      const browser = this.getUserSession(ctx.from.id).folderBrowser;
+      if (!browser?.parents.length) return this.answerFolderSessionExpired(ctx);
+      await ctx.answerCbQuery();
+      const parents = [...browser.parents];
+      const parent = parents.pop();
+      await this.openFolder(ctx, parent.folderId, { parents });
+    });
+
+    this.bot.action(/^fb_page_(\d+)$/, async (ctx) => {
+      const browser = this.getUserSession(ctx.from.id).folderBrowser;
+      if (!browser) return this.answerFolderSessionExpired(ctx);
+      await ctx.answerCbQuery();
+      this.updateFolderBrowser(ctx.from.id, { page: Number(ctx.match[1]) });
+      await this.renderFolderBrowser(ctx);
+    });
+
+    this.bot.action(/^fb_toggle_(\d+)$/, async (ctx) => {
+      const item = this.getFolderBrowserItem(ctx, Number(ctx.match[1]));
+      if (!item) return this.answerFolderSessionExpired(ctx);
+      await ctx.answerCbQuery();
+      const { selected } = this.getUserSession(ctx.from.id).folderBrowser;
+      this.updateFolderBrowser(ctx.from.id, {
+        selected: selected.includes(item.id)
+          ? selected.filter((id) => id !== item.id)
+          : [...selected, item.id],
+      });
+      await this.renderFolderBrowser(ctx);
+    });
+
+    this.bot.action(/^fb_pick_(\d+)$/, async (ctx) => {
+      const item = this.getFolderBrowserItem(ctx, Number(ctx.match[1]));
+      if (!item) return this.answerFolderSessionExpired(ctx);
+      await ctx.answerCbQuery(`📥 Downloading ${item.name.substring(0, 40)}`);
+      this.startBatchDownload(ctx, [this.toFolderDownload(ctx, item)]);
+    });
+
+    this.bot.action("fb_dl_selected", async (ctx) => {
+      const browser = this.getUserSession(ctx.from.id).folderBrowser;
+      if (!browser) return this.answerFolderSessionExpired(ctx);
+      const items = browser.items.filter((item) =>
+        browser.selected.includes(item.id)
+      );
+      if (items.length === 0) {
+        await ctx.answerCbQuery("Select at least one file first");
+        return;
+      }
+      await ctx.answerCbQuery(`📥 Downloading ${items.length} file(s)`);
+      this.updateFolderBrowser(ctx.from.id, { selected: [] });
+      await this.renderFolderBrowser(ctx);
+      this.startBatchDownload(
+        ctx,
+        items.map((item) => this.toFolderDownload(ctx, item))
+      );
+    });
+
+    this.bot.action("fb_dl_all", async (ctx) => {
+      const browser = this.getUserSession(ctx.from.id).folderBrowser;
+      if (!browser) return this.answerFolderSessionExpired(ctx);
+      const items = browser.items.filter((item) => !item.isFolder);
+      if (items.length === 0) {
+        await ctx.answerCbQuery("This folder has no files to download");
+        return;
+      }
+      await ctx.answerCbQuery(`📦 Downloading all ${items.length} file(s)`);
+      this.startBatchDownload(
+        ctx,
+        items.map((item) => this.toFolderDownload(ctx, item))
+      );
+    });
+
+    this.bot.action("fb_close", async (ctx) => {
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, { folderBrowser: undefined });
+      const mainMenuKeyboard = this.generateMainMenuKeyboard(ctx.from.id);
+      await ctx.editMessageText("📂 Folder browser closed.", {
+        reply_markup: mainMenuKeyboard.reply_markup,
+      });
+    });
+
+    // ====================
+    // ☁️ DRIVE LIBRARY MODULE
+    // ====================
+
+    // Browse the Drive folder: /list [subfolder name or folder link]
+    this.bot.command("list", async (ctx) => {
+      await this.listDriveLibrary(ctx, ctx.payload.trim());
+    });
+
+    // Fetch a file from the Drive folder by name: /get <name or pattern>
+    this.bot.command("get", async (ctx) => {
+      await this.getFromDriveLibrary(ctx, ctx.payload.trim());
+    });
+
+    this.bot.action(/^lib_open_(\d+)$/, async (ctx) => {
+      const item = this.getDriveLibraryItem(ctx, Number(ctx.match[1]));
+      if (!item) return this.answerLibrarySessionExpired(ctx);
+      await ctx.answerCbQuery("📂 Opening folder...");
+      await this.openLibraryFolder(ctx, item.id, { pushCurrent: true });
+    });
+
+    this.bot.action("lib_up", async (ctx) => {
+      const library = this.getUserSession(ctx.from.id).driveLibrary;
+      if (!library?.parents.length) return this.answerLibrarySessionExpired(ctx);
+      await ctx.answerCbQuery();
+      const parents = [...library.parents];
+      const parent = parents.pop();
+      await this.openLibraryFolder(ctx, parent.folderId, { parents });
+    });
+
+    this.bot.action(/^lib_page_(\d+)$/, async (ctx) => {
+      const library = this.getUserSession(ctx.from.id).driveLibrary;
+      if (!library) return this.answerLibrarySessionExpired(ctx);
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, {
+        driveLibrary: { ...library, page: Number(ctx.match[1]) },
+      });
+      await this.renderDriveLibrary(ctx);
+    });
+
+    this.bot.action(/^lib_get_(\d+)$/, async (ctx) => {
+      const item = this.getDriveLibraryItem(ctx, Number(ctx.match[1]));
+      if (!item) return this.answerLibrarySessionExpired(ctx);
+      await ctx.answerCbQuery(`📥 Downloading ${item.name.substring(0, 40)}`);
+      this.startBatchDownload(ctx, [this.toFolderDownload(ctx, item)]);
+    });
+
+    this.bot.action(/^lib_pick_(\d+)$/, async (ctx) => {
+      const item = this.getUserSession(ctx.from.id).driveMatches?.[
+        Number(ctx.match[1])
+      ];
+      if (!item) {
+        await ctx.answerCbQuery("⌛ This choice has expired. Please use /get again.");
+        return;
+      }
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, { driveMatches: undefined });
+      await ctx.editMessageText(`📥 ${item.path}`);
+      this.startBatchDownload(ctx, [this.toFolderDownload(ctx, item)]);
+    });
+
+    this.bot.action("lib_close", async (ctx) => {
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, {
+        driveLibrary: undefined,
+        driveMatches: undefined,
+      });
+      await ctx.editMessageText("☁️ Closed.");
+    });
+
+    // ====================
+    // 👀 DRIVE WATCH MODULE
+    // ====================
+
+    // Deliver new and changed files of a Drive file or folder: /watch <link>
+    this.bot.command("watch", async (ctx) => {
+      await this.addDriveWatch(ctx, ctx.payload.trim());
+    });
+
+    // Stop a watch: /unwatch <link or number from /watches>
+    this.bot.command("unwatch", async (ctx) => {
+      await this.removeDriveWatch(ctx, ctx.payload.trim());
+    });
+
+    this.bot.command("watches", async (ctx) => {
+      await this.showDriveWatches(ctx);
+    });
+
+    this.bot.action(/^unwatch_([a-zA-Z0-9_-]+)$/, async (ctx) => {
+      const watch = this.driveWatcher.remove(ctx.chat.id, ctx.match[1]);
+      await ctx.answerCbQuery(
+        watch ? `🗑 Stopped watching ${watch.name.substring(0, 40)}` : "Already stopped."
+      );
+      await this.showDriveWatches(ctx, { edit: true });
+    });
+
     // ====================
     // 📊 ADMIN DASHBOARD MODULE
     // ====================
@@ -436,6 +928,42 @@ Need more help? Use the buttons below! 👇
       }
     });
 
+    // Drop cached Telegram file_ids: /purgecache all | <link or file ID>
+    this.bot.command("purgecache", async (ctx) => {
+      if (!this.isAdmin(ctx.from.id)) {
+        await ctx.reply("🚫 Access denied. Admin privileges required.");
+        return;
+      }
+      await this.purgeFileCache(ctx, ctx.payload.trim());
+    });
+
+    // Map a chat to the Shared Drives it may pull from: /drives [chatId]
+    this.bot.command("drives", async (ctx) => {
+      if (!this.isAdmin(ctx.from.id)) {
+        await ctx.reply("🚫 Access denied. Admin privileges required.");
+        return;
+      }
+
+      const target = ctx.payload.trim();
+      if (target && !/^-?\d+$/.test(target)) {
+        await ctx.reply("Usage: /drives [chat ID] (defaults to this chat)");
+        return;
+      }
+      await this.showChatDrives(ctx, target ? Number(target) : ctx.chat.id);
+    });
+
+    this.bot.action(/^drv_(-?\d+)_([a-zA-Z0-9_-]+)$/, async (ctx) => {
+      if (!this.isAdmin(ctx.from.id)) {
+        await ctx.answerCbQuery("🚫 Admin privileges required.");
+        return;
+      }
+
+      const chatId = Number(ctx.match[1]);
+      const allowed = this.toggleChatDrive(chatId, ctx.match[2], ctx.from.id);
+      await ctx.answerCbQuery(allowed ? "✅ Drive allowed" : "⬜ Drive blocked");
+      await this.showChatDrives(ctx, chatId, { edit: true });
+    });
+
     // Admin Dashboard dynamic keyboard handlers
     this.bot.action("admin_dashboard", async (ctx) => {
       await ctx.answerCbQuery();
@@ -461,12 +989,98 @@ Need more help? Use the buttons below! 👇
       await this.initiateBroadcast(ctx);
     });
 
+    this.bot.action("admin_temp", async (ctx) => {
+      await ctx.answerCbQuery();
+      if (this.isAdmin(ctx.from.id)) {
+        await this.showTempStorageReport(ctx);
+      }
+    });
+
+    this.bot.action("admin_temp_cleanup", async (ctx) => {
+      if (!this.isAdmin(ctx.from.id)) {
+        await ctx.answerCbQuery("🚫 Admin privileges required.");
+        return;
+      }
+      const removed = await tempStorage.cleanupExpired();
+      await ctx.answerCbQuery(`🧹 Removed ${removed} expired temp file(s)`);
+      await this.showTempStorageReport(ctx);
+    });
+
     this.bot.action(/^admin_user_(.+)$/, async (ctx) => {
       await ctx.answerCbQuery();
       const userId = ctx.match[1];
       await this.showUserDetails(ctx, userId);
     });
 
+    // ====================
+    // 🔐 GOOGLE ACCOUNT MODULE
+    // ====================
+
+    this.bot.command("connect", async (ctx) => {
+      await this.connectGoogleAccount(ctx);
+    });
+
+    this.bot.command("disconnect", async (ctx) => {
+      await this.disconnectGoogleAccount(ctx);
+    });
+
+    this.bot.action("connect_cancel", async (ctx) => {
+      const controller = this.pendingConnections.get(ctx.from.id);
+      if (!controller) {
+        await ctx.answerCbQuery("Nothing to cancel.");
+        return;
+      }
+      controller.abort();
+      await ctx.answerCbQuery("❌ Sign-in cancelled");
+    });
+
+    // "Save to my Drive" on the download success message
+    this.bot.action(/^save_([a-z0-9]+)$/, async (ctx) => {
+      await this.startDriveSave(ctx, ctx.match[1]);
+    });
+
+    this.bot.action(/^sv_open_(\d+)$/, async (ctx) => {
+      const picker = this.getUserSession(ctx.from.id).driveSave;
+      const folder = picker?.folders[Number(ctx.match[1])];
+      if (!folder) return this.answerDriveSaveExpired(ctx);
+      await ctx.answerCbQuery();
+      await this.openDriveSaveFolder(ctx, folder, {
+        parents: [
+          ...picker.parents,
+          { id: picker.folderId, name: picker.folderName },
+        ],
+      });
+    });
+
+    this.bot.action("sv_up", async (ctx) => {
+      const picker = this.getUserSession(ctx.from.id).driveSave;
+      if (!picker?.parents.length) return this.answerDriveSaveExpired(ctx);
+      await ctx.answerCbQuery();
+      const parents = [...picker.parents];
+      const parent = parents.pop();
+      await this.openDriveSaveFolder(ctx, parent, { parents });
+    });
+
+    this.bot.action(/^sv_page_(\d+)$/, async (ctx) => {
+      const picker = this.getUserSession(ctx.from.id).driveSave;
+      if (!picker) return this.answerDriveSaveExpired(ctx);
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, {
+        driveSave: { ...picker, page: Number(ctx.match[1]) },
+      });
+      await this.renderDriveSavePicker(ctx);
+    });
+
+    this.bot.action("sv_here", async (ctx) => {
+      await this.confirmDriveSave(ctx);
+    });
+
+    this.bot.action("sv_close", async (ctx) => {
+      await ctx.answerCbQuery();
+      this.updateUserSession(ctx.from.id, { driveSave: undefined });
+      await ctx.editMessageText("☁️ Not saved.");
+    });
+
     // ====================
     // SHARED ACTION HANDLERS
     // ====================
@@ -500,6 +1114,59 @@ Need more help? Use the buttons below! 👇
       }
     });
 
+    // Cancel the download owned by this processing message
+    this.bot.action("cancel_download", async (ctx) => {
+      const { message } = ctx.callbackQuery;
+      const download = this.activeDownloads.get(
+        `${message.chat.id}:${message.message_id}`
+      );
+
+      if (!download) {
+        await ctx.answerCbQuery("Nothing to cancel, this download has finished.");
+        return;
+      }
+
+      if (download.userId !== ctx.from.id) {
+        await ctx.answerCbQuery(
+          "Only the user who started this download can cancel it.",
+          { show_alert: true }
+        );
+        return;
+      }
+
+      if (this.downloadQueue.cancel(download.jobId)) {
+        await ctx.answerCbQuery("⏹️ Removed from the queue");
+        return;
+      }
+
+      if (download.progress?.phase === "upload") {
+        await ctx.answerCbQuery(
+          "The file is already being delivered and can no longer be cancelled."
+        );
+        return;
+      }
+
+      download.controller.abort();
+      await ctx.answerCbQuery("⏹️ Cancelling download...");
+    });
+
+    // Show the current progress of this processing message's download
+    this.bot.action("show_progress", async (ctx) => {
+      const { message } = ctx.callbackQuery;
+      const download = this.activeDownloads.get(
+        `${message.chat.id}:${message.message_id}`
+      );
+
+      if (!download) {
+        await ctx.answerCbQuery("This download has finished.");
+        return;
+      }
+
+      await ctx.answerCbQuery(this.formatProgressAlert(download.progress), {
+        show_alert: true,
+      });
+    });
+
     // Show examples
     this.bot.action("show_examples", async (ctx) => {
       await ctx.answerCbQuery();
@@ -525,6 +1192,9 @@ Need more help? Use the buttons below! 👇
 4️⃣ **Google Sheets:**
 \`https://docs.google.com/spreadsheets/d/1ABC123xyz/edit\`
 
+5️⃣ **Shared folder:**
+\`https://drive.google.com/drive/folders/1ABC123xyz\`
+
 *💡 Tips:*
 • Make sure the file is shared with "Anyone with the link"
 • File size must be under ${config.MAX_FILE_SIZE_MB}MB
@@ -592,6 +1262,82 @@ Need more help? Use the buttons below! 👇
     ]);
   }
 
+  /**
+   * ⏳ DOWNLOAD QUEUE MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Show the user's running and waiting downloads with cancel buttons
+   * Admins see and can cancel every waiting job.
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} options - { edit: true } to edit the callback message
+   */
+  async showQueueOverview(ctx, options = {}) {
+    const userId = ctx.from.id;
+    const scope = this.isAdmin(userId) ? null : userId;
+    const running = this.downloadQueue.getRunningJobs(scope);
+    const allPending = this.downloadQueue.getPendingJobs();
+    const pending = allPending.filter(
+      (job) => scope === null || job.userId === scope
+    );
+
+    const label = (job) =>
+      this.escapeMarkdown(job.download?.progress?.fileName || job.label);
+
+    let text = "⏳ *Download Queue*\n\n";
+
+    if (running.length === 0 && pending.length === 0) {
+      text += "You have no downloads running or waiting.\n";
+    }
+
+    if (running.length > 0) {
+      text += `▶️ *Running (${running.length}):*\n`;
+      for (const job of running) {
+        const percent = job.download?.progress?.percent;
+        text += `• ${label(job)}${
+          percent !== null && percent !== undefined ? ` (${percent}%)` : ""
+        }\n`;
+      }
+      text += "\n";
+    }
+
+    if (pending.length > 0) {
+      text += `🕒 *Waiting (${pending.length}):*\n`;
+      for (const job of pending) {
+        text += `${allPending.indexOf(job) + 1}. ${label(job)}\n`;
+      }
+      text += "\n";
+    }
+
+    text +=
+      `📊 Overall: ${this.downloadQueue.running.size} running, ${allPending.length} waiting\n` +
+      `⚙️ Limits: ${config.MAX_CONCURRENT_DOWNLOADS} at once, ${config.MAX_CONCURRENT_DOWNLOADS_PER_USER} per user`;
+
+    const rows = pending.slice(0, 10).map((job) => [
+      Markup.button.callback(
+        `❌ Cancel #${allPending.indexOf(job) + 1} ${
+          job.download?.progress?.fileName || job.label
+        }`.substring(0, 60),
+        `q_cancel_${job.id}`
+      ),
+    ]);
+    rows.push([
+      Markup.button.callback("🔄 Refresh", "q_refresh"),
+      Markup.button.callback("🏠 Main Menu", "main_menu"),
+    ]);
+
+    const extra = {
+      parse_mode: "Markdown",
+      reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+    };
+
+    if (options.edit) {
+      await this.safeEditMessageText(ctx, text, extra);
+    } else {
+      await ctx.reply(text, extra);
+    }
+  }
+
   /**
    * 📁 FILE MANAGER MODULE IMPLEMENTATION
    */
@@ -756,265 +1502,2841 @@ ${
   }
 
   /**
-   * 📊 ADMIN DASHBOARD MODULE IMPLEMENTATION
+   * 📝 GOOGLE DOCS EXPORT MODULE IMPLEMENTATION
    */
 
-  async showAdminDashboard(ctx) {
-    const totalUsers = this.userStats.size;
-    const totalDownloads = Array.from(this.userStats.values()).reduce(
-      (sum, stats) => sum + (stats.download_count || 0),
-      0
-    );
-    const activeUsers = Array.from(this.userStats.values()).filter(
-      (stats) => stats.last_activity > Date.now() - 24 * 60 * 60 * 1000
-    ).length;
+  async showExportFormatMenu(ctx, fileId, docType, options = {}) {
+    const docNames = {
+      document: "📘 Google Doc",
+      spreadsheets: "📊 Google Sheet",
+      presentation: "📑 Google Slides",
+    };
+    const formats = config.GOOGLE_EXPORT_FORMATS[docType];
+    const preferred = this.getPreferredExportFormat(ctx.from.id, docType);
+    const code = this.getDocTypeCode(docType);
 
-    // Generate dynamic admin keyboard
-    const adminButtons = [
-      [
-        Markup.button.callback("👥 User Management", "admin_users"),
-        Markup.button.callback("📊 Detailed Stats", "admin_stats"),
-      ],
-      [
-        Markup.button.callback("📢 Broadcast Message", "admin_broadcast"),
-        Markup.button.callback("🔧 System Logs", "admin_logs"),
-      ],
-      [
-        Markup.button.callback("⚙️ Bot Settings", "admin_settings"),
-        Markup.button.callback("🚨 Emergency Controls", "admin_emergency"),
-      ],
-      [
-        Markup.button.callback("🔄 Refresh Dashboard", "admin_dashboard"),
-        Markup.button.callback("🏠 Main Menu", "main_menu"),
-      ],
-    ];
+    const buttons = formats.map((option) =>
+      Markup.button.callback(
+        `${option.format === preferred ? "⭐ " : ""}${option.label}`,
+        `exp_${code}_${option.format}_${fileId}`
+      )
+    );
 
-    const keyboard = Markup.inlineKeyboard(adminButtons);
+    // Arrange buttons in rows (3 per row)
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+      rows.push(buttons.slice(i, i + 3));
+    }
+    if (docType === "spreadsheets") {
+      this.updateUserSession(ctx.from.id, {
+        sheetLink: { fileId, gid: options.gid || null },
+      });
+      rows.push([
+        Markup.button.callback("📑 Choose Tabs (CSV / ZIP)", `st_list_${fileId}`),
+      ]);
+    }
+    rows.push([Markup.button.callback("🏠 Main Menu", "main_menu")]);
 
-    const messageText = `
-*🔧 Admin Dashboard*
+    const preferredLabel = formats.find(
+      (option) => option.format === preferred
+    )?.label;
 
-*📈 Real-time Statistics:*
-👥 Total Users: ${totalUsers}
-🔥 Active Users (24h): ${activeUsers}
-📥 Total Downloads: ${totalDownloads}
-⚡ Bot Uptime: ${Math.floor(process.uptime() / 3600)}h
+    await ctx.reply(
+      `${docNames[docType]} detected!\n\n` +
+        "Google documents have to be exported. Choose a format:" +
+        (preferredLabel ? `\n⭐ Last used: ${preferredLabel}` : ""),
+      { reply_markup: Markup.inlineKeyboard(rows).reply_markup }
+    );
+  }
 
-*🚀 System Status:*
-💾 Memory Usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
-🔄 Response Time: Optimal
-🛡️ Security: Active
+  async showSheetTabPicker(ctx, fileId) {
+    const listing = await listSpreadsheetTabs(fileId);
+    if (!listing.success) {
+      await ctx.reply(
+        `❌ Could not list the sheet tabs.\n\n${this.generateUserErrorMessage(
+          new Error(listing.error)
+        )}`
+      );
+      return;
+    }
 
-*🎛️ Available Controls:* 👇`;
+    // Preselect the tab named in the link
+    const sheetLink = this.getUserSession(ctx.from.id).sheetLink;
+    const linkedGid = sheetLink?.fileId === fileId ? sheetLink.gid : null;
+
+    this.updateUserSession(ctx.from.id, {
+      sheetTabs: {
+        fileId,
+        title: listing.title,
+        tabs: listing.tabs,
+        selected: listing.tabs.some((tab) => tab.gid === linkedGid)
+          ? [linkedGid]
+          : [],
+      },
+    });
 
-    if (ctx.update.callback_query) {
-      await ctx.editMessageText(messageText, {
-        parse_mode: "Markdown",
-        reply_markup: keyboard.reply_markup,
-      });
-    } else {
-      await ctx.replyWithMarkdown(messageText, {
-        reply_markup: keyboard.reply_markup,
-      });
-    }
+    await this.renderSheetTabPicker(ctx);
   }
 
-  async showUserManagement(ctx) {
-    const users = Array.from(this.userStats.entries())
-      .sort(([, a], [, b]) => (b.last_activity || 0) - (a.last_activity || 0))
-      .slice(0, 8); // Show top 8 most recent users
+  async renderSheetTabPicker(ctx) {
+    const picker = this.getUserSession(ctx.from.id).sheetTabs;
 
-    // Generate dynamic user list buttons
-    const userButtons = users.map(([userId, stats]) => [
+    const rows = picker.tabs.slice(0, 40).map((tab, index) => [
       Markup.button.callback(
-        `👤 User ${userId.toString().substring(0, 8)}... (${
-          stats.download_count || 0
-        } downloads)`,
-        `admin_user_${userId}`
+        `${picker.selected.includes(tab.gid) ? "☑️" : "⬜"} ${tab.name.substring(
+          0,
+          40
+        )}`,
+        `st_toggle_${index}`
       ),
     ]);
 
-    // Add navigation buttons
-    userButtons.push([
-      Markup.button.callback("🔍 Search User", "admin_search_user"),
-      Markup.button.callback("📊 Export Data", "admin_export_users"),
-    ]);
-
-    userButtons.push([
-      Markup.button.callback("🔙 Back to Dashboard", "admin_dashboard"),
-      Markup.button.callback("🏠 Main Menu", "main_menu"),
+    if (picker.selected.length > 0) {
+      rows.push([
+        Markup.button.callback(
+          `📄 Selected as CSV (${picker.selected.length})`,
+          "st_csv_selected"
+        ),
+        Markup.button.callback("🗜️ Selected as ZIP", "st_zip_selected"),
+      ]);
+    }
+    rows.push([
+      Markup.button.callback(
+        `📄 All Tabs as CSV (${picker.tabs.length})`,
+        "st_csv_all"
+      ),
+      Markup.button.callback("🗜️ All Tabs as ZIP", "st_zip_all"),
     ]);
+    rows.push([Markup.button.callback("🏠 Main Menu", "main_menu")]);
+
+    await this.safeEditMessageText(
+      ctx,
+      `📊 *${this.escapeMarkdown(picker.title)}*\n\n` +
+        `📑 Tabs: ${picker.tabs.length}\n` +
+        `☑️ Selected: ${picker.selected.length}\n\n` +
+        "Select tabs to export each one as its own CSV file, or bundle them into a ZIP 👇",
+      {
+        parse_mode: "Markdown",
+        reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+      }
+    );
+  }
 
-    const keyboard = Markup.inlineKeyboard(userButtons);
-
-    const messageText = `
-*👥 User Management Panel*
+  async answerSheetSessionExpired(ctx) {
+    await ctx.answerCbQuery(
+      "⌛ This tab list has expired. Please send the spreadsheet link again."
+    );
+  }
 
-*📊 User Overview:*
-Total Registered Users: ${this.userStats.size}
-Showing Recent: ${users.length} users
+  /**
+   * Export sheet tabs as CSV and bundle them into one zip archive
+   * @param {string} fileId - Google Sheets file ID
+   * @param {Array<{gid: string, name: string}>} tabs - Tabs to export
+   * @param {string} title - Spreadsheet title (used for the zip name)
+   * @returns {Promise<Object>} Result shaped like downloadGoogleDriveFile()
+   */
+  async buildSheetBundle(fileId, tabs, title) {
+    const exported = [];
 
-*🔧 Management Tools:*
-• View detailed user profiles
-• Monitor download activity
-• Export user data
-• Search specific users
+    try {
+      for (const tab of tabs) {
+        const result = await downloadGoogleDriveFile(fileId, {
+          docType: "spreadsheets",
+          exportFormat: "csv",
+          gid: tab.gid,
+        });
+        if (!result.success) {
+          throw new Error(result.error || "Download failed");
+        }
+        exported.push({ filePath: result.filePath, name: `${tab.name}.csv` });
+      }
 
-*👇 Select a user to view details:*`;
+      const fileName = `${sanitizeFileName(title.replace(/\.zip$/i, ""))}.zip`;
+      const filePath = path.join(
+        config.TEMP_DIR,
+        `${Date.now()}_${this.generateFileId()}.zip`
+      );
+      const fileSize = await createZipArchive(exported, filePath);
 
-    await ctx.editMessageText(messageText, {
-      parse_mode: "Markdown",
-      reply_markup: keyboard.reply_markup,
-    });
+      return { success: true, filePath, fileName, fileSize };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      await Promise.all(exported.map((file) => fs.remove(file.filePath)));
+    }
   }
 
-  async showFileDetails(ctx, fileId) {
-    try {
-      const userId = ctx.from.id;
-      const userFiles = this.getUserFiles(userId);
-      const fileInfo = userFiles.find((f) => f.id === fileId);
+  /**
+   * Deliver a File Manager entry again, from the file cache or a new download
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @param {Object} fileInfo - File Manager entry
+   */
+  async runRedownloadJob(ctx, fileInfo) {
+    const exportOptions = {
+      docType: fileInfo.docType,
+      exportFormat: fileInfo.exportFormat,
+      gid: fileInfo.gid,
+    };
+    let filePath = null;
 
-      if (!fileInfo) {
-        await ctx.answerCbQuery();
-        await ctx.reply("❌ File not found or no longer available.");
+    try {
+      if (
+        !fileInfo.sheetTabs &&
+        (await this.deliverFromCache(ctx, fileInfo.driveFileId, exportOptions))
+      ) {
         return;
       }
 
-      const detailsMessage =
-        `📄 *File Details*\n` +
-        `📝 Name: ${fileInfo.name}\n` +
-        `📏 Size: ${this.formatFileSize(fileInfo.size)}\n` +
-        `📅 Added: ${
-          fileInfo.downloadDate
-            ? new Date(fileInfo.downloadDate).toLocaleString()
-            : "Unknown"
-        }\n` +
-        `🔢 File ID: ${fileId.substring(0, 8)}...`;
-
-      const keyboard = Markup.inlineKeyboard([
-        [
-          Markup.button.callback("📥 Download", `download_file_${fileId}`),
-          Markup.button.callback("🗑️ Delete", `delete_file_${fileId}`),
-        ],
-        [Markup.button.callback("🔙 Back to Files", "file_manager")],
-      ]);
+      // Re-download from Google Drive if needed
+      const downloadResult = fileInfo.sheetTabs
+        ? await this.buildSheetBundle(
+            fileInfo.driveFileId,
+            fileInfo.sheetTabs,
+            fileInfo.name
+          )
+        : await downloadGoogleDriveFile(fileInfo.driveFileId, {
+            ...exportOptions,
+            driveClient: this.googleAccounts.getDriveClient(ctx.from.id),
+            allowedDriveIds: this.getAllowedDriveIds(ctx),
+          });
+      if (!downloadResult.success) {
+        throw new Error(downloadResult.error || "Download failed");
+      }
+      filePath = downloadResult.filePath;
+      const { fileName } = downloadResult;
+      const fileType = await getFileType(filePath);
 
-      await ctx.editMessageText(detailsMessage, {
-        parse_mode: "Markdown",
-        reply_markup: keyboard.reply_markup,
-      });
+      const delivery = await this.deliverFile(
+        ctx,
+        filePath,
+        fileName,
+        fileType
+      );
+      if (!fileInfo.sheetTabs) {
+        this.rememberDelivery(
+          fileInfo.driveFileId,
+          exportOptions,
+          downloadResult,
+          fileType,
+          delivery
+        );
+      }
     } catch (error) {
-      logger.error("Error showing file details", {
+      logger.error("Error downloading file from File Manager", {
         error: error.message,
         stack: error.stack,
       });
-      await ctx.reply("❌ Could not display file details. Please try again.");
+      await ctx.reply("❌ Could not download the file. Please try again.");
+    } finally {
+      if (filePath) {
+        await fs.remove(filePath); // Clean up temp file
+      }
     }
   }
 
-  // Helper to format file size
-  formatFileSize(bytes) {
-    if (bytes < 1024) return bytes + " bytes";
-    else if (bytes < 1048576) return (bytes / 1024).toFixed(2) + " KB";
-    else return (bytes / 1048576).toFixed(2) + " MB";
+  /**
+   * Build a sheet bundle in the background and deliver it as one document
+   */
+  startSheetBundle(ctx, fileId, tabs, title) {
+    this.enqueueJob(ctx, `${title} (${tabs.length} tabs)`, "sheet_bundle", {
+      fileId,
+      tabs,
+      title,
+    });
   }
 
   /**
-   * Enhanced Google Drive Link Handler with Progress Tracking
+   * Export the chosen tabs, zip them and deliver the ZIP
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @param {string} fileId - Google Sheets file ID
+   * @param {Array<Object>} tabs - Tabs to export ({ gid, name })
+   * @param {string} title - Spreadsheet title, used for the ZIP name
    */
-  async handleEnhancedGoogleDriveLink(ctx, messageText) {
-    // Show initial processing message with dynamic keyboard
-    const processingKeyboard = Markup.inlineKeyboard([
-      [Markup.button.callback("⏹️ Cancel Download", "cancel_download")],
-      [Markup.button.callback("📊 Show Progress", "show_progress")],
-    ]);
-
-    const processingMessage = await ctx.reply(
-      "🔄 **Enhanced Processing Started**\n⏳ Analyzing Google Drive link...",
-      {
-        parse_mode: "Markdown",
-        reply_markup: processingKeyboard.reply_markup,
-      }
-    );
-
+  async runSheetBundleJob(ctx, fileId, tabs, title) {
     try {
-      // Parse the Google Drive URL
-      const fileId = parseGoogleDriveUrl(messageText);
-      if (!fileId) {
-        throw new Error("Could not extract file ID from the URL");
-      }
-
-      // Update progress
-      await ctx.telegram.editMessageText(
-        ctx.chat.id,
-        processingMessage.message_id,
-        null,
-        "📥 **Downloading from Google Drive**\n🔍 Validating file permissions...",
-        { parse_mode: "Markdown" }
+      const processingMessage = await ctx.reply(
+        `🗜️ Exporting ${tabs.length} tab(s) and bundling them into a ZIP...`
       );
 
-      // Download the file
-      const downloadResult = await downloadGoogleDriveFile(fileId);
-      if (!downloadResult.success) {
-        throw new Error(downloadResult.error || "Download failed");
+      const bundle = await this.buildSheetBundle(fileId, tabs, title);
+      if (!bundle.success) {
+        await ctx.telegram.editMessageText(
+          ctx.chat.id,
+          processingMessage.message_id,
+          null,
+          `❌ Could not bundle the sheet tabs.\n\n${this.generateUserErrorMessage(
+            new Error(bundle.error)
+          )}`
+        );
+        return;
       }
 
-      const { filePath, fileName, fileSize } = downloadResult;
+      try {
+        if (!validateFileSize(bundle.fileSize, config.MAX_FILE_SIZE_MB)) {
+          throw new Error(
+            `File size (${Math.round(
+              bundle.fileSize / 1024 / 1024
+            )}MB) exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`
+          );
+        }
 
-      // Validate file size
-      if (!validateFileSize(fileSize, config.MAX_FILE_SIZE_MB)) {
-        await fs.remove(filePath);
-        throw new Error(
-          `File size (${Math.round(
-            fileSize / 1024 / 1024
-          )}MB) exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`
+        const { parts } = await this.deliverFile(
+          ctx,
+          bundle.filePath,
+          bundle.fileName,
+          { ext: "zip", mime: "application/zip" }
         );
-      }
+
+        this.addToUserFileHistory(ctx.from.id, {
+          id: this.generateFileId(),
+          name: bundle.fileName,
+          size: bundle.fileSize,
+          type: "application/zip",
+          downloadDate: new Date(),
+          driveFileId: fileId,
+          sheetTabs: tabs,
+          ...(parts && { parts }),
+        });
+        this.updateUserStats(ctx.from.id, "download_count");
+
+        await ctx.deleteMessage(processingMessage.message_id);
+      } finally {
+        await fs.remove(bundle.filePath);
+      }
+    } catch (error) {
+      logger.error("Sheet bundle failed", {
+        chatId: ctx.chat?.id,
+        error: error.message,
+      });
+      await ctx.reply(`❌ ${this.generateUserErrorMessage(error)}`).catch(() => {});
+    }
+  }
+
+  // Short codes keep export callback data within Telegram's 64 byte limit
+  getDocTypeCode(docType) {
+    return { document: "d", spreadsheets: "s", presentation: "p" }[docType];
+  }
+
+  getDocTypeFromCode(code) {
+    return { d: "document", s: "spreadsheets", p: "presentation" }[code];
+  }
+
+  getPreferredExportFormat(userId, docType) {
+    return this.userPreferences.get(userId)?.exportFormats?.[docType] || null;
+  }
+
+  setPreferredExportFormat(userId, docType, exportFormat) {
+    const preferences = this.userPreferences.get(userId) || {};
+    this.userPreferences.set(userId, {
+      ...preferences,
+      exportFormats: { ...preferences.exportFormats, [docType]: exportFormat },
+    });
+  }
+
+  /**
+   * Download options for a Drive item; native Google documents are exported
+   * in the user's preferred format (or the first offered format)
+   * @param {number} userId - Telegram user ID
+   * @param {string} mimeType - Drive MIME type of the item
+   * @returns {Object} Options for processGoogleDriveFile
+   */
+  getExportOptionsForMime(userId, mimeType) {
+    const docType = getGoogleDocTypeFromMime(mimeType);
+    if (!docType) {
+      return {};
+    }
+
+    return {
+      docType,
+      exportFormat:
+        this.getPreferredExportFormat(userId, docType) ||
+        config.GOOGLE_EXPORT_FORMATS[docType][0].format,
+    };
+  }
+
+  /**
+   * 📂 FOLDER BROWSER MODULE IMPLEMENTATION
+   */
+
+  async handleGoogleDriveFolderLink(ctx, messageText) {
+    const folderId = parseGoogleDriveFolderUrl(messageText);
+    const loadingMessage = await ctx.reply("📂 Loading Google Drive folder...");
+
+    logger.logUserAction("open_folder", ctx.chat.id, {
+      folderId: folderId.substring(0, 10) + "...",
+    });
+
+    await this.openFolder(ctx, folderId, {
+      messageId: loadingMessage.message_id,
+    });
+  }
+
+  /**
+   * List a folder and show it in the folder browser
+   * @param {Object} ctx - Telegraf context
+   * @param {string} folderId - Google Drive folder ID
+   * @param {Object} options - { messageId, parents, pushCurrent }
+   */
+  async openFolder(ctx, folderId, options = {}) {
+    const listing = await listFolderContents(folderId, {
+      allowedDriveIds: this.getAllowedDriveIds(ctx),
+    });
+    const current = this.getUserSession(ctx.from.id).folderBrowser;
+
+    if (!listing.success) {
+      const errorText = `❌ Could not open this folder.\n\n${this.generateUserErrorMessage(
+        new Error(listing.error)
+      )}`;
+      if (options.messageId) {
+        await ctx.telegram.editMessageText(
+          ctx.chat.id,
+          options.messageId,
+          null,
+          errorText
+        );
+      } else {
+        await ctx.reply(errorText);
+      }
+      return;
+    }
+
+    let parents = options.parents || [];
+    if (options.pushCurrent && current) {
+      parents = [
+        ...current.parents,
+        { folderId: current.folderId, folderName: current.folderName },
+      ];
+    }
+
+    this.updateUserSession(ctx.from.id, {
+      folderBrowser: {
+        folderId,
+        folderName: listing.folderName,
+        items: listing.items,
+        page: 0,
+        selected: [],
+        parents,
+      },
+    });
+
+    await this.renderFolderBrowser(ctx, options.messageId);
+  }
+
+  /**
+   * Render the current folder browser page
+   * @param {Object} ctx - Telegraf context
+   * @param {number} messageId - Message to edit (defaults to the callback message)
+   */
+  async renderFolderBrowser(ctx, messageId = null) {
+    const pageSize = 8;
+    const browser = this.getUserSession(ctx.from.id).folderBrowser;
+    const totalPages = Math.max(1, Math.ceil(browser.items.length / pageSize));
+    const page = Math.min(browser.page, totalPages - 1);
+    const pageItems = browser.items.slice(
+      page * pageSize,
+      (page + 1) * pageSize
+    );
+
+    const rows = pageItems.map((item, offset) => {
+      const index = page * pageSize + offset;
+      const label = `${item.name.substring(0, 30)}${
+        item.name.length > 30 ? "..." : ""
+      }`;
+
+      if (item.isFolder) {
+        return [Markup.button.callback(`📁 ${label}`, `fb_open_${index}`)];
+      }
+
+      return [
+        Markup.button.callback(
+          `${this.getFileEmoji(item.mimeType)} ${label}`,
+          `fb_pick_${index}`
+        ),
+        Markup.button.callback(
+          browser.selected.includes(item.id) ? "☑️" : "⬜",
+          `fb_toggle_${index}`
+        ),
+      ];
+    });
+
+    const navigation = [];
+    if (page > 0) {
+      navigation.push(
+        Markup.button.callback("⬅️ Previous", `fb_page_${page - 1}`)
+      );
+    }
+    if (page < totalPages - 1) {
+      navigation.push(Markup.button.callback("➡️ Next", `fb_page_${page + 1}`));
+    }
+    if (navigation.length > 0) {
+      rows.push(navigation);
+    }
+
+    const fileCount = browser.items.filter((item) => !item.isFolder).length;
+    const folderCount = browser.items.length - fileCount;
+
+    if (browser.selected.length > 0) {
+      rows.push([
+        Markup.button.callback(
+          `📥 Download Selected (${browser.selected.length})`,
+          "fb_dl_selected"
+        ),
+      ]);
+    }
+    if (fileCount > 0) {
+      rows.push([
+        Markup.button.callback(`📦 Download All (${fileCount})`, "fb_dl_all"),
+      ]);
+    }
+
+    const footer = [];
+    if (browser.parents.length > 0) {
+      footer.push(Markup.button.callback("⬆️ Up", "fb_up"));
+    }
+    footer.push(Markup.button.callback("❌ Close", "fb_close"));
+    rows.push(footer);
+
+    const keyboard = Markup.inlineKeyboard(rows);
+    const messageText =
+      `📂 *${this.escapeMarkdown(browser.folderName)}*\n\n` +
+      `📁 Folders: ${folderCount}\n` +
+      `📄 Files: ${fileCount}\n` +
+      `☑️ Selected: ${browser.selected.length}\n` +
+      `📃 Page ${page + 1}/${totalPages}\n\n` +
+      (browser.items.length > 0
+        ? "Tap a file to download it, ⬜ to select it, or a folder to open it 👇"
+        : "This folder is empty.");
+    const options = {
+      parse_mode: "Markdown",
+      reply_markup: keyboard.reply_markup,
+    };
+
+    if (messageId) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        messageText,
+        options
+      );
+    } else {
+      await this.safeEditMessageText(ctx, messageText, options);
+    }
+  }
+
+  /**
+   * Download several files one after another in the background, so long
+   * batches are not cut off by the update handler timeout
+   * The files not queued yet and the file in progress are persisted, so a
+   * restart continues the batch once that file's resumed download is done.
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @param {Array<{fileId: string, options: Object}>} downloads - Files to download
+   * @param {Object|null} resume - Set when continuing after a restart ({ resumeCount, total, waitFor })
+   */
+  startBatchDownload(ctx, downloads, resume = null) {
+    const batchId = `batch_${this.generateFileId()}`;
+    const total = resume?.total ?? downloads.length;
+    const persist = (remaining, inFlightJobId) => {
+      const left = remaining.length + (inFlightJobId ? 1 : 0);
+      this.downloadJobs.set(batchId, {
+        id: batchId,
+        type: "batch",
+        args: { downloads: remaining, total, inFlightJobId },
+        label: `Batch download (${left} of ${total} left)`,
+        userId: ctx.from.id,
+        chatId: ctx.chat.id,
+        // Sorted after the file in progress, which is persisted on its own
+        enqueuedAt: Date.now(),
+        resumeCount: resume?.resumeCount || 0,
+      });
+    };
+
+    const run = async () => {
+      if (resume?.waitFor) {
+        await resume.waitFor.finished;
+      } else if (!resume && total > 1) {
+        await ctx.reply(`📦 Downloading ${total} files...`);
+      }
+
+      // Queue one file at a time so a large batch doesn't crowd out other users
+      for (const [index, { fileId, options }] of downloads.entries()) {
+        const job = await this.processGoogleDriveFile(ctx, fileId, options);
+        persist(downloads.slice(index + 1), job.id);
+        await job.finished;
+      }
+
+      if (total > 1) {
+        await ctx.reply(`✅ Finished downloading ${total} files.`);
+      }
+    };
+
+    persist(downloads, resume?.waitFor?.id);
+    run()
+      .catch((error) => {
+        logger.error("Batch download failed", {
+          chatId: ctx.chat?.id,
+          error: error.message,
+        });
+      })
+      .finally(() => this.downloadJobs.delete(batchId));
+  }
+
+  toFolderDownload(ctx, item) {
+    return {
+      fileId: item.id,
+      options: this.getExportOptionsForMime(ctx.from.id, item.mimeType),
+    };
+  }
+
+  getFolderBrowserItem(ctx, index) {
+    const browser = this.getUserSession(ctx.from.id).folderBrowser;
+    return browser?.items[index] || null;
+  }
+
+  updateFolderBrowser(userId, patch) {
+    const browser = this.getUserSession(userId).folderBrowser;
+    this.updateUserSession(userId, { folderBrowser: { ...browser, ...patch } });
+  }
+
+  async answerFolderSessionExpired(ctx) {
+    await ctx.answerCbQuery(
+      "⌛ This folder view has expired. Please send the folder link again."
+    );
+  }
+
+  /**
+   * ☁️ DRIVE LIBRARY MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Drive folder that /list and /get work on for the requesting user
+   * Linked accounts use their upload folder; everyone else uses
+   * DRIVE_UPLOAD_FOLDER_ID through the service account, within the Shared
+   * Drives enabled for the chat. Tells the user why if there is none.
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<Object|null>} { client, folderId, listOptions } or null
+   */
+  async getDriveLibrary(ctx) {
+    const client = this.googleAccounts.getDriveClient(ctx.from.id);
+
+    if (client) {
+      // File names in a personal Drive are nobody else's business
+      if (ctx.chat.type !== "private") {
+        await ctx.reply("🔐 For your privacy, use /list and /get in a private chat with me.");
+        return null;
+      }
+
+      const { uploadFolderId } = this.googleAccounts.get(ctx.from.id);
+      if (!uploadFolderId) {
+        await ctx.reply("📭 Your Drive folder is empty. Send me a file to store it there.");
+        return null;
+      }
+      return {
+        client,
+        folderId: uploadFolderId,
+        listOptions: { checkSharedDrive: false },
+      };
+    }
+
+    if (config.DRIVE_UPLOAD_FOLDER_ID) {
+      return {
+        client: driveApi,
+        folderId: config.DRIVE_UPLOAD_FOLDER_ID,
+        listOptions: {
+          checkSharedDrive: true,
+          allowedDriveIds: this.getAllowedDriveIds(ctx),
+        },
+      };
+    }
+
+    await ctx.reply(
+      config.GOOGLE_OAUTH_ENABLED
+        ? "🔐 Link your Google account with /connect to list and fetch your Drive files."
+        : "☁️ No Google Drive folder is configured on this bot."
+    );
+    return null;
+  }
+
+  /**
+   * Handle /list: show the Drive folder, a subfolder or a folder link
+   * @param {Object} ctx - Telegraf context
+   * @param {string} target - Subfolder name, folder link, or "" for the Drive folder
+   */
+  async listDriveLibrary(ctx, target) {
+    const library = await this.getDriveLibrary(ctx);
+    if (!library) return;
+
+    const loadingMessage = await ctx.reply("☁️ Loading Google Drive folder...");
+    let folderId = library.folderId;
+    const parents = [];
+
+    if (target) {
+      folderId = parseGoogleDriveFolderUrl(target);
+      if (!folderId) {
+        const listing = await listDriveFolder(
+          library.client,
+          library.folderId,
+          library.listOptions
+        );
+        const [match] = listing.success
+          ? matchFileNames(
+              listing.items.filter((item) => item.isFolder),
+              target
+            )
+          : [];
+        if (!match) {
+          await ctx.telegram.editMessageText(
+            ctx.chat.id,
+            loadingMessage.message_id,
+            null,
+            `📂 No folder matching "${target}". Use /list to see all folders.`
+          );
+          return;
+        }
+        folderId = match.item.id;
+        parents.push({
+          folderId: library.folderId,
+          folderName: listing.folderName,
+        });
+      }
+    }
+
+    await this.openLibraryFolder(ctx, folderId, {
+      messageId: loadingMessage.message_id,
+      parents,
+      library,
+    });
+  }
+
+  /**
+   * List a Drive folder and show it in the /list view
+   * @param {Object} ctx - Telegraf context
+   * @param {string} folderId - Google Drive folder ID
+   * @param {Object} options - { messageId, parents, pushCurrent, library }
+   */
+  async openLibraryFolder(ctx, folderId, options = {}) {
+    const library = options.library || (await this.getDriveLibrary(ctx));
+    if (!library) return;
+
+    const listing = await listDriveFolder(
+      library.client,
+      folderId,
+      library.listOptions
+    );
+    const current = this.getUserSession(ctx.from.id).driveLibrary;
+
+    if (!listing.success) {
+      const errorText = `❌ Could not open this folder.\n\n${this.generateUserErrorMessage(
+        new Error(listing.error)
+      )}`;
+      if (options.messageId) {
+        await ctx.telegram.editMessageText(
+          ctx.chat.id,
+          options.messageId,
+          null,
+          errorText
+        );
+      } else {
+        await ctx.reply(errorText);
+      }
+      return;
+    }
+
+    let parents = options.parents || [];
+    if (options.pushCurrent && current) {
+      parents = [
+        ...current.parents,
+        { folderId: current.folderId, folderName: current.folderName },
+      ];
+    }
+
+    this.updateUserSession(ctx.from.id, {
+      driveLibrary: {
+        folderId,
+        folderName: listing.folderName,
+        items: listing.items,
+        page: 0,
+        parents,
+      },
+    });
+
+    await this.renderDriveLibrary(ctx, options.messageId);
+  }
+
+  /**
+   * Render the current /list page: name, size and modified date of each item
+   * @param {Object} ctx - Telegraf context
+   * @param {number} messageId - Message to edit (defaults to the callback message)
+   */
+  async renderDriveLibrary(ctx, messageId = null) {
+    const pageSize = 10;
+    const library = this.getUserSession(ctx.from.id).driveLibrary;
+    const totalPages = Math.max(1, Math.ceil(library.items.length / pageSize));
+    const page = Math.min(library.page, totalPages - 1);
+    const pageItems = library.items.slice(
+      page * pageSize,
+      (page + 1) * pageSize
+    );
+
+    const lines = pageItems.map((item, offset) => {
+      const number = page * pageSize + offset + 1;
+      const name = this.escapeMarkdown(
+        item.name.length > 50 ? `${item.name.substring(0, 50)}...` : item.name
+      );
+
+      if (item.isFolder) {
+        return `${number}. 📁 *${name}*`;
+      }
+
+      const size = item.size !== null ? this.formatFileSize(item.size) : "Google file";
+      const modified = item.modifiedTime ? ` · ${item.modifiedTime.slice(0, 10)}` : "";
+      return `${number}. ${this.getFileEmoji(item.mimeType)} ${name}\n      ${size}${modified}`;
+    });
+
+    const buttons = pageItems.map((item, offset) => {
+      const index = page * pageSize + offset;
+      return item.isFolder
+        ? Markup.button.callback(`📁 ${index + 1}`, `lib_open_${index}`)
+        : Markup.button.callback(`📥 ${index + 1}`, `lib_get_${index}`);
+    });
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+      rows.push(buttons.slice(i, i + 5));
+    }
+
+    const navigation = [];
+    if (page > 0) {
+      navigation.push(
+        Markup.button.callback("⬅️ Previous", `lib_page_${page - 1}`)
+      );
+    }
+    if (page < totalPages - 1) {
+      navigation.push(Markup.button.callback("➡️ Next", `lib_page_${page + 1}`));
+    }
+    if (navigation.length > 0) {
+      rows.push(navigation);
+    }
+
+    const footer = [];
+    if (library.parents.length > 0) {
+      footer.push(Markup.button.callback("⬆️ Up", "lib_up"));
+    }
+    footer.push(Markup.button.callback("❌ Close", "lib_close"));
+    rows.push(footer);
+
+    const fileCount = library.items.filter((item) => !item.isFolder).length;
+    const messageText =
+      `☁️ *${this.escapeMarkdown(library.folderName)}*\n` +
+      `📄 Files: ${fileCount} · 📁 Folders: ${
+        library.items.length - fileCount
+      } · 📃 Page ${page + 1}/${totalPages}\n\n` +
+      (lines.length > 0
+        ? `${lines.join("\n")}\n\nTap a number to download the file or open the folder 👇`
+        : "This folder is empty.");
+    const options = {
+      parse_mode: "Markdown",
+      reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+    };
+
+    if (messageId) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        messageText,
+        options
+      );
+    } else {
+      await this.safeEditMessageText(ctx, messageText, options);
+    }
+  }
+
+  /**
+   * Handle /get: find a file in the Drive folder by name and deliver it
+   * A clear match is downloaded right away; otherwise the best matches are
+   * offered as buttons.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} query - File name, part of it, or a glob pattern (*.pdf)
+   */
+  async getFromDriveLibrary(ctx, query) {
+    if (!query) {
+      await ctx.reply(
+        "Usage: /get <name or pattern>\nExamples: /get quarterly report, /get *.pdf"
+      );
+      return;
+    }
+
+    const library = await this.getDriveLibrary(ctx);
+    if (!library) return;
+
+    const searchMessage = await ctx.reply(`🔍 Searching for "${query}"...`);
+    const showResult = (text, extra) =>
+      ctx.telegram.editMessageText(
+        ctx.chat.id,
+        searchMessage.message_id,
+        null,
+        text,
+        extra
+      );
+
+    let files;
+    try {
+      files = await this.collectLibraryFiles(library);
+    } catch (error) {
+      await showResult(
+        `❌ Could not search your Drive folder.\n\n${this.generateUserErrorMessage(error)}`
+      );
+      return;
+    }
+
+    const matches = matchFileNames(files, query);
+
+    if (matches.length === 0) {
+      await showResult(`🔍 No file matches "${query}". Use /list to browse the folder.`);
+      return;
+    }
+
+    if (isUnambiguous(matches)) {
+      const [{ item }] = matches;
+      await showResult(`📥 ${item.path}`);
+      this.startBatchDownload(ctx, [this.toFolderDownload(ctx, item)]);
+      return;
+    }
+
+    const choices = matches.slice(0, 8).map((match) => match.item);
+    this.updateUserSession(ctx.from.id, { driveMatches: choices });
+
+    const keyboard = Markup.inlineKeyboard([
+      ...choices.map((item, index) => [
+        Markup.button.callback(
+          `${this.getFileEmoji(item.mimeType)} ${
+            item.path.length > 50 ? `...${item.path.slice(-50)}` : item.path
+          }`,
+          `lib_pick_${index}`
+        ),
+      ]),
+      [Markup.button.callback("❌ Cancel", "lib_close")],
+    ]);
+
+    await showResult(
+      `🔎 ${matches.length} files match "${query}"${
+        matches.length > choices.length ? ` (showing the best ${choices.length})` : ""
+      }. Which one do you want?`,
+      { reply_markup: keyboard.reply_markup }
+    );
+  }
+
+  /**
+   * Collect the files of the Drive folder and its subfolders for /get
+   * Stops after MAX_LIBRARY_SEARCH_FOLDERS folders; subfolders that can't be
+   * listed are skipped.
+   * @param {Object} library - Result of getDriveLibrary
+   * @returns {Promise<Array<Object>>} Folder items with their path in the folder
+   */
+  async collectLibraryFiles(library) {
+    const files = [];
+    const pending = [{ folderId: library.folderId, folderPath: "" }];
+
+    for (
+      let scanned = 0;
+      pending.length > 0 && scanned < MAX_LIBRARY_SEARCH_FOLDERS;
+      scanned++
+    ) {
+      const { folderId, folderPath } = pending.shift();
+      const listing = await listDriveFolder(
+        library.client,
+        folderId,
+        library.listOptions
+      );
+      if (!listing.success) {
+        if (scanned === 0) {
+          throw new Error(listing.error);
+        }
+        continue;
+      }
+
+      for (const item of listing.items) {
+        const itemPath = folderPath ? `${folderPath}/${item.name}` : item.name;
+        if (item.isFolder) {
+          pending.push({ folderId: item.id, folderPath: itemPath });
+        } else {
+          files.push({ ...item, path: itemPath });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  getDriveLibraryItem(ctx, index) {
+    const library = this.getUserSession(ctx.from.id).driveLibrary;
+    return library?.items[index] || null;
+  }
+
+  async answerLibrarySessionExpired(ctx) {
+    await ctx.answerCbQuery("⌛ This list has expired. Please use /list again.");
+  }
+
+  /**
+   * 👀 DRIVE WATCH MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Handle /watch: start delivering new and changed files of a Drive link
+   * @param {Object} ctx - Telegraf context
+   * @param {string} link - Google Drive file or folder link
+   */
+  async addDriveWatch(ctx, link) {
+    if (!config.WATCH_ENABLED) {
+      await ctx.reply("👀 Watching Google Drive files is not enabled on this bot.");
+      return;
+    }
+
+    if (!link) {
+      await ctx.reply(
+        `Usage: /watch <Google Drive file or folder link>\nNew and changed files are sent to this chat. I check every ${config.WATCH_POLL_INTERVAL_MINUTES} minutes.`
+      );
+      return;
+    }
+
+    const folderId = parseGoogleDriveFolderUrl(link);
+    const targetId = folderId || parseGoogleDriveUrl(link);
+    if (!isValidGoogleDriveUrl(link) || !targetId) {
+      await ctx.reply(
+        "❗ That isn't a Google Drive link. Send /watch followed by a file or folder link."
+      );
+      return;
+    }
+
+    const type = folderId ? "folder" : "file";
+    const checkingMessage = await ctx.reply(`👀 Checking the ${type}...`);
+    const showResult = (text, extra) =>
+      ctx.telegram.editMessageText(
+        ctx.chat.id,
+        checkingMessage.message_id,
+        null,
+        text,
+        extra
+      );
+
+    logger.logUserAction("watch", ctx.chat.id, {
+      type,
+      targetId: targetId.substring(0, 10) + "...",
+    });
+
+    try {
+      const watch = await this.driveWatcher.add({
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        targetId,
+        type,
+      });
+
+      await showResult(
+        `👀 Now watching ${type === "folder" ? "📁" : "📄"} *${this.escapeMarkdown(
+          watch.name
+        )}*\n\n` +
+          (type === "folder"
+            ? "New and changed files in this folder will be sent to this chat."
+            : "New versions of this file will be sent to this chat.") +
+          ` I check every ${config.WATCH_POLL_INTERVAL_MINUTES} minutes.\n\nSee all watches with /watches.`,
+        { parse_mode: "Markdown" }
+      );
+    } catch (error) {
+      if (["WATCH_EXISTS", "WATCH_LIMIT"].includes(error.code)) {
+        await showResult(`👀 ${error.message}. See /watches.`);
+        return;
+      }
+
+      await showResult(
+        `❌ Could not watch this ${type}.\n\n${this.generateUserErrorMessage(error)}`
+      );
+    }
+  }
+
+  /**
+   * Handle /unwatch: stop a watch given by link or by its number in /watches
+   * Without an argument, shows the watches to pick from.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} target - Link, number or ""
+   */
+  async removeDriveWatch(ctx, target) {
+    if (!target) {
+      await this.showDriveWatches(ctx);
+      return;
+    }
+
+    const watches = this.driveWatcher.listForChat(ctx.chat.id);
+    const targetId = /^\d+$/.test(target)
+      ? watches[Number(target) - 1]?.targetId
+      : parseGoogleDriveFolderUrl(target) || parseGoogleDriveUrl(target);
+
+    const watch = targetId
+      ? this.driveWatcher.remove(ctx.chat.id, targetId)
+      : null;
+    if (!watch) {
+      await ctx.reply("👀 This chat isn't watching that. See /watches.");
+      return;
+    }
+
+    await ctx.reply(`🗑 Stopped watching *${this.escapeMarkdown(watch.name)}*.`, {
+      parse_mode: "Markdown",
+    });
+  }
+
+  /**
+   * Show the watches of the current chat with buttons to stop them
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} options - { edit: true } to update the callback message
+   */
+  async showDriveWatches(ctx, options = {}) {
+    const watches = this.driveWatcher.listForChat(ctx.chat.id);
+
+    const lines = watches.map((watch, index) => {
+      const status = watch.failures
+        ? `⚠️ Last check failed: ${watch.lastError}`
+        : watch.lastChangeAt
+          ? `Last change: ${new Date(watch.lastChangeAt).toLocaleString()}`
+          : "No changes yet";
+      return `${index + 1}. ${watch.type === "folder" ? "📁" : "📄"} *${this.escapeMarkdown(
+        watch.name
+      )}*\n      ${this.escapeMarkdown(status)}`;
+    });
+
+    const buttons = watches.map((watch, index) =>
+      Markup.button.callback(`🗑 ${index + 1}`, `unwatch_${watch.targetId}`)
+    );
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+      rows.push(buttons.slice(i, i + 5));
+    }
+
+    const messageText =
+      watches.length > 0
+        ? `👀 *Watched in this chat* (${watches.length}/${config.MAX_WATCHES_PER_CHAT})\n` +
+          `Checked every ${config.WATCH_POLL_INTERVAL_MINUTES} minutes.\n\n` +
+          `${lines.join("\n")}\n\nTap a number to stop watching it 👇`
+        : "👀 This chat isn't watching anything.\n\nUse /watch <link> to get new and changed files of a Drive file or folder.";
+    const extra = {
+      parse_mode: "Markdown",
+      reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+    };
+
+    if (options.edit) {
+      await this.safeEditMessageText(ctx, messageText, extra);
+    } else {
+      await ctx.reply(messageText, extra);
+    }
+  }
+
+  /**
+   * Look up the current files of a watched target and their versions
+   * Uses the watch creator's linked account if it can see the target, and
+   * the bot's own access (limited to the chat's Shared Drives) otherwise.
+   * Folders are watched without their subfolders.
+   * @param {Object} watch - Watch to inspect
+   * @returns {Promise<Object>} { name, items: [{ id, name, mimeType, version }] }
+   */
+  async inspectWatchTarget(watch) {
+    const client = this.googleAccounts.getDriveClient(watch.userId);
+    const allowedDriveIds = this.getAllowedDriveIds(
+      this.createJobContext(watch.chatId, watch.userId)
+    );
+
+    if (watch.type === "folder") {
+      let listing = client
+        ? await listDriveFolder(client, watch.targetId, { checkSharedDrive: false })
+        : null;
+      if (!listing?.success) {
+        listing = await listFolderContents(watch.targetId, { allowedDriveIds });
+      }
+      if (!listing.success) {
+        throw new Error(listing.error);
+      }
+
+      return {
+        name: listing.folderName,
+        items: listing.items
+          .filter((item) => !item.isFolder)
+          .map((item) => ({
+            id: item.id,
+            name: item.name,
+            mimeType: item.mimeType,
+            version: this.describeWatchVersion(item.modifiedTime, item.size),
+          })),
+      };
+    }
+
+    let file = client ? await client.getFile(watch.targetId).catch(() => null) : null;
+    if (!file) {
+      const info = await getFileInfo(watch.targetId, {
+        checkSharedDrive: true,
+        allowedDriveIds,
+      });
+      if (!info.success) {
+        throw new Error(info.error);
+      }
+      file = {
+        name: info.fileName,
+        mimeType: info.contentType,
+        modifiedTime: info.lastModified,
+        size: info.fileSize,
+      };
+    }
+
+    return {
+      name: file.name,
+      items: [
+        {
+          id: watch.targetId,
+          name: file.name,
+          mimeType: file.mimeType,
+          version: this.describeWatchVersion(file.modifiedTime, file.size),
+        },
+      ],
+    };
+  }
+
+  // Modification time and size identify a file version; null if neither is known
+  describeWatchVersion(modifiedTime, size) {
+    const parts = [modifiedTime, size].filter((part) => part !== null && part !== undefined);
+    return parts.length > 0 ? parts.join("|") : null;
+  }
+
+  /**
+   * Announce the changes a watch found and deliver the files to its chat
+   * @param {Object} watch - Watch that changed
+   * @param {Array<Object>} changes - New or changed files ({ id, name, mimeType, isNew })
+   */
+  async deliverWatchChanges(watch, changes) {
+    const ctx = this.createJobContext(watch.chatId, watch.userId);
+    const deliveries = changes.slice(0, MAX_WATCH_DELIVERIES);
+    const lines = deliveries.map(
+      (change) => `${change.isNew ? "🆕" : "✏️"} ${this.escapeMarkdown(change.name)}`
+    );
+    const remaining = changes.length - deliveries.length;
+
+    try {
+      await ctx.reply(
+        `👀 *${this.escapeMarkdown(watch.name)}* ${
+          watch.type === "folder" ? "has new or changed files" : "was updated"
+        }\n\n${lines.join("\n")}${
+          remaining > 0 ? `\n...and ${remaining} more, see the folder in Google Drive` : ""
+        }`,
+        { parse_mode: "Markdown" }
+      );
+    } catch (error) {
+      // The bot was removed from the chat or blocked by the user
+      if (error.code === 403) {
+        const removed = this.driveWatcher.removeChat(watch.chatId);
+        logger.info("Dropped Drive watches of an unreachable chat", {
+          chatId: watch.chatId,
+          removed,
+        });
+        return;
+      }
+      throw error;
+    }
+
+    const downloads = deliveries.map((change) => this.toFolderDownload(ctx, change));
+    // The file cache would answer a changed file with its previous version
+    deliveries.forEach((change, index) => {
+      if (!change.isNew) {
+        this.fileCache.invalidate(change.id, downloads[index].options);
+      }
+    });
+
+    this.startBatchDownload(ctx, downloads);
+  }
+
+  /**
+   * Tell a chat that one of its watches was dropped after failing repeatedly
+   * @param {Object} watch - Dropped watch
+   * @param {Error} error - Error of the last check
+   */
+  async reportWatchDropped(watch, error) {
+    await this.bot.telegram.sendMessage(
+      watch.chatId,
+      `🛑 Stopped watching "${watch.name}": it couldn't be checked several times in a row.\n\n` +
+        `${this.generateUserErrorMessage(error)}\n\nUse /watch to watch it again.`
+    );
+  }
+
+  /**
+   * 🔐 GOOGLE ACCOUNT MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Handle /connect: link a Google account through the OAuth device flow
+   * The sign-in code is shown right away; waiting for the user to approve it
+   * runs in the background so the update handler can return.
+   * @param {Object} ctx - Telegraf context
+   */
+  async connectGoogleAccount(ctx) {
+    const userId = ctx.from.id;
+
+    if (!config.GOOGLE_OAUTH_ENABLED) {
+      await ctx.reply("🔒 Linking Google accounts is not enabled on this bot.");
+      return;
+    }
+
+    // Anyone who sees the code could link their own account to this user
+    if (ctx.chat.type !== "private") {
+      await ctx.reply("🔐 For your security, send /connect in a private chat with me.");
+      return;
+    }
+
+    const account = this.googleAccounts.get(userId);
+    if (account) {
+      await ctx.reply(
+        `✅ Your Google account ${account.email || ""} is already linked.
+Use /disconnect to unlink it.`
+      );
+      return;
+    }
+
+    if (this.pendingConnections.has(userId)) {
+      await ctx.reply(
+        "⏳ A sign-in is already waiting for you. Finish it with my previous message, or cancel it there."
+      );
+      return;
+    }
+
+    let flow;
+    try {
+      flow = await googleOAuth.startFlow();
+    } catch (error) {
+      logger.error("Failed to start Google sign-in", {
+        userId,
+        error: error.message,
+      });
+      await ctx.reply("❌ Could not start the Google sign-in. Please try again later.");
+      return;
+    }
+
+    const minutesLeft = Math.round((flow.expiresAt - Date.now()) / 60000);
+    const keyboard = Markup.inlineKeyboard([
+      [
+        flow.type === "web"
+          ? Markup.button.url("🔗 Sign in with Google", flow.authorizationUrl)
+          : Markup.button.url("🔗 Open Google", flow.verificationUrl),
+      ],
+      [Markup.button.callback("❌ Cancel", "connect_cancel")],
+    ]);
+    const message = await ctx.reply(
+      `🔐 *Link your Google account*\n\n` +
+        (flow.type === "web"
+          ? `1. Tap "Sign in with Google"\n` +
+            `2. Choose your account and allow access to Google Drive\n\n` +
+            `⏳ The link expires in ${minutesLeft} minutes.`
+          : `1. Open ${flow.verificationUrl}\n` +
+            `2. Enter the code \`${flow.userCode}\`\n` +
+            `3. Allow access to Google Drive\n\n` +
+            `⏳ The code expires in ${minutesLeft} minutes.`),
+      { parse_mode: "Markdown", reply_markup: keyboard.reply_markup }
+    );
+
+    const controller = new AbortController();
+    this.pendingConnections.set(userId, controller);
+
+    this.waitForGoogleAuthorization(ctx.telegram, message, userId, flow, controller.signal)
+      .catch((error) =>
+        logger.error("Google sign-in failed", { userId, error: error.message })
+      )
+      .finally(() => this.pendingConnections.delete(userId));
+  }
+
+  /**
+   * Wait for the user to approve the sign-in, then store the account
+   * @param {Telegram} telegram - Telegram client
+   * @param {Object} message - Message showing the sign-in code (edited with the outcome)
+   * @param {number} userId - Telegram user ID
+   * @param {Object} flow - Device flow from googleOAuth.startDeviceFlow()
+   * @param {AbortSignal} signal - Cancels the sign-in
+   */
+  async waitForGoogleAuthorization(telegram, message, userId, flow, signal) {
+    const showResult = (text) =>
+      telegram
+        .editMessageText(message.chat.id, message.message_id, undefined, text, {
+          parse_mode: "Markdown",
+        })
+        .catch(() => {});
+
+    try {
+      const tokens = await googleOAuth.waitForTokens(flow, { signal });
+      const account = await this.googleAccounts.link(userId, tokens);
+
+      await showResult(
+        `✅ *Google account linked*\n👤 ${this.escapeMarkdown(
+          account.email || account.displayName || "Unknown account"
+        )}\n\n${
+          canReadAllFiles(account.scope)
+            ? "Files I can't download publicly are now tried with this account, and I can store files in your Google Drive."
+            : "I can now store files in your Google Drive and fetch the ones I stored there. Google only allowed access to those files, so your other private files stay out of my reach."
+        } Use /disconnect to unlink it.`
+      );
+    } catch (error) {
+      const outcomes = {
+        CANCELLED: "❌ Google sign-in cancelled.",
+        OAUTH_DENIED: "🚫 Google sign-in was denied. Send /connect to try again.",
+        OAUTH_EXPIRED: "⌛ The sign-in expired. Send /connect to start a new one.",
+      };
+      await showResult(
+        outcomes[error.code] || "❌ Could not link your Google account. Please try again later."
+      );
+      if (!outcomes[error.code]) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Handle /disconnect: revoke the linked account's tokens and delete them
+   * @param {Object} ctx - Telegraf context
+   */
+  async disconnectGoogleAccount(ctx) {
+    this.pendingConnections.get(ctx.from.id)?.abort();
+
+    const result = await this.googleAccounts.unlink(ctx.from.id);
+    if (!result) {
+      await ctx.reply("ℹ️ No Google account is linked. Use /connect to link one.");
+      return;
+    }
+
+    await ctx.reply(
+      "🔓 Your Google account is unlinked and its tokens are deleted." +
+        (result.revoked
+          ? ""
+          : "\n⚠️ Google couldn't confirm the revocation. You can remove the bot's access at https://myaccount.google.com/permissions")
+    );
+  }
+
+  /**
+   * 📤 DRIVE UPLOAD MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Handle a document, photo, video or audio file sent to the bot
+   * Only private chats are handled, so files shared in groups the bot is
+   * in are never uploaded by accident.
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleIncomingFile(ctx) {
+    if (ctx.chat.type !== "private") {
+      return;
+    }
+
+    if (!config.DRIVE_UPLOAD_ENABLED) {
+      await ctx.reply("📤 Storing files in Google Drive is not enabled on this bot.");
+      return;
+    }
+
+    const destination = this.getUploadDestination(ctx.from.id);
+    if (!destination) {
+      await ctx.reply(
+        config.GOOGLE_OAUTH_ENABLED
+          ? "🔐 Link your Google account with /connect, then send the file again to store it in your Google Drive."
+          : "📤 Storing files in Google Drive is not set up on this bot."
+      );
+      return;
+    }
+
+    if (destination === "folder") {
+      try {
+        await this.assertUploadFolderAllowed(ctx);
+      } catch (error) {
+        await ctx.reply(this.generateUserErrorMessage(error));
+        return;
+      }
+    }
+
+    const attachment = this.getTelegramAttachment(ctx.message);
+    const limitMB = Math.min(
+      config.TELEGRAM_DOWNLOAD_LIMIT_MB,
+      config.MAX_FILE_SIZE_MB
+    );
+    if (attachment.fileSize > limitMB * 1024 * 1024) {
+      await ctx.reply(
+        `📁 File is too large! I can store files up to ${limitMB}MB (${this.describeBotApiMode()}).`
+      );
+      return;
+    }
+
+    const processingMessage = await ctx.reply(
+      `☁️ **Saving to Google Drive**\n📄 ${this.escapeMarkdown(
+        attachment.fileName
+      )}\n⏳ Preparing...`,
+      { parse_mode: "Markdown" }
+    );
+
+    logger.logUserAction("upload_file", ctx.chat.id, {
+      fileName: attachment.fileName,
+      fileSize: attachment.fileSize,
+      destination,
+    });
+
+    this.enqueueJob(ctx, `${attachment.fileName} (to Drive)`, "upload", {
+      attachment,
+      messageId: processingMessage.message_id,
+    });
+  }
+
+  /**
+   * Where a user's uploads go: their linked account, or the shared upload folder
+   * @param {number} userId - Telegram user ID
+   * @returns {string|null} "account", "folder" or null if uploads aren't possible
+   */
+  getUploadDestination(userId) {
+    if (this.googleAccounts.isLinked(userId)) {
+      return "account";
+    }
+    return config.DRIVE_UPLOAD_FOLDER_ID ? "folder" : null;
+  }
+
+  /**
+   * Describe the file attached to a message
+   * Photos have no name and come in several sizes; the largest is used.
+   * @param {Object} msg - Telegram message with a document, photo, video or audio
+   * @returns {Object} { fileId, fileName, mimeType, fileSize }
+   */
+  getTelegramAttachment(msg) {
+    const sentAt = new Date(msg.date * 1000)
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .replace("T", "_")
+      .slice(0, 19);
+
+    if (msg.photo) {
+      const photo = msg.photo[msg.photo.length - 1];
+      return {
+        fileId: photo.file_id,
+        fileName: `photo_${sentAt}.jpg`,
+        mimeType: "image/jpeg",
+        fileSize: photo.file_size || 0,
+      };
+    }
+
+    const [kind, extension] = msg.video
+      ? ["video", "mp4"]
+      : msg.audio
+        ? ["audio", "mp3"]
+        : ["document", "bin"];
+    const file = msg[kind];
+
+    return {
+      fileId: file.file_id,
+      fileName: sanitizeFileName(file.file_name || `${kind}_${sentAt}.${extension}`),
+      mimeType: file.mime_type || "application/octet-stream",
+      fileSize: file.file_size || 0,
+    };
+  }
+
+  /**
+   * Fetch a file sent to the bot and upload it to Google Drive
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} attachment - Result of getTelegramAttachment
+   * @param {number} messageId - Message showing the progress and result
+   */
+  async runUploadJob(ctx, attachment, messageId) {
+    const { fileName, fileSize } = attachment;
+    const progressEditor = this.createProgressEditor(
+      ctx,
+      messageId
+    );
+    const filePath = path.join(
+      config.TEMP_DIR,
+      `upload_${Date.now()}_${fileName}`
+    );
+    let reservation = null;
+
+    try {
+      reservation = await tempStorage.reserve(fileSize, {
+        label: `${fileName} (to Drive)`,
+      });
+      reservation.track(filePath);
+
+      await this.fetchTelegramFile(ctx, attachment.fileId, filePath, (progress) =>
+        progressEditor.update(
+          this.formatProgressMessage({ phase: "receive", fileName, ...progress })
+        )
+      );
+
+      const target = await this.resolveUploadTarget(ctx);
+      const file = await target.client.uploadFile(
+        filePath,
+        { name: fileName, mimeType: attachment.mimeType, parents: [target.folderId] },
+        {
+          onProgress: this.createStoreProgressReporter(
+            progressEditor,
+            fileName,
+            fileSize
+          ),
+        }
+      );
+
+      let linkShared = false;
+      if (config.DRIVE_UPLOAD_LINK_SHARING) {
+        linkShared = await target.client
+          .shareWithAnyone(file.id)
+          .then(() => true)
+          .catch((error) => {
+            logger.warn("Could not enable link sharing for an upload", {
+              fileId: file.id,
+              error: error.message,
+            });
+            return false;
+          });
+      }
+
+      this.recordUpload(ctx.from.id, file, attachment, target.destination);
+
+      const keyboard = Markup.inlineKeyboard([
+        ...(file.webViewLink
+          ? [[Markup.button.url("🔗 Open in Google Drive", file.webViewLink)]]
+          : []),
+        [Markup.button.callback("📁 View in File Manager", "file_manager")],
+      ]);
+
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        `✅ **Saved to Google Drive**\n📄 ${this.escapeMarkdown(
+          file.name
+        )}\n💾 Size: ${this.formatFileSize(Number(file.size || fileSize))}\n📂 ${
+          target.destination === "account"
+            ? `${this.escapeMarkdown(config.DRIVE_UPLOAD_FOLDER_NAME)} in your Google Drive`
+            : "Shared upload folder"
+        }${file.webViewLink ? `\n🔗 ${this.escapeMarkdown(file.webViewLink)}` : ""}${
+          linkShared ? "\n🌐 Anyone with the link can view it." : ""
+        }`,
+        {
+          parse_mode: "Markdown",
+          reply_markup: keyboard.reply_markup,
+          disable_web_page_preview: true,
+        }
+      );
+
+      logger.info("File uploaded to Google Drive", {
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        fileName,
+        fileSize,
+        destination: target.destination,
+      });
+    } catch (error) {
+      logger.error("Upload to Google Drive failed", {
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        fileName,
+        error: error.message,
+      });
+
+      await ctx.telegram
+        .editMessageText(
+          ctx.chat.id,
+          messageId,
+          null,
+          `❌ **Upload Failed**\n\n${this.generateUserErrorMessage(error)}`,
+          { parse_mode: "Markdown" }
+        )
+        .catch(() => {});
+    } finally {
+      await fs.remove(filePath);
+      reservation?.release();
+    }
+  }
+
+  /**
+   * Progress callback for Drive uploads, which report confirmed bytes
+   * @param {Object} progressEditor - Editor of the processing message
+   * @param {string} fileName - File being uploaded
+   * @param {number} fileSize - Total size in bytes
+   * @returns {Function} (bytes) => void
+   */
+  createStoreProgressReporter(progressEditor, fileName, fileSize) {
+    const tracker = new ProgressTracker(fileSize);
+    let confirmed = 0;
+
+    return (bytes) => {
+      const snapshot = tracker.update(bytes - confirmed);
+      confirmed = bytes;
+      progressEditor.update(
+        this.formatProgressMessage({ phase: "store", fileName, ...snapshot })
+      );
+    };
+  }
+
+  /**
+   * Download a file sent to the bot into TEMP_DIR
+   * A local Bot API server (--local) returns an absolute path on its own disk
+   * instead of a download link; that path must be readable by the bot.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} telegramFileId - Telegram file_id
+   * @param {string} destPath - Where to write the file
+   * @param {Function} onProgress - Called with progress snapshots
+   */
+  async fetchTelegramFile(ctx, telegramFileId, destPath, onProgress) {
+    const file = await ctx.telegram.getFile(telegramFileId);
+
+    if (path.isAbsolute(file.file_path)) {
+      await fs.copy(file.file_path, destPath);
+      return;
+    }
+
+    const url = await ctx.telegram.getFileLink(file);
+    const response = await axios({
+      method: "GET",
+      url: url.href,
+      responseType: "stream",
+      timeout: config.DOWNLOAD_TIMEOUT_MS,
+    });
+
+    const tracker = new ProgressTracker(file.file_size);
+    response.data.on("data", (chunk) => onProgress(tracker.update(chunk.length)));
+
+    await new Promise((resolve, reject) =>
+      pipeline(response.data, fs.createWriteStream(destPath), (error) =>
+        error ? reject(error) : resolve()
+      )
+    );
+  }
+
+  /**
+   * Drive client and folder for a user's next upload
+   * Linked accounts upload to a folder the bot creates in their My Drive
+   * (DRIVE_UPLOAD_FOLDER_NAME), created again if the user deleted it.
+   * Everyone else uploads to DRIVE_UPLOAD_FOLDER_ID with the service account,
+   * if its Shared Drive is enabled for the chat.
+   * @param {Object} ctx - Telegraf context
+   * @returns {Promise<Object>} { client, folderId, destination }
+   */
+  async resolveUploadTarget(ctx) {
+    const userId = ctx.from.id;
+    const client = this.googleAccounts.getDriveClient(userId);
+    if (!client) {
+      if (!config.DRIVE_UPLOAD_FOLDER_ID) {
+        throw new Error("No Google account is linked, use /connect first");
+      }
+      await this.assertUploadFolderAllowed(ctx);
+      return {
+        client: driveApi,
+        folderId: config.DRIVE_UPLOAD_FOLDER_ID,
+        destination: "folder",
+      };
+    }
+
+    const { uploadFolderId } = this.googleAccounts.get(userId);
+    if (uploadFolderId) {
+      const folder = await client
+        .getFile(uploadFolderId, "id,trashed")
+        .catch((error) => {
+          if (error.response?.status === 404) {
+            return null;
+          }
+          throw error;
+        });
+      if (folder && !folder.trashed) {
+        return { client, folderId: uploadFolderId, destination: "account" };
+      }
+    }
+
+    const folder = await client.createFolder(config.DRIVE_UPLOAD_FOLDER_NAME);
+    this.googleAccounts.setUploadFolder(userId, folder.id);
+    logger.info("Created Google Drive upload folder", { userId });
+
+    return { client, folderId: folder.id, destination: "account" };
+  }
+
+  /**
+   * Refuse uploads to DRIVE_UPLOAD_FOLDER_ID from chats its Shared Drive
+   * isn't enabled for with /drives
+   * @param {Object} ctx - Telegraf context
+   * @throws {Error} With code "UPLOAD_FOLDER_NOT_ALLOWED"
+   */
+  async assertUploadFolderAllowed(ctx) {
+    const allowedDriveIds = this.getAllowedDriveIds(ctx);
+    if (allowedDriveIds === null) {
+      return;
+    }
+
+    const folder = await driveApi.getFile(config.DRIVE_UPLOAD_FOLDER_ID, "id,driveId");
+    if (folder.driveId && !allowedDriveIds.includes(folder.driveId)) {
+      const error = new Error(
+        "Access denied: the upload folder's Shared Drive is not enabled for this chat"
+      );
+      error.code = "UPLOAD_FOLDER_NOT_ALLOWED";
+      throw error;
+    }
+  }
+
+  /**
+   * Store an upload in the user's File Manager and statistics
+   * @param {number} userId - User ID
+   * @param {Object} file - Drive file resource of the upload
+   * @param {Object} attachment - Telegram attachment ({ fileName, fileSize, mimeType })
+   * @param {string} destination - "account" or "folder"
+   */
+  recordUpload(userId, file, attachment, destination) {
+    this.addToUserFileHistory(userId, {
+      id: this.generateFileId(),
+      name: file.name,
+      size: Number(file.size || attachment.fileSize),
+      type: file.mimeType || attachment.mimeType,
+      downloadDate: new Date(),
+      driveFileId: file.id,
+      upload: {
+        webViewLink: file.webViewLink || null,
+        destination,
+      },
+      ...(file.md5Checksum && { checksums: { md5: file.md5Checksum } }),
+    });
+
+    this.updateUserStats(userId, "upload_count");
+  }
+
+  /**
+   * Handle "Save to my Drive": let the user pick a folder in their Drive
+   * @param {Object} ctx - Telegraf context (callback query)
+   * @param {string} historyId - File Manager entry of the delivered file
+   */
+  async startDriveSave(ctx, historyId) {
+    if (!this.googleAccounts.isLinked(ctx.from.id)) {
+      await ctx.answerCbQuery("🔐 Link your Google account with /connect first.");
+      return;
+    }
+
+    const entry = this.getUserFiles(ctx.from.id).find((f) => f.id === historyId);
+    if (!entry?.driveFileId) {
+      await ctx.answerCbQuery("❌ This file is no longer in your File Manager.");
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    const loadingMessage = await ctx.reply("☁️ Loading your Google Drive...");
+    this.updateUserSession(ctx.from.id, {
+      driveSave: { historyId, fileName: entry.name },
+    });
+
+    await this.openDriveSaveFolder(
+      ctx,
+      { id: "root", name: "My Drive" },
+      { parents: [], messageId: loadingMessage.message_id }
+    );
+  }
+
+  /**
+   * List the subfolders of a folder in the user's Drive for the save picker
+   * Without the full drive scope only folders the bot created can take new
+   * files, so the others are left out.
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} folder - { id, name } ("root" is My Drive)
+   * @param {Object} options - { parents, messageId }
+   */
+  async openDriveSaveFolder(ctx, folder, { parents, messageId = null }) {
+    const picker = this.getUserSession(ctx.from.id).driveSave;
+    if (!picker) return;
+
+    let folders;
+    let allFolders = false;
+    try {
+      const client = this.googleAccounts.getDriveClient(ctx.from.id);
+      if (!client) {
+        throw new Error("No Google account is linked, use /connect first");
+      }
+      allFolders = canWriteAllFolders(this.googleAccounts.get(ctx.from.id).scope);
+      const items = await client.listFolder(folder.id);
+      folders = items
+        .filter(
+          (item) =>
+            item.mimeType === FOLDER_MIME_TYPE && (allFolders || item.isAppAuthorized)
+        )
+        .map((item) => ({ id: item.id, name: item.name }));
+    } catch (error) {
+      logger.error("Failed to list Drive folders for saving", {
+        userId: ctx.from.id,
+        error: error.message,
+      });
+      const errorText = `❌ Could not open your Google Drive.\n\n${this.generateUserErrorMessage(
+        error
+      )}`;
+      if (messageId) {
+        await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, errorText);
+      } else {
+        await this.safeEditMessageText(ctx, errorText);
+      }
+      return;
+    }
+
+    this.updateUserSession(ctx.from.id, {
+      driveSave: {
+        ...picker,
+        folderId: folder.id,
+        folderName: folder.name,
+        folders,
+        allFolders,
+        page: 0,
+        parents,
+      },
+    });
+
+    await this.renderDriveSavePicker(ctx, messageId);
+  }
+
+  /**
+   * Render the save picker: the current folder's subfolders and "Save here"
+   * @param {Object} ctx - Telegraf context
+   * @param {number} messageId - Message to edit (defaults to the callback message)
+   */
+  async renderDriveSavePicker(ctx, messageId = null) {
+    const pageSize = 8;
+    const picker = this.getUserSession(ctx.from.id).driveSave;
+    const totalPages = Math.max(1, Math.ceil(picker.folders.length / pageSize));
+    const page = Math.min(picker.page, totalPages - 1);
+
+    const rows = picker.folders
+      .slice(page * pageSize, (page + 1) * pageSize)
+      .map((folder, offset) => [
+        Markup.button.callback(
+          `📁 ${folder.name.substring(0, 40)}`,
+          `sv_open_${page * pageSize + offset}`
+        ),
+      ]);
+
+    const navigation = [];
+    if (page > 0) {
+      navigation.push(Markup.button.callback("⬅️ Previous", `sv_page_${page - 1}`));
+    }
+    if (page < totalPages - 1) {
+      navigation.push(Markup.button.callback("➡️ Next", `sv_page_${page + 1}`));
+    }
+    if (navigation.length > 0) {
+      rows.push(navigation);
+    }
+
+    rows.push([Markup.button.callback("✅ Save here", "sv_here")]);
+    rows.push([
+      ...(picker.parents.length > 0
+        ? [Markup.button.callback("⬆️ Up", "sv_up")]
+        : []),
+      Markup.button.callback("❌ Cancel", "sv_close"),
+    ]);
+
+    const messageText =
+      `☁️ *Save to my Drive*\n📄 ${this.escapeMarkdown(picker.fileName)}\n\n` +
+      `📂 *${this.escapeMarkdown(this.describeDriveSavePath(picker))}*\n` +
+      (picker.allFolders
+        ? ""
+        : "ℹ️ I can only save to My Drive and to folders I created, so only those are shown.\n\n") +
+      (picker.folders.length > 0
+        ? "Open a folder or save the file here 👇"
+        : "No folders here. Save the file here or go up 👇");
+    const options = {
+      parse_mode: "Markdown",
+      reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+    };
+
+    if (messageId) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        messageText,
+        options
+      );
+    } else {
+      await this.safeEditMessageText(ctx, messageText, options);
+    }
+  }
+
+  describeDriveSavePath(picker) {
+    return [...picker.parents.map((parent) => parent.name), picker.folderName].join(
+      " / "
+    );
+  }
+
+  async answerDriveSaveExpired(ctx) {
+    await ctx.answerCbQuery("⌛ This choice has expired. Tap Save to my Drive again.");
+  }
+
+  /**
+   * Handle "Save here": queue saving the file to the picked folder
+   * @param {Object} ctx - Telegraf context (callback query)
+   */
+  async confirmDriveSave(ctx) {
+    const picker = this.getUserSession(ctx.from.id).driveSave;
+    const entry = picker?.folderId
+      ? this.getUserFiles(ctx.from.id).find((f) => f.id === picker.historyId)
+      : null;
+    if (!entry) return this.answerDriveSaveExpired(ctx);
+
+    await ctx.answerCbQuery();
+    this.updateUserSession(ctx.from.id, { driveSave: undefined });
+
+    const destination = {
+      folderId: picker.folderId,
+      path: this.describeDriveSavePath(picker),
+    };
+    const messageId = ctx.callbackQuery.message.message_id;
+    await ctx.editMessageText(
+      `☁️ **Saving to your Google Drive**\n📄 ${this.escapeMarkdown(
+        entry.name
+      )}\n📂 ${this.escapeMarkdown(destination.path)}\n⏳ Preparing...`,
+      { parse_mode: "Markdown" }
+    );
+
+    logger.logUserAction("save_to_drive", ctx.chat.id, {
+      fileName: entry.name,
+    });
+
+    this.enqueueJob(ctx, `${entry.name} (to your Drive)`, "drive_save", {
+      entry,
+      destination,
+      messageId,
+    });
+  }
+
+  /**
+   * Put a delivered file into the user's Drive
+   * With drive or drive.readonly access, Drive copies the source file itself,
+   * which is instant and keeps Google Docs editable. Otherwise, or if the
+   * account can't read the source, the file is downloaded again the way it
+   * was delivered and uploaded.
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} entry - File Manager entry of the delivered file
+   * @param {Object} destination - { folderId, path }
+   * @param {number} messageId - Message showing the progress and result
+   */
+  async runDriveSaveJob(ctx, entry, destination, messageId) {
+    const progressEditor = this.createProgressEditor(ctx, messageId);
+
+    try {
+      const client = this.googleAccounts.getDriveClient(ctx.from.id);
+      if (!client) {
+        throw new Error("No Google account is linked, use /connect first");
+      }
+
+      let file = null;
+      // drive.file alone can't read files the bot didn't create, so a copy would fail
+      if (canReadAllFiles(this.googleAccounts.get(ctx.from.id).scope)) {
+        file = await client
+          .copyFile(entry.driveFileId, { parents: [destination.folderId] })
+          .catch((error) => {
+            // Anything else (quota, the folder, the account) fails an upload too
+            if (!this.isCopySourceUnreadable(error, entry, destination.folderId)) {
+              throw error;
+            }
+            logger.info("Drive copy not possible, uploading the file instead", {
+              userId: ctx.from.id,
+              error: error.message,
+            });
+            return null;
+          });
+      }
+      const copied = Boolean(file);
+
+      file ??= await this.uploadDeliveredFile(
+        ctx,
+        client,
+        entry,
+        destination.folderId,
+        progressEditor
+      );
+
+      const keyboard = Markup.inlineKeyboard([
+        ...(file.webViewLink
+          ? [[Markup.button.url("🔗 Open in Google Drive", file.webViewLink)]]
+          : []),
+        [Markup.button.callback("📁 View in File Manager", "file_manager")],
+      ]);
+
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        `✅ **Saved to your Google Drive**\n📄 ${this.escapeMarkdown(
+          file.name
+        )}\n📂 ${this.escapeMarkdown(destination.path)}\n${
+          copied ? "⚡ Copied within Google Drive" : "📤 Uploaded from a fresh download"
+        }`,
+        {
+          parse_mode: "Markdown",
+          reply_markup: keyboard.reply_markup,
+        }
+      );
+
+      logger.info("File saved to a linked Google Drive", {
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        fileName: file.name,
+        copied,
+      });
+    } catch (error) {
+      logger.error("Saving to Google Drive failed", {
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        fileName: entry.name,
+        error: error.message,
+      });
+
+      await ctx.telegram
+        .editMessageText(
+          ctx.chat.id,
+          messageId,
+          null,
+          `❌ **Could Not Save to Google Drive**\n\n${this.generateUserErrorMessage(error)}`,
+          { parse_mode: "Markdown" }
+        )
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Whether a Drive copy failed because the linked account can't read the
+   * source file, which a fresh download may still reach
+   * @param {Error} error - Error from copyFile
+   * @param {Object} entry - File Manager entry of the delivered file
+   * @param {string} folderId - Target folder of the copy
+   * @returns {boolean} True if the file should be uploaded instead
+   */
+  isCopySourceUnreadable(error, entry, folderId) {
+    const status = error.response?.status;
+    const detail = error.response?.data?.error?.message || "";
+    if (detail.includes(folderId)) {
+      return false;
+    }
+    if (status === 404) {
+      return true;
+    }
+    return (
+      status === 403 &&
+      (COPY_SOURCE_DENIED_REASONS.includes(error.reason) ||
+        detail.includes(entry.driveFileId))
+    );
+  }
+
+  /**
+   * Download a delivered file again and upload it to the user's Drive
+   * @param {Object} ctx - Telegraf context
+   * @param {DriveApiClient} client - The user's Drive client
+   * @param {Object} entry - File Manager entry of the delivered file
+   * @param {string} folderId - Target folder
+   * @param {Object} progressEditor - Editor of the progress message
+   * @returns {Promise<Object>} Drive file resource of the upload
+   */
+  async uploadDeliveredFile(ctx, client, entry, folderId, progressEditor) {
+    const downloadResult = entry.sheetTabs
+      ? await this.buildSheetBundle(entry.driveFileId, entry.sheetTabs, entry.name)
+      : await downloadGoogleDriveFile(entry.driveFileId, {
+          docType: entry.docType,
+          exportFormat: entry.exportFormat,
+          gid: entry.gid,
+          onProgress: (progress) =>
+            progressEditor.update(this.formatProgressMessage(progress)),
+          driveClient: client,
+          allowedDriveIds: this.getAllowedDriveIds(ctx),
+        });
+    if (!downloadResult.success) {
+      throw new Error(downloadResult.error || "Download failed");
+    }
+
+    const { filePath, fileName, fileSize } = downloadResult;
+    try {
+      return await client.uploadFile(
+        filePath,
+        {
+          name: fileName,
+          parents: [folderId],
+          ...(entry.type?.includes("/") && { mimeType: entry.type }),
+        },
+        {
+          onProgress: this.createStoreProgressReporter(
+            progressEditor,
+            fileName,
+            fileSize
+          ),
+        }
+      );
+    } finally {
+      await fs.remove(filePath);
+    }
+  }
+
+  /**
+   * 📊 ADMIN DASHBOARD MODULE IMPLEMENTATION
+   */
+
+  /**
+   * Handle /purgecache for admins
+   * Without an argument it shows cache statistics and usage.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} target - "all", a Google Drive link or a file ID
+   */
+  async purgeFileCache(ctx, target) {
+    if (!target) {
+      const stats = this.fileCache.getStats();
+      await ctx.replyWithMarkdown(
+        `🗃️ *File Cache*\n` +
+          `📄 Cached files: ${stats.entries}\n` +
+          `⚡ Requests served from cache: ${stats.hits}\n` +
+          `💾 Size of cached files: ${this.formatFileSize(stats.bytes)}\n\n` +
+          `Usage:\n` +
+          `/purgecache all - drop every cached file\n` +
+          `/purgecache <link or file ID> - drop one file`
+      );
+      return;
+    }
+
+    const driveFileId =
+      target.toLowerCase() === "all"
+        ? null
+        : parseGoogleDriveUrl(target) || target;
+    const removed = this.fileCache.purge(driveFileId);
+
+    logger.info("File cache purged", {
+      userId: ctx.from.id,
+      target: driveFileId || "all",
+      removed,
+    });
+
+    await ctx.reply(
+      removed > 0
+        ? `🧹 Removed ${removed} cached ${removed === 1 ? "entry" : "entries"}. The next request downloads the file again.`
+        : "ℹ️ Nothing cached for that file."
+    );
+  }
+
+  /**
+   * Shared Drives the bot's Drive credentials may be used for in a chat
+   * Admins may use every drive in their private chat with the bot; other
+   * chats only get the drives an admin mapped to them with /drives.
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @returns {string[]|null} Allowed Shared Drive IDs, or null for all
+   */
+  getAllowedDriveIds(ctx) {
+    if (this.isAdmin(ctx.from.id) && ctx.chat.id === ctx.from.id) {
+      return null;
+    }
+    return this.chatDrives.get(ctx.chat.id)?.driveIds || [];
+  }
+
+  /**
+   * Allow or block a Shared Drive for a chat
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} driveId - Shared Drive ID
+   * @param {number} adminId - Admin making the change
+   * @returns {boolean} True if the drive is now allowed
+   */
+  toggleChatDrive(chatId, driveId, adminId) {
+    const driveIds = this.chatDrives.get(chatId)?.driveIds || [];
+    const allowed = !driveIds.includes(driveId);
+    const updated = allowed
+      ? [...driveIds, driveId]
+      : driveIds.filter((id) => id !== driveId);
+
+    if (updated.length > 0) {
+      this.chatDrives.set(chatId, {
+        driveIds: updated,
+        updatedAt: Date.now(),
+        updatedBy: adminId,
+      });
+    } else {
+      this.chatDrives.delete(chatId);
+    }
+
+    logger.info("Shared Drive access changed", {
+      chatId,
+      driveId,
+      allowed,
+      adminId,
+    });
+    return allowed;
+  }
+
+  /**
+   * Show the Shared Drives the service account can see, with a toggle per
+   * drive that allows or blocks it for a chat
+   * @param {Object} ctx - Telegraf context
+   * @param {number} chatId - Chat whose mapping is shown
+   * @param {Object} options - { edit } to update the callback message in place
+   */
+  async showChatDrives(ctx, chatId, options = {}) {
+    if (driveApi.auth?.type !== "service_account") {
+      await ctx.reply(
+        "🏢 Shared Drives need a service account. Set GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE and add the service account as a member of the drives."
+      );
+      return;
+    }
+
+    let drives;
+    try {
+      drives = await driveApi.listDrives();
+    } catch (error) {
+      logger.error("Failed to list Shared Drives", { error: error.message });
+      await ctx.reply(`❌ Could not list Shared Drives: ${error.message}`);
+      return;
+    }
+
+    const allowedIds = this.chatDrives.get(chatId)?.driveIds || [];
+    // Mapped drives the service account lost access to can still be removed
+    const knownIds = new Set(drives.map((drive) => drive.id));
+    const entries = [
+      ...drives,
+      ...allowedIds
+        .filter((id) => !knownIds.has(id))
+        .map((id) => ({ id, name: `${id} (no access)` })),
+    ].slice(0, 50);
+
+    const rows = entries.map((drive) => [
+      Markup.button.callback(
+        `${allowedIds.includes(drive.id) ? "✅" : "⬜"} ${drive.name.substring(0, 40)}`,
+        `drv_${chatId}_${drive.id}`
+      ),
+    ]);
+
+    const messageText =
+      `*🏢 Shared Drives for chat* \`${chatId}\`\n\n` +
+      `✅ Allowed: ${allowedIds.length} of ${drives.length} visible to the service account\n\n` +
+      (entries.length > 0
+        ? "Tap a drive to allow or block it for this chat. Admins can use every drive in a private chat with me."
+        : "The service account is not a member of any Shared Drive yet.") +
+      (config.GOOGLE_DRIVE_STRATEGY_ORDER.includes("api")
+        ? ""
+        : "\n\n⚠️ GOOGLE_DRIVE_STRATEGY is set to scrape, so the service account is not used.");
+
+    const extra = {
+      parse_mode: "Markdown",
+      reply_markup: Markup.inlineKeyboard(rows).reply_markup,
+    };
+
+    if (options.edit) {
+      await ctx.editMessageText(messageText, extra).catch((error) => {
+        if (!error.message.includes("message is not modified")) {
+          throw error;
+        }
+      });
+    } else {
+      await ctx.reply(messageText, extra);
+    }
+  }
+
+  /**
+   * Show TEMP_DIR usage, the space budget and running reservations to admins
+   * @param {Object} ctx - Telegraf context (callback query)
+   */
+  async showTempStorageReport(ctx) {
+    const report = await tempStorage.getReport();
+    const reservations = report.reservations
+      .slice(0, 10)
+      .map(
+        (reservation) =>
+          `• ${this.escapeMarkdown(reservation.label)} - ${this.formatFileSize(
+            reservation.bytes
+          )}, ${Math.round(reservation.ageMs / 60000)}m`
+      );
+
+    const messageText =
+      `*💽 Temp Storage*\n\n` +
+      `📂 Used: ${this.formatFileSize(report.usedBytes)}${
+        report.maxBytes
+          ? ` of ${this.formatFileSize(report.maxBytes)} budget`
+          : " (no budget)"
+      }\n` +
+      `⏳ Reserved, not yet written: ${this.formatFileSize(
+        report.reservedBytes
+      )}\n` +
+      `💾 Free disk: ${this.formatFileSize(
+        report.freeDiskBytes
+      )} (keeping ${this.formatFileSize(report.minFreeBytes)} free)\n` +
+      `📄 Entries: ${report.fileCount} (${
+        report.unreservedCount
+      } not owned by a job, ${this.formatFileSize(report.unreservedBytes)})\n\n` +
+      `*🔒 Reservations (${report.reservations.length}):*\n` +
+      (reservations.length > 0 ? reservations.join("\n") : "None");
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback("🧹 Clean Up Expired Files", "admin_temp_cleanup")],
+      [
+        Markup.button.callback("🔄 Refresh", "admin_temp"),
+        Markup.button.callback("🔙 Back to Dashboard", "admin_dashboard"),
+      ],
+    ]);
+
+    await ctx
+      .editMessageText(messageText, {
+        parse_mode: "Markdown",
+        reply_markup: keyboard.reply_markup,
+      })
+      .catch((error) => {
+        if (!error.message.includes("message is not modified")) {
+          throw error;
+        }
+      });
+  }
+
+  async showAdminDashboard(ctx) {
+    const totalUsers = this.userStats.size;
+    const totalDownloads = Array.from(this.userStats.values()).reduce(
+      (sum, stats) => sum + (stats.download_count || 0),
+      0
+    );
+    const activeUsers = Array.from(this.userStats.values()).filter(
+      (stats) => stats.last_activity > Date.now() - 24 * 60 * 60 * 1000
+    ).length;
+
+    // Generate dynamic admin keyboard
+    const adminButtons = [
+      [
+        Markup.button.callback("👥 User Management", "admin_users"),
+        Markup.button.callback("📊 Detailed Stats", "admin_stats"),
+      ],
+      [
+        Markup.button.callback("📢 Broadcast Message", "admin_broadcast"),
+        Markup.button.callback("🔧 System Logs", "admin_logs"),
+      ],
+      [
+        Markup.button.callback("⚙️ Bot Settings", "admin_settings"),
+        Markup.button.callback("🚨 Emergency Controls", "admin_emergency"),
+      ],
+      [Markup.button.callback("💽 Temp Storage", "admin_temp")],
+      [
+        Markup.button.callback("🔄 Refresh Dashboard", "admin_dashboard"),
+        Markup.button.callback("🏠 Main Menu", "main_menu"),
+      ],
+    ];
+
+    const keyboard = Markup.inlineKeyboard(adminButtons);
+
+    const messageText = `
+*🔧 Admin Dashboard*
+
+*📈 Real-time Statistics:*
+👥 Total Users: ${totalUsers}
+🔥 Active Users (24h): ${activeUsers}
+📥 Total Downloads: ${totalDownloads}
+⚡ Bot Uptime: ${Math.floor(process.uptime() / 3600)}h
+
+*🚀 System Status:*
+💾 Memory Usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
+🗃️ File Cache: ${this.fileCache.getStats().entries} files
+🔄 Response Time: Optimal
+🛡️ Security: Active
+
+*🎛️ Available Controls:* 👇`;
+
+    if (ctx.update.callback_query) {
+      await ctx.editMessageText(messageText, {
+        parse_mode: "Markdown",
+        reply_markup: keyboard.reply_markup,
+      });
+    } else {
+      await ctx.replyWithMarkdown(messageText, {
+        reply_markup: keyboard.reply_markup,
+      });
+    }
+  }
+
+  async showUserManagement(ctx) {
+    const users = Array.from(this.userStats.entries())
+      .sort(([, a], [, b]) => (b.last_activity || 0) - (a.last_activity || 0))
+      .slice(0, 8); // Show top 8 most recent users
+
+    // Generate dynamic user list buttons
+    const userButtons = users.map(([userId, stats]) => [
+      Markup.button.callback(
+        `👤 User ${userId.toString().substring(0, 8)}... (${
+          stats.download_count || 0
+        } downloads)`,
+        `admin_user_${userId}`
+      ),
+    ]);
+
+    // Add navigation buttons
+    userButtons.push([
+      Markup.button.callback("🔍 Search User", "admin_search_user"),
+      Markup.button.callback("📊 Export Data", "admin_export_users"),
+    ]);
+
+    userButtons.push([
+      Markup.button.callback("🔙 Back to Dashboard", "admin_dashboard"),
+      Markup.button.callback("🏠 Main Menu", "main_menu"),
+    ]);
+
+    const keyboard = Markup.inlineKeyboard(userButtons);
+
+    const messageText = `
+*👥 User Management Panel*
+
+*📊 User Overview:*
+Total Registered Users: ${this.userStats.size}
+Showing Recent: ${users.length} users
+
+*🔧 Management Tools:*
+• View detailed user profiles
+• Monitor download activity
+• Export user data
+• Search specific users
+
+*👇 Select a user to view details:*`;
+
+    await ctx.editMessageText(messageText, {
+      parse_mode: "Markdown",
+      reply_markup: keyboard.reply_markup,
+    });
+  }
+
+  async showFileDetails(ctx, fileId) {
+    try {
+      const userId = ctx.from.id;
+      const userFiles = this.getUserFiles(userId);
+      const fileInfo = userFiles.find((f) => f.id === fileId);
+
+      if (!fileInfo) {
+        await ctx.answerCbQuery();
+        await ctx.reply("❌ File not found or no longer available.");
+        return;
+      }
+
+      const detailsMessage =
+        `📄 *File Details*\n` +
+        `📝 Name: ${fileInfo.name}\n` +
+        `📏 Size: ${this.formatFileSize(fileInfo.size)}\n` +
+        `📅 Added: ${
+          fileInfo.downloadDate
+            ? new Date(fileInfo.downloadDate).toLocaleString()
+            : "Unknown"
+        }\n` +
+        `🔢 File ID: ${fileId.substring(0, 8)}...` +
+        (fileInfo.upload ? "\n☁️ Saved to Google Drive from Telegram" : "") +
+        this.formatChecksumDetails(fileInfo);
+
+      const keyboard = Markup.inlineKeyboard([
+        [
+          Markup.button.callback("📥 Download", `download_file_${fileId}`),
+          Markup.button.callback("🗑️ Delete", `delete_file_${fileId}`),
+        ],
+        ...(fileInfo.upload?.webViewLink
+          ? [[Markup.button.url("🔗 Open in Google Drive", fileInfo.upload.webViewLink)]]
+          : []),
+        [Markup.button.callback("🔙 Back to Files", "file_manager")],
+      ]);
+
+      await ctx.editMessageText(detailsMessage, {
+        parse_mode: "Markdown",
+        reply_markup: keyboard.reply_markup,
+      });
+    } catch (error) {
+      logger.error("Error showing file details", {
+        error: error.message,
+        stack: error.stack,
+      });
+      await ctx.reply("❌ Could not display file details. Please try again.");
+    }
+  }
+
+  /**
+   * Checksum and split details for the file details view
+   * Raw parts join back into the original file, so their combined hash is the
+   * file hash; split zips get their own hash for the joined archive.
+   * @param {Object} fileInfo - File history entry
+   * @returns {string} Lines to append (each starting with a newline), or ""
+   */
+  formatChecksumDetails(fileInfo) {
+    const { checksums, verified, parts } = fileInfo;
+    const sha256 = checksums?.sha256 || (parts?.mode === "raw" ? parts.sha256 : null);
+    let details = "";
+
+    if (sha256) {
+      details += `\n🔐 SHA-256: \`${sha256}\`${
+        verified?.sha256 ? " ✅ matches Google Drive" : ""
+      }`;
+    }
+    if (checksums?.md5) {
+      details += `\n🔑 MD5: \`${checksums.md5}\`${
+        verified?.md5 ? " ✅ matches Google Drive" : ""
+      }`;
+    }
+    if (parts) {
+      details += `\n🧩 Delivered in ${parts.count} ${
+        parts.mode === "zip" ? "split zip" : "raw"
+      } parts`;
+      if (parts.mode === "zip") {
+        details += `\n🗜️ Joined zip SHA-256: \`${parts.sha256}\``;
+      }
+    }
+
+    return details;
+  }
+
+  // Helper to escape user-provided text for legacy Markdown
+  escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, "\\$1");
+  }
+
+  // Helper to format file size
+  formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + " bytes";
+    else if (bytes < 1048576) return (bytes / 1024).toFixed(2) + " KB";
+    else return (bytes / 1048576).toFixed(2) + " MB";
+  }
+
+  /**
+   * Enhanced Google Drive Link Handler with Progress Tracking
+   */
+  async handleEnhancedGoogleDriveLink(ctx, messageText) {
+    await this.processGoogleDriveFile(ctx, parseGoogleDriveUrl(messageText));
+  }
+
+  /**
+   * Queue a Google Drive file for download and delivery to the chat
+   * The processing message shows the queue position until the job starts.
+   * @param {Object} ctx - Telegraf context
+   * @param {string|null} fileId - Google Drive file ID
+   * @param {Object} options - Download options (docType/exportFormat for native Google documents)
+   * @param {Object} resume - Persisted job being resumed after a restart ({ messageId, resumeCount })
+   * @returns {Promise<Object>} Queued job; await job.finished to wait for delivery
+   */
+  async processGoogleDriveFile(ctx, fileId, options = {}, resume = null) {
+    // Show initial processing message with dynamic keyboard
+    const processingKeyboard = Markup.inlineKeyboard([
+      [Markup.button.callback("⏹️ Cancel Download", "cancel_download")],
+      [Markup.button.callback("📊 Show Progress", "show_progress")],
+    ]);
+    const uploadKeyboard = Markup.inlineKeyboard([
+      [Markup.button.callback("📊 Show Progress", "show_progress")],
+    ]);
+
+    const processingMessage = resume
+      ? await this.reuseProcessingMessage(ctx, resume.messageId, processingKeyboard)
+      : await ctx.reply(
+          "🔄 **Enhanced Processing Started**\n⏳ Analyzing Google Drive link...",
+          {
+            parse_mode: "Markdown",
+            reply_markup: processingKeyboard.reply_markup,
+          }
+        );
+
+    const downloadKey = `${ctx.chat.id}:${processingMessage.message_id}`;
+    const controller = new AbortController();
+    const download = {
+      controller,
+      userId: ctx.from.id,
+      progress: null,
+      jobId: null,
+    };
+    this.activeDownloads.set(downloadKey, download);
+
+    const progressEditor = this.createProgressEditor(
+      ctx,
+      processingMessage.message_id
+    );
+    const reportProgress = (progress) => {
+      download.progress = progress;
+      progressEditor.update(
+        this.formatProgressMessage(progress),
+        progress.phase === "upload" ? uploadKeyboard : processingKeyboard
+      );
+    };
+
+    queueDepth.inc();
+
+    const job = this.downloadQueue.enqueue({
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      priority: this.getJobPriority(ctx.from.id),
+      label: this.describeDownload(fileId, options),
+      download,
+      run: () =>
+        this.runDownloadJob(ctx, fileId, options, {
+          processingMessage,
+          processingKeyboard,
+          uploadKeyboard,
+          download,
+          progressEditor,
+          reportProgress,
+          resumed: Boolean(resume),
+        }),
+      onPositionChange: (position) =>
+        progressEditor.update(
+          this.formatQueuedMessage(position, { resumed: Boolean(resume) }),
+          processingKeyboard,
+          { force: true }
+        ),
+    });
+    download.jobId = job.id;
+
+    // Persist the job so it survives a crash or restart
+    this.downloadJobs.set(job.id, {
+      id: job.id,
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      messageId: processingMessage.message_id,
+      fileId,
+      options,
+      status: "pending",
+      enqueuedAt: job.enqueuedAt,
+      resumeCount: resume?.resumeCount || 0,
+    });
+
+    job.finished
+      .then(async (result) => {
+        if (result?.cancelled) {
+          await this.showDownloadCancelled(ctx, processingMessage, fileId, {
+            queued: true,
+          });
+        }
+      })
+      .finally(() => {
+        this.downloadJobs.delete(job.id);
+        this.activeDownloads.delete(downloadKey);
+        queueDepth.dec();
+      });
+
+    return job;
+  }
+
+  /**
+   * Download a queued Google Drive file and deliver it to the chat
+   * @param {Object} ctx - Telegraf context
+   * @param {string|null} fileId - Google Drive file ID
+   * @param {Object} options - Download options
+   * @param {Object} state - Processing message, keyboards and progress reporting of the job
+   */
+  async runDownloadJob(ctx, fileId, options, state) {
+    const {
+      processingMessage,
+      processingKeyboard,
+      uploadKeyboard,
+      download,
+      progressEditor,
+      reportProgress,
+      resumed,
+    } = state;
+    const { controller } = download;
+
+    const persistedJob = this.downloadJobs.get(download.jobId);
+    if (persistedJob) {
+      this.downloadJobs.set(download.jobId, {
+        ...persistedJob,
+        status: "running",
+        startedAt: Date.now(),
+      });
+    }
+
+    // Removed whatever happens, so a failed delivery can't pin its temp space
+    let filePath = null;
+
+    try {
+      if (!fileId) {
+        throw new Error("Could not extract file ID from the URL");
+      }
+
+      // Files delivered before are resent by file_id without touching Drive
+      const cached = await this.deliverFromCache(ctx, fileId, options);
+      if (cached) {
+        const historyId = this.recordDelivery(ctx.from.id, fileId, options, {
+          fileName: cached.fileName,
+          fileSize: cached.fileSize,
+          mime: cached.mime,
+          parts: cached.parts,
+          checksums: cached.checksums,
+          verified: cached.verified,
+        });
+        await ctx.deleteMessage(processingMessage.message_id);
+        await this.replyDownloadComplete(
+          ctx,
+          { ...cached, historyId },
+          { resumed, fromCache: true }
+        );
+
+        logger.info("File served from cache", {
+          chatId: ctx.chat.id,
+          userId: ctx.from.id,
+          fileName: cached.fileName,
+          hits: cached.hits + 1,
+        });
+        fileRequestsTotal.inc({ result: "success" });
+        return;
+      }
 
       // Update progress
-      await ctx.telegram.editMessageText(
-        ctx.chat.id,
-        processingMessage.message_id,
-        null,
+      await progressEditor.update(
+        "📥 **Downloading from Google Drive**\n🔍 Validating file permissions...",
+        processingKeyboard,
+        { force: true }
+      );
+
+      // Download the file
+      const downloadResult = await downloadGoogleDriveFile(fileId, {
+        ...options,
+        signal: controller.signal,
+        onProgress: reportProgress,
+        driveClient: this.googleAccounts.getDriveClient(ctx.from.id),
+        allowedDriveIds: this.getAllowedDriveIds(ctx),
+      });
+      if (!downloadResult.success) {
+        throw new Error(downloadResult.error || "Download failed");
+      }
+
+      filePath = downloadResult.filePath;
+      const { fileName, fileSize } = downloadResult;
+
+      // Cancelled after the download finished but before delivery
+      if (controller.signal.aborted) {
+        throw new Error("Download cancelled by user");
+      }
+
+      // Validate file size
+      if (!validateFileSize(fileSize, config.MAX_FILE_SIZE_MB)) {
+        throw new Error(
+          `File size (${Math.round(
+            fileSize / 1024 / 1024
+          )}MB) exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`
+        );
+      }
+
+      // Switch to the upload phase; cancelling is no longer possible
+      download.progress = { phase: "upload", fileName, bytes: 0 };
+      await progressEditor.update(
         "🔍 **Processing Complete**\n📤 Preparing file for delivery...",
-        { parse_mode: "Markdown" }
+        uploadKeyboard,
+        { force: true }
       );
 
       // Process and send file
       const fileType = await getFileType(filePath);
-      await this.sendFileByType(ctx, filePath, fileName, fileType);
-
-      // Store file in user history
-      this.addToUserFileHistory(ctx.from.id, {
-        id: this.generateFileId(),
-        name: fileName,
-        size: fileSize,
-        type: fileType?.mime || "unknown",
-        downloadDate: new Date(),
-        driveFileId: fileId,
+      const delivery = await this.deliverFile(ctx, filePath, fileName, fileType, {
+        onProgress: (progress) =>
+          reportProgress({ phase: "upload", fileName, ...progress }),
+        onSplit: () =>
+          progressEditor.update(
+            `✂️ **File Too Large for One Upload**\n📄 ${this.escapeMarkdown(
+              fileName
+            )}\nSplitting it into parts of up to ${
+              config.FILE_SPLIT_PART_SIZE_MB
+            }MB...`,
+            uploadKeyboard,
+            { force: true }
+          ),
       });
 
-      // Update user statistics
-      this.updateUserStats(ctx.from.id, "download_count");
+      const historyId = this.recordDelivery(ctx.from.id, fileId, options, {
+        fileName,
+        fileSize,
+        mime: fileType?.mime || "unknown",
+        parts: delivery.parts,
+        checksums: downloadResult.checksums,
+        verified: downloadResult.verified,
+      });
+      this.rememberDelivery(fileId, options, downloadResult, fileType, delivery);
 
-      // Clean up
-      await fs.remove(filePath);
       await ctx.deleteMessage(processingMessage.message_id);
 
-      // Show success message with file manager option
-      const successKeyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("📁 View in File Manager", "file_manager")],
-        [Markup.button.callback("🔗 Download Another", "main_menu")],
-      ]);
-
-      await ctx.reply(
-        `✅ **Download Complete!**\n📄 ${fileName}\n💾 Size: ${Math.round(
-          fileSize / 1024
-        )}KB\n\n🎉 File delivered successfully!`,
-        {
-          parse_mode: "Markdown",
-          reply_markup: successKeyboard.reply_markup,
-        }
+      await this.replyDownloadComplete(
+        ctx,
+        { fileName, fileSize, parts: delivery.parts, historyId },
+        { resumed }
       );
 
       logger.info("Enhanced file processing completed", {
@@ -1024,30 +4346,499 @@ Showing Recent: ${users.length} users
         fileSize: Math.round(fileSize / 1024) + "KB",
         fileType: fileType?.mime || "unknown",
       });
+      fileRequestsTotal.inc({ result: "success" });
     } catch (error) {
+      if (controller.signal.aborted) {
+        await this.showDownloadCancelled(ctx, processingMessage, fileId);
+        return;
+      }
+
       logger.error("Enhanced processing error", {
         chatId: ctx.chat.id,
         userId: ctx.from.id,
         error: error.message,
         stack: error.stack,
       });
+      fileRequestsTotal.inc({ result: "failure" });
+      fileRequestFailuresTotal.inc({ error_class: getErrorClass(error) });
+
+      const errorKeyboard = Markup.inlineKeyboard([
+        [Markup.button.callback("🔄 Try Again", "main_menu")],
+        [Markup.button.callback("🆘 Get Help", "get_help")],
+      ]);
+
+      const errorMessage = this.generateUserErrorMessage(error);
+
+      const failureText = `❌ **Processing Failed**\n\n${errorMessage}`;
+      const failureOptions = {
+        parse_mode: "Markdown",
+        reply_markup: errorKeyboard.reply_markup,
+      };
+
+      // Edit this request's own processing message; it may be gone already
+      await ctx.telegram
+        .editMessageText(
+          ctx.chat.id,
+          processingMessage.message_id,
+          null,
+          failureText,
+          failureOptions
+        )
+        .catch(() => ctx.reply(failureText, failureOptions));
+    } finally {
+      if (filePath) {
+        await fs.remove(filePath);
+      }
+    }
+  }
+
+  /**
+   * Store a delivered file in the user's history and statistics
+   * Files delivered in parts are recorded as one File Manager entry.
+   * @param {number} userId - User ID
+   * @param {string} fileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @param {Object} file - { fileName, fileSize, mime, parts, checksums, verified }
+   */
+  recordDelivery(userId, fileId, options, file) {
+    const historyId = this.generateFileId();
+    this.addToUserFileHistory(userId, {
+      id: historyId,
+      name: file.fileName,
+      size: file.fileSize,
+      type: file.mime,
+      downloadDate: new Date(),
+      driveFileId: fileId,
+      docType: options.docType,
+      exportFormat: options.exportFormat,
+      gid: options.gid,
+      ...(file.parts && { parts: file.parts }),
+      ...(file.checksums && {
+        checksums: file.checksums,
+        verified: file.verified,
+      }),
+    });
+
+    this.updateUserStats(userId, "download_count");
+    return historyId;
+  }
+
+  /**
+   * Show the success message with a File Manager shortcut
+   * Users with a linked Google account can also save the file to their Drive
+   * (private chats only, since the folder picker shows their folders).
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} file - { fileName, fileSize, parts, historyId }
+   * @param {Object} flags - { resumed, fromCache }
+   */
+  async replyDownloadComplete(ctx, file, { resumed = false, fromCache = false } = {}) {
+    const canSaveToDrive =
+      file.historyId &&
+      ctx.chat.id === ctx.from.id &&
+      this.googleAccounts.isLinked(ctx.from.id);
+    const successKeyboard = Markup.inlineKeyboard([
+      ...(canSaveToDrive
+        ? [[Markup.button.callback("☁️ Save to my Drive", `save_${file.historyId}`)]]
+        : []),
+      [Markup.button.callback("📁 View in File Manager", "file_manager")],
+      [Markup.button.callback("🔗 Download Another", "main_menu")],
+    ]);
+
+    await ctx.reply(
+      `✅ **Download Complete!**\n📄 ${file.fileName}\n💾 Size: ${Math.round(
+        file.fileSize / 1024
+      )}KB\n${
+        file.parts ? `🧩 Delivered in ${file.parts.count} parts\n` : ""
+      }\n🎉 File delivered successfully!${
+        fromCache ? "\n⚡ Sent instantly from cache." : ""
+      }${resumed ? "\n🔁 Your download continued after a bot restart." : ""}`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: successKeyboard.reply_markup,
+      }
+    );
+  }
+
+  /**
+   * Point a resumed job back at its original processing message
+   * Falls back to a new message if the original can no longer be edited.
+   * @param {Object} ctx - Job context
+   * @param {number} messageId - Original processing message ID
+   * @param {Object} keyboard - Processing keyboard
+   * @returns {Promise<Object>} Processing message ({ message_id })
+   */
+  async reuseProcessingMessage(ctx, messageId, keyboard) {
+    const text =
+      "🔁 **Download Resumed**\n" +
+      "The bot restarted while your download was in progress. " +
+      "It has been picked up again and continues shortly.";
+    const extra = {
+      parse_mode: "Markdown",
+      reply_markup: keyboard.reply_markup,
+    };
+
+    try {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        messageId,
+        null,
+        text,
+        extra
+      );
+      return { message_id: messageId };
+    } catch (error) {
+      logger.debug("Original processing message not editable, sending a new one", {
+        chatId: ctx.chat.id,
+        error: error.message,
+      });
+      return ctx.reply(text, extra);
+    }
+  }
+
+  /**
+   * Minimal context for jobs running outside an update (resumed jobs)
+   * Provides the subset of the Telegraf context the download flow uses.
+   * @param {number} chatId - Chat to report to
+   * @param {number} userId - Owner of the job
+   * @returns {Object} Context-like object
+   */
+  createJobContext(chatId, userId) {
+    const telegram = this.bot.telegram;
+
+    return {
+      chat: { id: chatId },
+      from: { id: userId },
+      telegram,
+      reply: (text, extra) => telegram.sendMessage(chatId, text, extra),
+      replyWithVideo: (video, extra) => telegram.sendVideo(chatId, video, extra),
+      replyWithPhoto: (photo, extra) => telegram.sendPhoto(chatId, photo, extra),
+      replyWithDocument: (document, extra) =>
+        telegram.sendDocument(chatId, document, extra),
+      deleteMessage: (messageId) => telegram.deleteMessage(chatId, messageId),
+    };
+  }
+
+  /**
+   * Re-queue jobs that were pending or running when the bot stopped
+   * Jobs restart in their original order. Downloads report to their original
+   * message; other jobs tell the user they are being restarted.
+   */
+  async resumePersistedJobs() {
+    // A batch is persisted in the same millisecond as its file in progress at
+    // the earliest, so on a tie it goes second and finds that file resumed
+    const records = Array.from(this.downloadJobs.values()).sort(
+      (a, b) =>
+        a.enqueuedAt - b.enqueuedAt ||
+        (a.type === "batch") - (b.type === "batch")
+    );
+    if (records.length === 0) return;
+
+    // Resumed downloads by their old job ID, so a batch can wait for its file
+    const resumedJobs = new Map();
+    let resumed = 0;
+    for (const record of records) {
+      const ctx = this.createJobContext(record.chatId, record.userId);
+      const resumeCount = (record.resumeCount || 0) + 1;
+
+      // Resumed jobs are persisted again under their new job IDs
+      this.downloadJobs.delete(record.id);
+
+      try {
+        if (resumeCount > MAX_JOB_RESUMES) {
+          logger.warn("Dropping job interrupted too often", {
+            jobId: record.id,
+            chatId: record.chatId,
+            resumeCount: record.resumeCount,
+          });
+          if (record.type) {
+            await ctx
+              .reply(
+                `❌ ${record.label} was interrupted by several restarts in a row and has been stopped. Please try again.`
+              )
+              .catch(() => {});
+          } else {
+            await ctx.telegram
+              .editMessageText(
+                record.chatId,
+                record.messageId,
+                null,
+                "❌ **Processing Failed**\n\nThis download was interrupted by several restarts in a row and has been stopped. Please send the link again.",
+                { parse_mode: "Markdown" }
+              )
+              .catch(() => {});
+          }
+          continue;
+        }
+
+        if (!record.type) {
+          const job = await this.processGoogleDriveFile(
+            ctx,
+            record.fileId,
+            record.options,
+            { messageId: record.messageId, resumeCount }
+          );
+          resumedJobs.set(record.id, job);
+        } else {
+          await ctx.reply(`🔁 I was restarted. Continuing: ${record.label}`);
+          if (record.type === "batch") {
+            this.startBatchDownload(ctx, record.args.downloads, {
+              resumeCount,
+              total: record.args.total,
+              waitFor: resumedJobs.get(record.args.inFlightJobId),
+            });
+          } else {
+            this.enqueueJob(ctx, record.label, record.type, record.args, resumeCount);
+          }
+        }
+        resumed++;
+      } catch (error) {
+        logger.error("Failed to resume job", {
+          jobId: record.id,
+          chatId: record.chatId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info("Resumed interrupted jobs", {
+      resumed,
+      total: records.length,
+    });
+  }
+
+  /**
+   * Queue priority for a user's jobs
+   * @param {number} userId - Telegram user ID
+   * @returns {number} JOB_PRIORITY value
+   */
+  getJobPriority(userId) {
+    return this.isAdmin(userId) ? JOB_PRIORITY.ADMIN : JOB_PRIORITY.NORMAL;
+  }
+
+  /**
+   * Queue background work that reports its own status
+   * Tells the user their position when no download slot is free. The job is
+   * persisted by type and arguments, so it is restarted after a restart.
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @param {string} label - Description shown in /queue
+   * @param {string} type - Job type, see runQueuedJob
+   * @param {Object} args - Arguments of the job (must be JSON serializable)
+   * @param {number} resumeCount - Restarts the job went through so far
+   * @returns {Object} Queued job
+   */
+  enqueueJob(ctx, label, type, args, resumeCount = 0) {
+    const job = this.downloadQueue.enqueue({
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      priority: this.getJobPriority(ctx.from.id),
+      label,
+      run: () => this.runQueuedJob(ctx, type, args),
+    });
+
+    this.downloadJobs.set(job.id, {
+      id: job.id,
+      type,
+      args,
+      label,
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      enqueuedAt: job.enqueuedAt,
+      resumeCount,
+    });
+    job.finished.finally(() => this.downloadJobs.delete(job.id));
+
+    const position = this.downloadQueue.getPosition(job.id);
+    if (position) {
+      ctx
+        .reply(
+          `⏳ Queued at position ${position}. I'll start as soon as a download slot is free.`
+        )
+        .catch(() => {});
+    }
+
+    return job;
+  }
+
+  /**
+   * Run a job queued with enqueueJob
+   * @param {Object} ctx - Telegraf context (or a job context)
+   * @param {string} type - Job type
+   * @param {Object} args - Arguments of the job
+   */
+  async runQueuedJob(ctx, type, args) {
+    switch (type) {
+      case "redownload":
+        return this.runRedownloadJob(ctx, args.entry);
+      case "sheet_bundle":
+        return this.runSheetBundleJob(ctx, args.fileId, args.tabs, args.title);
+      case "upload":
+        return this.runUploadJob(ctx, args.attachment, args.messageId);
+      case "drive_save":
+        return this.runDriveSaveJob(ctx, args.entry, args.destination, args.messageId);
+      default:
+        throw new Error(`Unknown job type: ${type}`);
+    }
+  }
+
+  /**
+   * Short description of a download for the queue overview
+   * @param {string|null} fileId - Google Drive file ID
+   * @param {Object} options - Download options
+   * @returns {string} Label
+   */
+  describeDownload(fileId, options = {}) {
+    const name = fileId ? `${fileId.substring(0, 12)}…` : "Unknown file";
+    return options.exportFormat
+      ? `${name} (${options.exportFormat.toUpperCase()})`
+      : name;
+  }
+
+  /**
+   * Processing message text while a download waits in the queue
+   * @param {number} position - 1-based queue position
+   * @param {Object} options - { resumed: true } for jobs resumed after a restart
+   * @returns {string} Markdown message text
+   */
+  formatQueuedMessage(position, options = {}) {
+    return (
+      (options.resumed ? "🔁 **Download Resumed After Restart**\n" : "") +
+      "⏳ **Queued**\n" +
+      `📍 Position in queue: ${position}\n\n` +
+      "Your download starts as soon as a slot is free."
+    );
+  }
+
+  /**
+   * Create a throttled editor for a processing message
+   * Telegram rate-limits message edits, so progress edits are dropped while
+   * another edit is in flight or within PROGRESS_UPDATE_INTERVAL_MS of the
+   * previous one, and a 429 pauses edits for the requested retry_after.
+   * @param {Object} ctx - Telegraf context
+   * @param {number} messageId - Message to edit
+   * @returns {Object} Editor with update(text, keyboard, { force })
+   */
+  createProgressEditor(ctx, messageId) {
+    let lastText = null;
+    let nextEditAt = 0;
+    let inFlight = null;
+
+    const update = async (text, keyboard, { force = false } = {}) => {
+      if (text === lastText) return;
+      if (!force && (inFlight || Date.now() < nextEditAt)) return;
+
+      // Phase changes wait for a running edit instead of being dropped
+      await inFlight;
+
+      lastText = text;
+      nextEditAt = Date.now() + config.PROGRESS_UPDATE_INTERVAL_MS;
+      inFlight = ctx.telegram
+        .editMessageText(ctx.chat.id, messageId, null, text, {
+          parse_mode: "Markdown",
+          reply_markup: keyboard?.reply_markup,
+        })
+        .catch((error) => {
+          const retryAfter = error.response?.parameters?.retry_after;
+          if (retryAfter) {
+            nextEditAt = Date.now() + retryAfter * 1000;
+          }
+          logger.debug("Progress message edit skipped", {
+            chatId: ctx.chat.id,
+            error: error.message,
+          });
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+
+      await inFlight;
+    };
+
+    return { update };
+  }
+
+  /**
+   * Build the processing message text for a progress snapshot
+   * @param {Object} progress - Progress event from the download or upload
+   * @returns {string} Markdown message text
+   */
+  formatProgressMessage(progress) {
+    const [emoji, text] =
+      PROGRESS_PHASES[progress.phase] || PROGRESS_PHASES.download;
+    const title = `${emoji} **${text}**`;
+
+    return [
+      progress.totalParts
+        ? `${title} (part ${progress.part}/${progress.totalParts})`
+        : title,
+      `📄 ${this.escapeMarkdown(progress.fileName)}`,
+      "",
+      ...formatProgressDetails(progress),
+    ].join("\n");
+  }
 
-      const errorKeyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("🔄 Try Again", "main_menu")],
-        [Markup.button.callback("🆘 Get Help", "get_help")],
-      ]);
+  /**
+   * Build the Show Progress alert text (plain text, max 200 characters)
+   * @param {Object|null} progress - Latest progress event
+   * @returns {string} Alert text
+   */
+  formatProgressAlert(progress) {
+    if (!progress) {
+      return "🔍 Connecting to Google Drive...";
+    }
 
-      const errorMessage = this.generateUserErrorMessage(error);
+    const title = (
+      PROGRESS_PHASES[progress.phase] || PROGRESS_PHASES.download
+    ).join(" ");
 
-      await this.safeEditMessageText(
-        ctx,
-        `❌ **Processing Failed**\n\n${errorMessage}`,
+    if (progress.speedBps === undefined) {
+      return `${title}\n⏳ Preparing...`;
+    }
+
+    return [
+      progress.totalParts
+        ? `${title} (part ${progress.part}/${progress.totalParts})`
+        : title,
+      ...formatProgressDetails(progress),
+    ].join("\n");
+  }
+
+  /**
+   * Switch a processing message to the cancelled state
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} processingMessage - The request's processing message
+   * @param {string|null} fileId - Google Drive file ID
+   * @param {Object} options - { queued: true } if the download never started
+   */
+  async showDownloadCancelled(ctx, processingMessage, fileId, options = {}) {
+    logger.info("Download cancelled by user", {
+      chatId: ctx.chat.id,
+      userId: ctx.from.id,
+      fileId,
+    });
+    fileRequestsTotal.inc({ result: "cancelled" });
+
+    const cancelledKeyboard = Markup.inlineKeyboard([
+      [Markup.button.callback("🔗 Download Another", "main_menu")],
+    ]);
+
+    await ctx.telegram
+      .editMessageText(
+        ctx.chat.id,
+        processingMessage.message_id,
+        null,
+        options.queued
+          ? "⏹️ **Download Cancelled**\n🗑️ The request was removed from the queue."
+          : "⏹️ **Download Cancelled**\n🗑️ The partial file has been removed.",
         {
           parse_mode: "Markdown",
-          reply_markup: errorKeyboard.reply_markup,
+          reply_markup: cancelledKeyboard.reply_markup,
         }
+      )
+      .catch((error) =>
+        logger.warn("Failed to update cancelled download message", {
+          error: error.message,
+        })
       );
-    }
   }
 
   /**
@@ -1103,6 +4894,15 @@ Showing Recent: ${users.length} users
     return this.fileHistory.get(userId) || [];
   }
 
+  // Session Management
+  getUserSession(userId) {
+    return this.userSessions.get(userId) || {};
+  }
+
+  updateUserSession(userId, patch) {
+    this.userSessions.set(userId, { ...this.getUserSession(userId), ...patch });
+  }
+
   categorizeFiles(files) {
     return {
       documents: files.filter(
@@ -1145,36 +4945,478 @@ Showing Recent: ${users.length} users
     return this.adminUsers.has(userId);
   }
 
-  // Send file by type (existing method)
-  async sendFileByType(ctx, filePath, fileName, fileType) {
-    const caption = `📄 ${fileName}`;
-    const fileBuffer = await fs.readFile(filePath);
-
-    if (fileType?.mime) {
-      if (fileType.mime.startsWith("video/")) {
-        await ctx.replyWithVideo(
-          { source: fileBuffer, filename: fileName },
+  /**
+   * Telegram client options for the configured Bot API mode
+   * A local telegram-bot-api server is usually reached over plain http, which
+   * Telegraf's default https agent refuses.
+   * @returns {Object} Extra options for the Telegraf client
+   */
+  getBotApiOptions() {
+    if (config.BOT_API_MODE !== "local") {
+      return {};
+    }
+
+    const Agent = config.LOCAL_BOT_API_URL.startsWith("https:")
+      ? https.Agent
+      : http.Agent;
+
+    return {
+      apiRoot: config.LOCAL_BOT_API_URL,
+      agent: new Agent({ keepAlive: true, keepAliveMsecs: 10000 }),
+    };
+  }
+
+  /**
+   * Short description of the active Bot API mode for user-facing texts
+   * @returns {string} e.g. "local Bot API server"
+   */
+  describeBotApiMode() {
+    return config.BOT_API_MODE === "local"
+      ? "local Bot API server"
+      : "cloud Bot API";
+  }
+
+  /**
+   * Find a reusable delivery of a Drive file in the file cache
+   * Entries within FILE_CACHE_TTL_HOURS are used without contacting Google
+   * Drive. Older ones are checked against the file's Last-Modified date (or
+   * size) first; exports of Google Docs can't be checked and expire instead.
+   * @param {string} fileId - Google Drive file ID
+   * @param {Object} options - Export options ({ docType, exportFormat, gid })
+   * @returns {Promise<Object|null>} Cache entry, or null if the file must be downloaded
+   */
+  async findCachedDelivery(fileId, options = {}) {
+    if (!config.FILE_CACHE_ENABLED) {
+      return null;
+    }
+
+    const entry = this.fileCache.get(fileId, options);
+    if (!entry) {
+      fileCacheRequestsTotal.inc({ result: "miss" });
+      return null;
+    }
+
+    let revalidated = false;
+    if (this.fileCache.isStale(entry)) {
+      const current = options.docType ? null : await getFileInfo(fileId);
+      if (!current?.success || !this.isSameDriveVersion(entry.version, current)) {
+        this.fileCache.invalidate(fileId, options);
+        fileCacheRequestsTotal.inc({ result: "stale" });
+        logger.debug("Cached file is outdated", {
+          fileId: fileId.substring(0, 10) + "...",
+        });
+        return null;
+      }
+      revalidated = true;
+    }
+
+    this.fileCache.touch(entry, { revalidated });
+    fileCacheRequestsTotal.inc({ result: "hit" });
+    return entry;
+  }
+
+  /**
+   * Compare a cached Drive file version with the current file info
+   * @param {Object} version - Cached version ({ lastModified, fileSize })
+   * @param {Object} current - Result of getFileInfo
+   * @returns {boolean} True if the file is unchanged
+   */
+  isSameDriveVersion(version = {}, current) {
+    if (version.lastModified && current.lastModified) {
+      return version.lastModified === current.lastModified;
+    }
+    return version.fileSize > 0 && version.fileSize === current.fileSize;
+  }
+
+  /**
+   * Send a cached delivery again by Telegram file_id
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} entry - Cache entry
+   */
+  async sendCachedDelivery(ctx, entry) {
+    const methods = {
+      video: "sendVideo",
+      animation: "sendAnimation",
+      audio: "sendAudio",
+      photo: "sendPhoto",
+      document: "sendDocument",
+    };
+
+    for (const media of entry.media) {
+      await ctx.telegram[methods[media.method]](ctx.chat.id, media.fileId, {
+        caption: media.caption,
+        parse_mode: "Markdown",
+      });
+    }
+
+    if (entry.note) {
+      await ctx.reply(entry.note, { parse_mode: "Markdown" });
+    }
+  }
+
+  /**
+   * Answer a request from the file cache if possible
+   * A cached file_id that Telegram no longer accepts is dropped, and the
+   * caller falls back to a normal download.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} fileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @returns {Promise<Object|null>} Cache entry that was sent, or null
+   */
+  async deliverFromCache(ctx, fileId, options = {}) {
+    const entry = await this.findCachedDelivery(fileId, options);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      await this.sendCachedDelivery(ctx, entry);
+      return entry;
+    } catch (error) {
+      logger.warn("Cached file_id rejected, downloading again", {
+        fileId: fileId.substring(0, 10) + "...",
+        error: error.message,
+      });
+      this.fileCache.invalidate(fileId, options);
+      return null;
+    }
+  }
+
+  /**
+   * Remember a delivery so the next request for the file can reuse it
+   * @param {string} fileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @param {Object} download - Download result ({ fileName, fileSize, lastModified, checksums, verified })
+   * @param {Object} fileType - Detected file type
+   * @param {Object} delivery - Result of deliverFile
+   */
+  rememberDelivery(fileId, options, download, fileType, delivery) {
+    // Without a file_id for every message there's nothing to resend;
+    // files fetched with a user's own account may be private to that user,
+    // and Shared Drive files may only reach the chats mapped to the drive
+    if (
+      !config.FILE_CACHE_ENABLED ||
+      download.source === "account" ||
+      download.driveId ||
+      delivery.media.some((media) => !media)
+    ) {
+      return;
+    }
+
+    this.fileCache.set(fileId, options, {
+      fileName: download.fileName,
+      fileSize: download.fileSize,
+      mime: fileType?.mime || "unknown",
+      version: {
+        lastModified: download.lastModified || null,
+        fileSize: download.fileSize,
+      },
+      media: delivery.media,
+      note: delivery.note,
+      parts: delivery.parts,
+      checksums: download.checksums || null,
+      verified: download.verified || null,
+    });
+  }
+
+  /**
+   * Deliver a file, in parts if it exceeds the upload limit and splitting is on
+   * @param {Object} ctx - Telegraf context
+   * @param {string} filePath - File to deliver
+   * @param {string} fileName - Name shown in Telegram
+   * @param {Object} fileType - Detected file type ({ mime })
+   * @param {Object} options - { onProgress, onSplit } listeners
+   * @returns {Promise<Object>} Delivery ({ media, note, parts }); parts is null if sent whole
+   */
+  async deliverFile(ctx, filePath, fileName, fileType, options = {}) {
+    const { size } = await fs.stat(filePath);
+
+    if (!config.FILE_SPLIT_ENABLED || !needsSplitting(size)) {
+      const media = await this.sendFileByType(
+        ctx,
+        filePath,
+        fileName,
+        fileType,
+        options
+      );
+      return { media: [media], note: null, parts: null };
+    }
+
+    return this.sendFileInParts(ctx, filePath, fileName, options);
+  }
+
+  /**
+   * Split a file into Telegram-sized parts and send them in order
+   * Each part's caption carries its index and SHA-256; a closing message
+   * explains how to put the parts back together.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} filePath - File to deliver
+   * @param {string} fileName - Original file name
+   * @param {Object} options - { onProgress, onSplit } listeners
+   * @returns {Promise<Object>} Delivery ({ media, note, parts: { mode, count, partSize, sha256 } })
+   */
+  async sendFileInParts(ctx, filePath, fileName, options = {}) {
+    await options.onSplit?.();
+
+    // The parts take as much space as the file itself
+    const { size } = await fs.stat(filePath);
+    const reservation = await tempStorage.reserve(size, {
+      label: `${fileName} (parts)`,
+    });
+
+    const split = await splitFile(filePath, {
+      partSize: config.FILE_SPLIT_PART_SIZE_BYTES,
+      mode: config.FILE_SPLIT_MODE,
+      fileName,
+    });
+    if (!split.success) {
+      reservation.release();
+      throw new Error(`Could not split the file into parts: ${split.error}`);
+    }
+    reservation.track(split.outputDir);
+
+    const totalParts = split.parts.length;
+    const media = [];
+    const note = this.formatReassemblyNote(fileName, split);
+
+    try {
+      for (const part of split.parts) {
+        const caption =
+          `🧩 Part ${part.index}/${totalParts} · ${this.escapeMarkdown(fileName)}\n` +
+          `🔐 SHA-256: \`${part.sha256}\``;
+
+        const sent = await this.sendFileByType(
+          ctx,
+          part.filePath,
+          part.fileName,
+          null,
           {
             caption,
-            supports_streaming: true,
-            parse_mode: "Markdown",
+            onProgress:
+              options.onProgress &&
+              ((progress) =>
+                options.onProgress({
+                  ...progress,
+                  part: part.index,
+                  totalParts,
+                })),
           }
         );
-        return;
+        media.push(sent);
+
+        // Free disk space as soon as a part is delivered
+        await fs.remove(part.filePath);
       }
 
-      if (fileType.mime.startsWith("image/")) {
-        await ctx.replyWithPhoto(
-          { source: fileBuffer, filename: fileName },
-          { caption, parse_mode: "Markdown" }
+      await ctx.reply(note, { parse_mode: "Markdown" });
+    } finally {
+      await fs.remove(split.outputDir);
+      reservation.release();
+    }
+
+    return {
+      media,
+      note,
+      parts: {
+        mode: split.mode,
+        count: totalParts,
+        partSize: config.FILE_SPLIT_PART_SIZE_BYTES,
+        sha256: split.sha256,
+      },
+    };
+  }
+
+  /**
+   * Explain how to rebuild a file delivered in parts
+   * @param {string} fileName - Original file name
+   * @param {Object} split - Result of splitFile
+   * @returns {string} Markdown message
+   */
+  formatReassemblyNote(fileName, split) {
+    const first = split.parts[0].fileName;
+    const joined = split.baseName;
+
+    const lines = [
+      `🧩 **${this.escapeMarkdown(fileName)}** was sent in ${split.parts.length} parts.`,
+      "",
+      "**To put it back together**, download all parts into one folder and run:",
+      `• Linux/macOS: \`cat "${joined}".0* > "${joined}"\``,
+      `• Windows: \`copy /b "${joined}.0*" "${joined}"\``,
+    ];
+
+    if (split.mode === "zip") {
+      lines.push(
+        "",
+        `Then extract \`${joined}\`. 7-Zip can also open \`${first}\` directly.`
+      );
+    } else {
+      lines.push("", `7-Zip can also join them: open \`${first}\` and use *Combine*.`);
+    }
+
+    lines.push("", `🔐 SHA-256 of \`${joined}\`:`, `\`${split.sha256}\``);
+    return lines.join("\n");
+  }
+
+  // Send file by type (existing method)
+  // Files are streamed from disk so memory use doesn't grow with file size;
+  // a local Bot API server reads them straight from disk instead.
+  // Resolves with the sent media ({ method, fileId, caption }) for the file cache.
+  async sendFileByType(ctx, filePath, fileName, fileType, options = {}) {
+    const caption = options.caption || `📄 ${fileName}`;
+    const { size } = await fs.stat(filePath);
+
+    if (config.BOT_API_MODE === "local") {
+      const stagedPath = await this.stageLocalUpload(filePath, fileName);
+      try {
+        return await this.replyWithFile(
+          ctx,
+          pathToFileURL(this.toLocalBotApiPath(stagedPath)).href,
+          fileType,
+          size,
+          caption
         );
-        return;
+      } finally {
+        await fs.remove(path.dirname(stagedPath)).catch(() => {});
       }
     }
 
-    await ctx.replyWithDocument(
-      { source: fileBuffer, filename: fileName },
-      { caption, parse_mode: "Markdown" }
+    const source = this.createUploadStream(filePath, size, options.onProgress);
+    return this.replyWithFile(
+      ctx,
+      { source, filename: fileName },
+      fileType,
+      size,
+      caption
+    );
+  }
+
+  /**
+   * Send a file as video, photo or document depending on its type
+   * @param {Object} ctx - Telegraf context
+   * @param {Object|string} media - Input file or file:// URI (local Bot API)
+   * @param {Object} fileType - Detected file type ({ mime })
+   * @param {number} size - File size in bytes
+   * @param {string} caption - Message caption
+   * @returns {Promise<Object|null>} Sent media ({ method, fileId, caption })
+   */
+  async replyWithFile(ctx, media, fileType, size, caption) {
+    let message;
+
+    if (fileType?.mime?.startsWith("video/")) {
+      message = await ctx.replyWithVideo(media, {
+        caption,
+        supports_streaming: true,
+        parse_mode: "Markdown",
+      });
+    } else if (
+      // Larger images are rejected by sendPhoto and go out as documents
+      fileType?.mime?.startsWith("image/") &&
+      size <= config.TELEGRAM_PHOTO_LIMIT_MB * 1024 * 1024
+    ) {
+      message = await ctx.replyWithPhoto(media, {
+        caption,
+        parse_mode: "Markdown",
+      });
+    } else {
+      message = await ctx.replyWithDocument(media, {
+        caption,
+        parse_mode: "Markdown",
+      });
+    }
+
+    return this.getSentMedia(message, caption);
+  }
+
+  /**
+   * Extract the Telegram file_id of a sent file
+   * Telegram may store a file differently from how it was sent (a video
+   * without metadata becomes a document), so the message decides the method.
+   * @param {Object} message - Message returned by the Bot API
+   * @param {string} caption - Caption the file was sent with
+   * @returns {Object|null} { method, fileId, caption }, null if no file is attached
+   */
+  getSentMedia(message, caption) {
+    const attachments = [
+      ["video", message?.video],
+      ["animation", message?.animation],
+      ["audio", message?.audio],
+      ["photo", message?.photo?.[message.photo.length - 1]],
+      ["document", message?.document],
+    ];
+    const [method, file] =
+      attachments.find(([, attachment]) => attachment?.file_id) || [];
+
+    return method ? { method, fileId: file.file_id, caption } : null;
+  }
+
+  /**
+   * Expose a file to the local Bot API server under its display name
+   * The server names uploads after the path, so the file is hard-linked (or
+   * copied across devices) into a private directory of its own.
+   * @param {string} filePath - Downloaded file
+   * @param {string} fileName - Name shown in Telegram
+   * @returns {Promise<string>} Path of the staged file
+   */
+  async stageLocalUpload(filePath, fileName) {
+    const stagingDir = path.join(
+      config.TEMP_DIR,
+      `.upload-${this.generateFileId()}`
+    );
+    const stagedPath = path.join(stagingDir, path.basename(fileName));
+
+    await fs.ensureDir(stagingDir);
+    try {
+      await fs.link(filePath, stagedPath);
+    } catch (error) {
+      logger.debug("Hard link failed, copying file for local upload", {
+        file: path.basename(filePath),
+        error: error.message,
+      });
+      await fs.copy(filePath, stagedPath);
+    }
+
+    return stagedPath;
+  }
+
+  /**
+   * Translate a path below TEMP_DIR into the path the local Bot API server sees
+   * @param {string} filePath - Path on the bot's filesystem
+   * @returns {string} Absolute path on the server's filesystem
+   */
+  toLocalBotApiPath(filePath) {
+    const relativePath = path.relative(
+      path.resolve(config.TEMP_DIR),
+      path.resolve(filePath)
+    );
+    return path.resolve(config.LOCAL_BOT_API_TEMP_DIR, relativePath);
+  }
+
+  /**
+   * Open a file for upload, reporting progress if a listener is given
+   * Bytes are counted as the multipart request body is written.
+   * @param {string} filePath - File to upload
+   * @param {number} fileSize - File size in bytes
+   * @param {Function} onProgress - Optional progress listener
+   * @returns {Readable} Upload stream
+   */
+  createUploadStream(filePath, fileSize, onProgress) {
+    const readStream = fs.createReadStream(filePath);
+    if (!onProgress) {
+      return readStream;
+    }
+
+    // pipeline() forwards read errors so the upload fails instead of hanging
+    return pipeline(
+      readStream,
+      new ProgressStream(fileSize, onProgress),
+      (error) => {
+        if (error) {
+          logger.error("Upload stream failed", {
+            file: path.basename(filePath),
+            error: error.message,
+          });
+        }
+      }
     );
   }
 
@@ -1217,6 +5459,13 @@ Showing Recent: ${users.length} users
         error: error.message,
         stack: error.stack,
       });
+      try {
+        this.storage.flushSync();
+      } catch (flushError) {
+        logger.error("Failed to persist storage before exit", {
+          error: flushError.message,
+        });
+      }
       process.exit(1);
     });
 
@@ -1229,15 +5478,69 @@ Showing Recent: ${users.length} users
 
     process.once("SIGINT", () => {
       logger.info("Received SIGINT, shutting down gracefully");
-      this.bot.stop("SIGINT");
+      this.stop("SIGINT");
     });
 
     process.once("SIGTERM", () => {
       logger.info("Received SIGTERM, shutting down gracefully");
-      this.bot.stop("SIGTERM");
+      this.stop("SIGTERM");
     });
   }
 
+  /**
+   * Stop the bot and persist pending state
+   * @param {string} reason - Shutdown reason
+   */
+  async stop(reason) {
+    if (this.updateMode === "webhook") {
+      try {
+        await this.bot.telegram.deleteWebhook();
+        logger.info("Webhook unregistered", { reason });
+      } catch (error) {
+        logger.error("Failed to unregister webhook", {
+          error: error.message,
+        });
+      }
+    } else {
+      try {
+        this.bot.stop(reason);
+      } catch (error) {
+        logger.warn("Bot was not running during shutdown", {
+          error: error.message,
+        });
+      }
+    }
+
+    if (this.httpServer) {
+      await this.httpServer.close();
+    }
+
+    tempStorage.stop();
+    this.driveWatcher.stop();
+    for (const controller of this.pendingConnections.values()) {
+      controller.abort();
+    }
+
+    try {
+      await this.storage.close();
+    } catch (error) {
+      logger.error("Failed to persist storage on shutdown", {
+        error: error.message,
+      });
+    }
+  }
+
+  // Suggest /connect for private files; with drive.file alone a linked
+  // account only reaches the files the bot stored in it
+  describeConnectHint() {
+    if (!config.GOOGLE_OAUTH_ENABLED) {
+      return "";
+    }
+    return canReadAllFiles(config.GOOGLE_OAUTH_SCOPES)
+      ? "\n🔐 If it's your own private file, link your Google account with /connect."
+      : "\n🔐 If I stored this file in your Google Drive, link that account with /connect. I can't open your other private files.";
+  }
+
   generateUserErrorMessage(error) {
     const errorMessage = error && error.message ? error.message.toString() : "";
     const errorCode = error?.code;
@@ -1257,8 +5560,31 @@ Showing Recent: ${users.length} users
       return `📁 File is too large! Maximum allowed size is ${config.MAX_FILE_SIZE_MB}MB.`;
     }
 
+    if (errorMessage.includes("temporary disk space")) {
+      return "💽 The bot is short on disk space right now. Please try again in a few minutes.";
+    }
+
+    if (
+      errorCode === "INTEGRITY_MISMATCH" ||
+      errorMessage.toLowerCase().includes("integrity check failed")
+    ) {
+      return "🧪 The download kept arriving damaged (checksum mismatch). Please try again later.";
+    }
+
+    if (errorMessage.includes("storageQuotaExceeded")) {
+      return "💾 The Google Drive this file should go to is full. Free up some space and try again.";
+    }
+
+    if (errorCode === "UPLOAD_FOLDER_NOT_ALLOWED") {
+      return "🏢 The shared upload folder is on a Shared Drive that isn't enabled for this chat. Ask an admin to allow it with /drives.";
+    }
+
+    if (errorMessage.includes("Shared Drive is not enabled")) {
+      return "🏢 This file is on a Shared Drive that isn't enabled for this chat. Ask an admin to allow it with /drives.";
+    }
+
     if (errorMessage.includes("not found") || errorMessage.includes("404")) {
-      return "🔍 File not found. Please check if the Google Drive link is correct and the file is publicly accessible.";
+      return `🔍 File not found. Please check if the Google Drive link is correct and the file is publicly accessible.${this.describeConnectHint()}`;
     }
 
     if (
@@ -1266,7 +5592,11 @@ Showing Recent: ${users.length} users
       errorMessage.includes("403") ||
       errorMessage.includes("permission")
     ) {
-      return '🔒 Access denied. Please make sure the file is shared with "Anyone with the link" permission in Google Drive.';
+      return `🔒 Access denied. Please make sure the file is shared with "Anyone with the link" permission in Google Drive.${this.describeConnectHint()}`;
+    }
+
+    if (errorMessage.includes("/connect")) {
+      return `🔐 ${errorMessage}`;
     }
 
     if (errorMessage.includes("Could not extract file ID")) {
@@ -1293,14 +5623,45 @@ Showing Recent: ${users.length} users
   async start() {
     try {
       await fs.ensureDir(config.TEMP_DIR);
-      await this.bot.launch();
+      await this.storage.init();
+      this.pruneCooldowns();
+      await tempStorage.start();
+
+      if (config.HTTP_SERVER_ENABLED) {
+        this.httpServer = new HttpServer();
+        registerHealthRoutes(this.httpServer, {
+          getUpdateMode: () => this.updateMode,
+          isTransportAlive: () => this.isUpdateTransportAlive(),
+          isStorageReady: () => this.storage.initialized,
+        });
+        if (config.GOOGLE_OAUTH_ENABLED && config.GOOGLE_OAUTH_FLOW === "web") {
+          registerOAuthRoutes(this.httpServer, googleOAuth);
+        }
+      }
+
+      if (config.USE_WEBHOOK) {
+        await this.startWebhook();
+      } else {
+        if (this.httpServer) {
+          await this.httpServer.listen(config.HTTP_PORT, config.HTTP_HOST);
+        }
+        await this.startPolling();
+      }
+
+      await this.resumePersistedJobs();
+
+      if (config.WATCH_ENABLED) {
+        this.driveWatcher.start();
+      }
 
       logger.info(
         "🚀 Enhanced Telegram Google Drive Bot started successfully",
         {
           botUsername: this.bot.botInfo?.username,
           environment: config.NODE_ENV,
+          updateMode: this.updateMode,
           maxFileSize: config.MAX_FILE_SIZE_MB + "MB",
+          botApiMode: config.BOT_API_MODE,
           modulesActive: ["FileManager", "AdminDashboard", "SmartDownloads"],
         }
       );
@@ -1317,6 +5678,56 @@ Showing Recent: ${users.length} users
     }
   }
 
+  /**
+   * Start receiving updates via long polling.
+   * Resolves once polling is running; launch() itself only settles when polling stops.
+   */
+  async startPolling() {
+    await new Promise((resolve, reject) => {
+      this.bot
+        .launch(() => {
+          this.updateMode = "polling";
+          resolve();
+        })
+        .catch((error) => {
+          logger.error("Long polling stopped unexpectedly", {
+            error: error.message,
+          });
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Start receiving updates via webhook on the built-in HTTP server
+   */
+  async startWebhook() {
+    this.bot.botInfo ??= await this.bot.telegram.getMe();
+
+    this.httpServer.route(
+      "POST",
+      config.WEBHOOK_PATH,
+      this.bot.webhookCallback(config.WEBHOOK_PATH, {
+        secretToken: config.WEBHOOK_SECRET_TOKEN || undefined,
+      })
+    );
+    await this.httpServer.listen(config.HTTP_PORT, config.HTTP_HOST);
+
+    await this.bot.telegram.setWebhook(
+      `${config.WEBHOOK_URL}${config.WEBHOOK_PATH}`,
+      {
+        secret_token: config.WEBHOOK_SECRET_TOKEN || undefined,
+      }
+    );
+    this.updateMode = "webhook";
+
+    logger.info("Webhook registered", {
+      webhookUrl: config.WEBHOOK_URL,
+      webhookPath: config.WEBHOOK_PATH,
+      secretTokenSet: !!config.WEBHOOK_SECRET_TOKEN,
+    });
+  }
+
   async showOrganizeMenu(ctx) {
     await ctx.editMessageText(
       "🗂️ The organize feature is coming soon! Stay tuned for updates.",
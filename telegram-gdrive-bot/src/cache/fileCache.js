@@ -0,0 +1,178 @@
+import config from "../config/index.js";
+import logger from "../logger/index.js";
+
+/**
+ * Telegram File Cache
+ * Remembers the Telegram file_ids of delivered Google Drive files so repeat
+ * requests are answered without downloading and uploading the file again.
+ * Entries record the Drive file's version (Last-Modified, size) so they can
+ * be re-checked once they are older than the TTL.
+ */
+
+export class FileCache {
+  /**
+   * @param {Collection} collection - Storage collection holding the entries
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - Age after which an entry must be revalidated
+   * @param {number} options.maxEntries - Entries kept before the least recently used are evicted
+   */
+  constructor(collection, { ttlMs, maxEntries }) {
+    this.collection = collection;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Build the cache key for a Drive file and its export options
+   * Exports of one document in different formats are cached separately.
+   * @param {string} driveFileId - Google Drive file ID
+   * @param {Object} options - { docType, exportFormat, gid }
+   * @returns {string} Cache key
+   */
+  static key(driveFileId, options = {}) {
+    return [
+      driveFileId,
+      options.docType || "file",
+      options.exportFormat || "",
+      options.gid ?? "",
+    ].join(":");
+  }
+
+  /**
+   * Look up a cached delivery
+   * Entries recorded under another Bot API mode are dropped, since file_ids
+   * of a local Bot API server are not guaranteed to work in the cloud.
+   * @param {string} driveFileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @returns {Object|null} Cache entry
+   */
+  get(driveFileId, options = {}) {
+    const key = FileCache.key(driveFileId, options);
+    const entry = this.collection.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.botApiMode !== config.BOT_API_MODE) {
+      this.collection.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Whether an entry is older than the TTL and must be checked against Drive
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry needs revalidation
+   */
+  isStale(entry) {
+    return Date.now() - entry.validatedAt > this.ttlMs;
+  }
+
+  /**
+   * Record a delivery
+   * @param {string} driveFileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @param {Object} data - { fileName, fileSize, mime, version, media, note, parts }
+   * @returns {Object} Stored entry
+   */
+  set(driveFileId, options, data) {
+    const key = FileCache.key(driveFileId, options);
+    const now = Date.now();
+    const entry = {
+      ...data,
+      key,
+      driveFileId,
+      botApiMode: config.BOT_API_MODE,
+      cachedAt: now,
+      validatedAt: now,
+      lastHitAt: now,
+      hits: 0,
+    };
+
+    this.collection.set(key, entry);
+    this.evict();
+    return entry;
+  }
+
+  /**
+   * Count a cache hit
+   * @param {Object} entry - Cache entry
+   * @param {Object} options - { revalidated: true } if the entry was just checked against Drive
+   */
+  touch(entry, { revalidated = false } = {}) {
+    const now = Date.now();
+    this.collection.set(entry.key, {
+      ...entry,
+      hits: (entry.hits || 0) + 1,
+      lastHitAt: now,
+      validatedAt: revalidated ? now : entry.validatedAt,
+    });
+  }
+
+  /**
+   * Drop the entry of one Drive file and export variant
+   * @param {string} driveFileId - Google Drive file ID
+   * @param {Object} options - Export options
+   * @returns {boolean} True if an entry was removed
+   */
+  invalidate(driveFileId, options = {}) {
+    return this.collection.delete(FileCache.key(driveFileId, options));
+  }
+
+  /**
+   * Remove cached entries
+   * @param {string|null} driveFileId - Only purge this Drive file (all its variants)
+   * @returns {number} Number of removed entries
+   */
+  purge(driveFileId = null) {
+    if (!driveFileId) {
+      const count = this.collection.size;
+      this.collection.clear();
+      return count;
+    }
+
+    let count = 0;
+    for (const [key, entry] of Array.from(this.collection.entries())) {
+      if (entry.driveFileId === driveFileId) {
+        this.collection.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Evict the least recently used entries above maxEntries
+   */
+  evict() {
+    const overflow = this.collection.size - this.maxEntries;
+    if (overflow <= 0) {
+      return;
+    }
+
+    const oldest = Array.from(this.collection.values())
+      .sort((a, b) => a.lastHitAt - b.lastHitAt)
+      .slice(0, overflow);
+    for (const entry of oldest) {
+      this.collection.delete(entry.key);
+    }
+
+    logger.debug("File cache entries evicted", { count: oldest.length });
+  }
+
+  /**
+   * Summary for the admin purge command
+   * @returns {Object} { entries, hits, bytes }
+   */
+  getStats() {
+    let hits = 0;
+    let bytes = 0;
+    for (const entry of this.collection.values()) {
+      hits += entry.hits || 0;
+      bytes += entry.fileSize || 0;
+    }
+    return { entries: this.collection.size, hits, bytes };
+  }
+}
@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import fs from "fs";
 import path from "path";
 
 // Load environment variables
@@ -67,6 +68,112 @@ class Config {
     return this.getEnvVar("BOT_TOKEN");
   }
 
+  // Self-hosted telegram-bot-api server (started with --local); empty uses the cloud Bot API
+  get LOCAL_BOT_API_URL() {
+    return this.getEnvVar("LOCAL_BOT_API_URL", "").replace(/\/+$/, "");
+  }
+
+  // TEMP_DIR as seen by the local Bot API server (differs when it runs in another container)
+  get LOCAL_BOT_API_TEMP_DIR() {
+    return this.getEnvVar("LOCAL_BOT_API_TEMP_DIR", "") || this.TEMP_DIR;
+  }
+
+  get BOT_API_MODE() {
+    return this.LOCAL_BOT_API_URL ? "local" : "cloud";
+  }
+
+  // Bots may upload 50MB to the cloud Bot API and 2000MB to a local server
+  get TELEGRAM_UPLOAD_LIMIT_MB() {
+    return this.BOT_API_MODE === "local" ? 2000 : 50;
+  }
+
+  // Bots may fetch files sent to them up to 20MB from the cloud Bot API (getFile)
+  get TELEGRAM_DOWNLOAD_LIMIT_MB() {
+    return this.BOT_API_MODE === "local" ? 2000 : 20;
+  }
+
+  // Larger images are sent as documents; sendPhoto is capped at 10MB in both modes
+  get TELEGRAM_PHOTO_LIMIT_MB() {
+    return 10;
+  }
+
+  // How files above the upload limit are delivered: off (rejected), raw (.001 parts) or zip (split zip)
+  get FILE_SPLIT_MODE() {
+    return this.getEnvVar("FILE_SPLIT_MODE", "off").toLowerCase();
+  }
+
+  get FILE_SPLIT_ENABLED() {
+    return this.FILE_SPLIT_MODE !== "off";
+  }
+
+  // Stays below the upload limit so multipart overhead never pushes a part over it
+  get FILE_SPLIT_PART_SIZE_MB() {
+    return this.getEnvVar(
+      "FILE_SPLIT_PART_SIZE_MB",
+      Math.floor(this.TELEGRAM_UPLOAD_LIMIT_MB * 0.9),
+      "number"
+    );
+  }
+
+  get FILE_SPLIT_PART_SIZE_BYTES() {
+    return Math.floor(this.FILE_SPLIT_PART_SIZE_MB * 1024 * 1024);
+  }
+
+  // Largest download accepted at all; above the upload limit only when splitting
+  get MAX_DOWNLOAD_LIMIT_MB() {
+    return this.FILE_SPLIT_ENABLED ? 4000 : this.TELEGRAM_UPLOAD_LIMIT_MB;
+  }
+
+  // Comma-separated Telegram user IDs with admin access
+  get ADMIN_USER_IDS() {
+    return this.getEnvVar("ADMIN_USER_IDS", "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean)
+      .map(Number);
+  }
+
+  // Webhook / HTTP Server Configuration
+  get WEBHOOK_URL() {
+    const url = this.getEnvVar("WEBHOOK_URL", "");
+    return url.replace(/\/+$/, "");
+  }
+
+  get USE_WEBHOOK() {
+    return this.WEBHOOK_URL !== "";
+  }
+
+  get WEBHOOK_PATH() {
+    const webhookPath = this.getEnvVar("WEBHOOK_PATH", "/telegram/webhook");
+    return webhookPath.startsWith("/") ? webhookPath : `/${webhookPath}`;
+  }
+
+  get WEBHOOK_SECRET_TOKEN() {
+    return this.getEnvVar("WEBHOOK_SECRET_TOKEN", "");
+  }
+
+  get ENABLE_HEALTH_ENDPOINTS() {
+    return this.getEnvVar("ENABLE_HEALTH_ENDPOINTS", false, "boolean");
+  }
+
+  // The HTTP server runs in webhook mode, or in polling mode for health checks
+  // and the Google sign-in redirect
+  get HTTP_SERVER_ENABLED() {
+    return (
+      this.USE_WEBHOOK ||
+      this.ENABLE_HEALTH_ENDPOINTS ||
+      (this.GOOGLE_OAUTH_ENABLED && this.GOOGLE_OAUTH_FLOW === "web")
+    );
+  }
+
+  get HTTP_PORT() {
+    return this.getEnvVar("HTTP_PORT", 3000, "number");
+  }
+
+  get HTTP_HOST() {
+    return this.getEnvVar("HTTP_HOST", "0.0.0.0");
+  }
+
   // Environment Settings
   get NODE_ENV() {
     return this.getEnvVar("NODE_ENV", "development");
@@ -87,7 +194,11 @@ class Config {
 
   // File Download Settings
   get MAX_FILE_SIZE_MB() {
-    return this.getEnvVar("MAX_FILE_SIZE_MB", 50, "number");
+    return this.getEnvVar(
+      "MAX_FILE_SIZE_MB",
+      this.FILE_SPLIT_ENABLED ? 2000 : this.TELEGRAM_UPLOAD_LIMIT_MB,
+      "number"
+    );
   }
 
   get MAX_FILE_SIZE_BYTES() {
@@ -98,12 +209,99 @@ class Config {
     return this.getEnvVar("DOWNLOAD_TIMEOUT_MS", 30000, "number");
   }
 
+  // Download Queue Settings
+  get MAX_CONCURRENT_DOWNLOADS() {
+    return this.getEnvVar("MAX_CONCURRENT_DOWNLOADS", 3, "number");
+  }
+
+  get MAX_CONCURRENT_DOWNLOADS_PER_USER() {
+    return this.getEnvVar("MAX_CONCURRENT_DOWNLOADS_PER_USER", 1, "number");
+  }
+
+  // Parallel downloads: connections per file (1 disables) and chunk size
+  get DOWNLOAD_CONNECTIONS() {
+    return this.getEnvVar("DOWNLOAD_CONNECTIONS", 4, "number");
+  }
+
+  get DOWNLOAD_CHUNK_SIZE_MB() {
+    return this.getEnvVar("DOWNLOAD_CHUNK_SIZE_MB", 8, "number");
+  }
+
+  get DOWNLOAD_CHUNK_SIZE_BYTES() {
+    return Math.round(this.DOWNLOAD_CHUNK_SIZE_MB * 1024 * 1024);
+  }
+
+  // Minimum delay between progress message edits (Telegram rate-limits edits)
+  get PROGRESS_UPDATE_INTERVAL_MS() {
+    return this.getEnvVar("PROGRESS_UPDATE_INTERVAL_MS", 3000, "number");
+  }
+
   // Directory Configuration
   get TEMP_DIR() {
     const tempDir = this.getEnvVar("TEMP_DIR", "./temp");
     return path.resolve(tempDir);
   }
 
+  // Size budget of TEMP_DIR; 0 leaves only the free-disk threshold
+  get TEMP_DIR_MAX_SIZE_MB() {
+    return this.getEnvVar("TEMP_DIR_MAX_SIZE_MB", 0, "number");
+  }
+
+  get TEMP_DIR_MAX_SIZE_BYTES() {
+    return this.TEMP_DIR_MAX_SIZE_MB * 1024 * 1024;
+  }
+
+  // Downloads wait or are refused rather than leave less free disk space than this
+  get TEMP_MIN_FREE_DISK_MB() {
+    return this.getEnvVar("TEMP_MIN_FREE_DISK_MB", 512, "number");
+  }
+
+  get TEMP_MIN_FREE_DISK_BYTES() {
+    return this.TEMP_MIN_FREE_DISK_MB * 1024 * 1024;
+  }
+
+  // How long a download waits for running jobs to free temp space
+  get TEMP_SPACE_WAIT_TIMEOUT_MS() {
+    return this.getEnvVar("TEMP_SPACE_WAIT_TIMEOUT_MS", 600000, "number");
+  }
+
+  // Unreserved temp files older than this are removed periodically
+  get TEMP_FILE_MAX_AGE_HOURS() {
+    return this.getEnvVar("TEMP_FILE_MAX_AGE_HOURS", 1, "number");
+  }
+
+  // Storage Configuration
+  get STORAGE_DRIVER() {
+    return this.getEnvVar("STORAGE_DRIVER", "json");
+  }
+
+  get STORAGE_PATH() {
+    const storagePath = this.getEnvVar("STORAGE_PATH", "./data/bot-data.json");
+    return path.resolve(storagePath);
+  }
+
+  get STORAGE_FLUSH_INTERVAL_MS() {
+    return this.getEnvVar("STORAGE_FLUSH_INTERVAL_MS", 1000, "number");
+  }
+
+  // Reuse Telegram file_ids for files that were delivered before
+  get FILE_CACHE_ENABLED() {
+    return this.getEnvVar("FILE_CACHE_ENABLED", true, "boolean");
+  }
+
+  // Cached files are re-checked against Google Drive after this long
+  get FILE_CACHE_TTL_HOURS() {
+    return this.getEnvVar("FILE_CACHE_TTL_HOURS", 24, "number");
+  }
+
+  get FILE_CACHE_TTL_MS() {
+    return this.FILE_CACHE_TTL_HOURS * 60 * 60 * 1000;
+  }
+
+  get FILE_CACHE_MAX_ENTRIES() {
+    return this.getEnvVar("FILE_CACHE_MAX_ENTRIES", 1000, "number");
+  }
+
   // Error Reporting Configuration
   get ENABLE_ERROR_DETAILS() {
     return this.getEnvVar(
@@ -126,6 +324,151 @@ class Config {
     return "https://drive.google.com/uc?export=download&confirm=t&id=";
   }
 
+  // Drive API v3 credentials; a service account wins over an API key when both are set
+  get GOOGLE_DRIVE_API_KEY() {
+    return this.getEnvVar("GOOGLE_DRIVE_API_KEY", "");
+  }
+
+  get GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE() {
+    return this.getEnvVar("GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE", "");
+  }
+
+  get GOOGLE_DRIVE_API_ENABLED() {
+    return Boolean(
+      this.GOOGLE_DRIVE_API_KEY || this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE
+    );
+  }
+
+  // auto (API first when credentials are set), api, scrape or scrape-first
+  get GOOGLE_DRIVE_STRATEGY() {
+    return this.getEnvVar("GOOGLE_DRIVE_STRATEGY", "auto").toLowerCase();
+  }
+
+  // Order in which metadata lookups and downloads try the Drive API and the public links
+  get GOOGLE_DRIVE_STRATEGY_ORDER() {
+    switch (this.GOOGLE_DRIVE_STRATEGY) {
+      case "api":
+        return ["api"];
+      case "scrape":
+        return ["scrape"];
+      case "scrape-first":
+        return ["scrape", "api"];
+      default:
+        return this.GOOGLE_DRIVE_API_ENABLED ? ["api", "scrape"] : ["scrape"];
+    }
+  }
+
+  // OAuth client for /connect; empty disables account linking
+  get GOOGLE_OAUTH_CLIENT_ID() {
+    return this.getEnvVar("GOOGLE_OAUTH_CLIENT_ID", "");
+  }
+
+  get GOOGLE_OAUTH_CLIENT_SECRET() {
+    return this.getEnvVar("GOOGLE_OAUTH_CLIENT_SECRET", "");
+  }
+
+  // Public URL Google redirects to after sign-in ("Web application" client).
+  // Set, /connect uses the authorization code flow; empty, the device flow
+  get GOOGLE_OAUTH_REDIRECT_URL() {
+    return this.getEnvVar("GOOGLE_OAUTH_REDIRECT_URL", "");
+  }
+
+  get GOOGLE_OAUTH_FLOW() {
+    return this.GOOGLE_OAUTH_REDIRECT_URL ? "web" : "device";
+  }
+
+  // Path of the redirect URL, served by the built-in HTTP server
+  get GOOGLE_OAUTH_CALLBACK_PATH() {
+    try {
+      return new URL(this.GOOGLE_OAUTH_REDIRECT_URL).pathname;
+    } catch {
+      return "";
+    }
+  }
+
+  // The device flow only allows drive.file and drive.appdata, so private
+  // files need the web flow and drive.readonly
+  get GOOGLE_OAUTH_SCOPES() {
+    return this.getEnvVar(
+      "GOOGLE_OAUTH_SCOPES",
+      this.GOOGLE_OAUTH_FLOW === "web"
+        ? "https://www.googleapis.com/auth/drive.readonly https://www.googleapis.com/auth/drive.file"
+        : "https://www.googleapis.com/auth/drive.file"
+    )
+      .split(/[\s,]+/)
+      .filter(Boolean);
+  }
+
+  get GOOGLE_OAUTH_ENABLED() {
+    return Boolean(this.GOOGLE_OAUTH_CLIENT_ID);
+  }
+
+  // Secret the stored refresh tokens are encrypted with; changing it unlinks every account
+  get TOKEN_ENCRYPTION_KEY() {
+    return this.getEnvVar("TOKEN_ENCRYPTION_KEY", "");
+  }
+
+  // Files sent to the bot are stored in Google Drive
+  get DRIVE_UPLOAD_ENABLED() {
+    return this.getEnvVar("DRIVE_UPLOAD_ENABLED", true, "boolean");
+  }
+
+  // Folder (or Shared Drive) the service account uploads to for users without a linked account
+  get DRIVE_UPLOAD_FOLDER_ID() {
+    return this.getEnvVar("DRIVE_UPLOAD_FOLDER_ID", "");
+  }
+
+  // Folder created in a linked account's My Drive for its uploads
+  get DRIVE_UPLOAD_FOLDER_NAME() {
+    return this.getEnvVar("DRIVE_UPLOAD_FOLDER_NAME", "Telegram Uploads");
+  }
+
+  // Make uploaded files readable by anyone with the link
+  get DRIVE_UPLOAD_LINK_SHARING() {
+    return this.getEnvVar("DRIVE_UPLOAD_LINK_SHARING", false, "boolean");
+  }
+
+  // Drive Watch Configuration (/watch)
+  get WATCH_ENABLED() {
+    return this.getEnvVar("WATCH_ENABLED", true, "boolean");
+  }
+
+  // Watched files and folders are checked for changes this often
+  get WATCH_POLL_INTERVAL_MINUTES() {
+    return this.getEnvVar("WATCH_POLL_INTERVAL_MINUTES", 15, "number");
+  }
+
+  get WATCH_POLL_INTERVAL_MS() {
+    return this.WATCH_POLL_INTERVAL_MINUTES * 60 * 1000;
+  }
+
+  get MAX_WATCHES_PER_CHAT() {
+    return this.getEnvVar("MAX_WATCHES_PER_CHAT", 5, "number");
+  }
+
+  // Export formats offered for native Google Docs, Sheets and Slides (first is the default)
+  get GOOGLE_EXPORT_FORMATS() {
+    return {
+      document: [
+        { format: "pdf", label: "PDF" },
+        { format: "docx", label: "DOCX" },
+        { format: "txt", label: "TXT" },
+        { format: "md", label: "Markdown" },
+        { format: "epub", label: "EPUB" },
+      ],
+      spreadsheets: [
+        { format: "xlsx", label: "XLSX" },
+        { format: "csv", label: "CSV" },
+        { format: "pdf", label: "PDF" },
+        { format: "ods", label: "ODS" },
+      ],
+      presentation: [
+        { format: "pptx", label: "PPTX" },
+        { format: "pdf", label: "PDF" },
+      ],
+    };
+  }
+
   // Request Configuration
   get REQUEST_HEADERS() {
     return {
@@ -186,10 +529,45 @@ class Config {
       nodeEnv: this.NODE_ENV,
       logLevel: this.LOG_LEVEL,
       maxFileSizeMB: this.MAX_FILE_SIZE_MB,
+      botApiMode: this.BOT_API_MODE,
+      telegramUploadLimitMB: this.TELEGRAM_UPLOAD_LIMIT_MB,
+      fileSplitMode: this.FILE_SPLIT_MODE,
+      fileSplitPartSizeMB: this.FILE_SPLIT_PART_SIZE_MB,
+      fileCacheEnabled: this.FILE_CACHE_ENABLED,
+      fileCacheTtlHours: this.FILE_CACHE_TTL_HOURS,
+      fileCacheMaxEntries: this.FILE_CACHE_MAX_ENTRIES,
+      googleDriveStrategy: this.GOOGLE_DRIVE_STRATEGY_ORDER.join(" > "),
+      googleDriveAuth: this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE
+        ? "service_account"
+        : this.GOOGLE_DRIVE_API_KEY
+          ? "api_key"
+          : "none",
+      googleOAuthEnabled: this.GOOGLE_OAUTH_ENABLED,
+      googleOAuthFlow: this.GOOGLE_OAUTH_FLOW,
+      driveUploadEnabled: this.DRIVE_UPLOAD_ENABLED,
+      driveUploadFolderSet: !!this.DRIVE_UPLOAD_FOLDER_ID,
+      watchEnabled: this.WATCH_ENABLED,
+      watchPollIntervalMinutes: this.WATCH_POLL_INTERVAL_MINUTES,
+      maxWatchesPerChat: this.MAX_WATCHES_PER_CHAT,
       downloadTimeoutMs: this.DOWNLOAD_TIMEOUT_MS,
+      progressUpdateIntervalMs: this.PROGRESS_UPDATE_INTERVAL_MS,
+      downloadConnections: this.DOWNLOAD_CONNECTIONS,
+      downloadChunkSizeMB: this.DOWNLOAD_CHUNK_SIZE_MB,
+      maxConcurrentDownloads: this.MAX_CONCURRENT_DOWNLOADS,
+      maxConcurrentDownloadsPerUser: this.MAX_CONCURRENT_DOWNLOADS_PER_USER,
+      adminUserCount: this.ADMIN_USER_IDS.length,
       tempDir: this.TEMP_DIR,
+      tempDirMaxSizeMB: this.TEMP_DIR_MAX_SIZE_MB,
+      tempMinFreeDiskMB: this.TEMP_MIN_FREE_DISK_MB,
+      storageDriver: this.STORAGE_DRIVER,
+      storagePath: this.STORAGE_PATH,
       enableErrorDetails: this.ENABLE_ERROR_DETAILS,
       botTokenSet: !!this.BOT_TOKEN,
+      updateMode: this.USE_WEBHOOK ? "webhook" : "polling",
+      webhookPath: this.USE_WEBHOOK ? this.WEBHOOK_PATH : undefined,
+      webhookSecretSet: !!this.WEBHOOK_SECRET_TOKEN,
+      httpServerEnabled: this.HTTP_SERVER_ENABLED,
+      httpPort: this.HTTP_PORT,
     };
   }
 
@@ -198,14 +576,220 @@ class Config {
    * @throws {Error} If configuration is invalid
    */
   validate() {
-    if (this.MAX_FILE_SIZE_MB <= 0 || this.MAX_FILE_SIZE_MB > 2000) {
-      throw new Error("MAX_FILE_SIZE_MB must be between 1 and 2000");
+    if (!["off", "raw", "zip"].includes(this.FILE_SPLIT_MODE)) {
+      throw new Error("FILE_SPLIT_MODE must be one of: off, raw, zip");
+    }
+
+    if (
+      this.FILE_SPLIT_PART_SIZE_MB < 1 ||
+      this.FILE_SPLIT_PART_SIZE_MB > this.TELEGRAM_UPLOAD_LIMIT_MB
+    ) {
+      throw new Error(
+        `FILE_SPLIT_PART_SIZE_MB must be between 1 and ${this.TELEGRAM_UPLOAD_LIMIT_MB} with the ${this.BOT_API_MODE} Bot API`
+      );
+    }
+
+    if (
+      this.MAX_FILE_SIZE_MB <= 0 ||
+      this.MAX_FILE_SIZE_MB > this.MAX_DOWNLOAD_LIMIT_MB
+    ) {
+      throw new Error(
+        `MAX_FILE_SIZE_MB must be between 1 and ${this.MAX_DOWNLOAD_LIMIT_MB} with the ${this.BOT_API_MODE} Bot API` +
+          (this.FILE_SPLIT_ENABLED
+            ? ""
+            : " (set FILE_SPLIT_MODE to deliver larger files in parts" +
+              (this.BOT_API_MODE === "cloud"
+                ? ", or LOCAL_BOT_API_URL to upload files up to 2000MB)"
+                : ")"))
+      );
+    }
+
+    if (
+      this.LOCAL_BOT_API_URL &&
+      !/^https?:\/\/[^\s/]+/.test(this.LOCAL_BOT_API_URL)
+    ) {
+      throw new Error("LOCAL_BOT_API_URL must be an http:// or https:// URL");
+    }
+
+    if (
+      !["auto", "api", "scrape", "scrape-first"].includes(
+        this.GOOGLE_DRIVE_STRATEGY
+      )
+    ) {
+      throw new Error(
+        "GOOGLE_DRIVE_STRATEGY must be one of: auto, api, scrape, scrape-first"
+      );
+    }
+
+    if (
+      ["api", "scrape-first"].includes(this.GOOGLE_DRIVE_STRATEGY) &&
+      !this.GOOGLE_DRIVE_API_ENABLED
+    ) {
+      throw new Error(
+        `GOOGLE_DRIVE_STRATEGY=${this.GOOGLE_DRIVE_STRATEGY} needs GOOGLE_DRIVE_API_KEY or GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE`
+      );
+    }
+
+    if (
+      this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE &&
+      !fs.existsSync(this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE)
+    ) {
+      throw new Error(
+        `GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE not found: ${this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE}`
+      );
+    }
+
+    if (
+      this.GOOGLE_OAUTH_ENABLED &&
+      (!this.GOOGLE_OAUTH_CLIENT_SECRET || this.TOKEN_ENCRYPTION_KEY.length < 16)
+    ) {
+      throw new Error(
+        "GOOGLE_OAUTH_CLIENT_ID needs GOOGLE_OAUTH_CLIENT_SECRET and a TOKEN_ENCRYPTION_KEY of at least 16 characters"
+      );
+    }
+
+    if (
+      this.GOOGLE_OAUTH_FLOW === "web" &&
+      (!/^https?:\/\//.test(this.GOOGLE_OAUTH_REDIRECT_URL) ||
+        !this.GOOGLE_OAUTH_CALLBACK_PATH)
+    ) {
+      throw new Error("GOOGLE_OAUTH_REDIRECT_URL must be an http(s) URL");
+    }
+
+    // Google answers /connect with invalid_scope otherwise
+    const deviceFlowDriveScopes = [
+      "https://www.googleapis.com/auth/drive.file",
+      "https://www.googleapis.com/auth/drive.appdata",
+    ];
+    const rejectedScopes = this.GOOGLE_OAUTH_SCOPES.filter(
+      (scope) =>
+        scope.startsWith("https://www.googleapis.com/auth/drive") &&
+        !deviceFlowDriveScopes.includes(scope)
+    );
+    if (
+      this.GOOGLE_OAUTH_ENABLED &&
+      this.GOOGLE_OAUTH_FLOW === "device" &&
+      rejectedScopes.length > 0
+    ) {
+      throw new Error(
+        `GOOGLE_OAUTH_SCOPES: Google's device sign-in doesn't allow ${rejectedScopes.join(
+          ", "
+        )}. Set GOOGLE_OAUTH_REDIRECT_URL to use the authorization code flow.`
+      );
+    }
+
+    // API keys are read-only
+    if (this.DRIVE_UPLOAD_FOLDER_ID && !this.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE) {
+      throw new Error(
+        "DRIVE_UPLOAD_FOLDER_ID needs GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE"
+      );
     }
 
     if (this.DOWNLOAD_TIMEOUT_MS <= 0) {
       throw new Error("DOWNLOAD_TIMEOUT_MS must be a positive number");
     }
 
+    if (
+      !Number.isInteger(this.MAX_CONCURRENT_DOWNLOADS) ||
+      this.MAX_CONCURRENT_DOWNLOADS < 1
+    ) {
+      throw new Error("MAX_CONCURRENT_DOWNLOADS must be a positive integer");
+    }
+
+    if (
+      !Number.isInteger(this.MAX_CONCURRENT_DOWNLOADS_PER_USER) ||
+      this.MAX_CONCURRENT_DOWNLOADS_PER_USER < 1
+    ) {
+      throw new Error(
+        "MAX_CONCURRENT_DOWNLOADS_PER_USER must be a positive integer"
+      );
+    }
+
+    if (this.ADMIN_USER_IDS.some((id) => !Number.isInteger(id))) {
+      throw new Error("ADMIN_USER_IDS must be a comma-separated list of user IDs");
+    }
+
+    if (
+      !Number.isInteger(this.DOWNLOAD_CONNECTIONS) ||
+      this.DOWNLOAD_CONNECTIONS < 1 ||
+      this.DOWNLOAD_CONNECTIONS > 16
+    ) {
+      throw new Error("DOWNLOAD_CONNECTIONS must be an integer between 1 and 16");
+    }
+
+    if (this.DOWNLOAD_CHUNK_SIZE_MB <= 0) {
+      throw new Error("DOWNLOAD_CHUNK_SIZE_MB must be a positive number");
+    }
+
+    if (this.PROGRESS_UPDATE_INTERVAL_MS < 1000) {
+      throw new Error("PROGRESS_UPDATE_INTERVAL_MS must be at least 1000");
+    }
+
+    if (!["json", "memory"].includes(this.STORAGE_DRIVER)) {
+      throw new Error('STORAGE_DRIVER must be either "json" or "memory"');
+    }
+
+    if (this.STORAGE_FLUSH_INTERVAL_MS < 0) {
+      throw new Error("STORAGE_FLUSH_INTERVAL_MS must not be negative");
+    }
+
+    if (this.TEMP_DIR_MAX_SIZE_MB < 0 || this.TEMP_MIN_FREE_DISK_MB < 0) {
+      throw new Error(
+        "TEMP_DIR_MAX_SIZE_MB and TEMP_MIN_FREE_DISK_MB must not be negative"
+      );
+    }
+
+    if (this.TEMP_SPACE_WAIT_TIMEOUT_MS < 0) {
+      throw new Error("TEMP_SPACE_WAIT_TIMEOUT_MS must not be negative");
+    }
+
+    if (this.TEMP_FILE_MAX_AGE_HOURS <= 0) {
+      throw new Error("TEMP_FILE_MAX_AGE_HOURS must be greater than 0");
+    }
+
+    if (this.WATCH_POLL_INTERVAL_MINUTES < 1) {
+      throw new Error("WATCH_POLL_INTERVAL_MINUTES must be at least 1");
+    }
+
+    if (
+      !Number.isInteger(this.MAX_WATCHES_PER_CHAT) ||
+      this.MAX_WATCHES_PER_CHAT < 1
+    ) {
+      throw new Error("MAX_WATCHES_PER_CHAT must be a positive integer");
+    }
+
+    if (this.FILE_CACHE_TTL_HOURS <= 0) {
+      throw new Error("FILE_CACHE_TTL_HOURS must be greater than 0");
+    }
+
+    if (
+      !Number.isInteger(this.FILE_CACHE_MAX_ENTRIES) ||
+      this.FILE_CACHE_MAX_ENTRIES < 1
+    ) {
+      throw new Error("FILE_CACHE_MAX_ENTRIES must be a positive integer");
+    }
+
+    if (this.USE_WEBHOOK && !/^https:\/\/[^\s/]+/.test(this.WEBHOOK_URL)) {
+      throw new Error("WEBHOOK_URL must be a public https:// URL");
+    }
+
+    if (
+      this.WEBHOOK_SECRET_TOKEN &&
+      !/^[A-Za-z0-9_-]{1,256}$/.test(this.WEBHOOK_SECRET_TOKEN)
+    ) {
+      throw new Error(
+        "WEBHOOK_SECRET_TOKEN must be 1-256 characters of A-Z, a-z, 0-9, _ and -"
+      );
+    }
+
+    if (
+      !Number.isInteger(this.HTTP_PORT) ||
+      this.HTTP_PORT <= 0 ||
+      this.HTTP_PORT > 65535
+    ) {
+      throw new Error("HTTP_PORT must be a valid port number");
+    }
+
     if (!this.BOT_TOKEN.match(/^\d+:[A-Za-z0-9_-]{35}$/)) {
       throw new Error("BOT_TOKEN format is invalid");
     }
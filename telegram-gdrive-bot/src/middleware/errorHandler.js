@@ -149,6 +149,70 @@ function generateUserErrorMessage(error, ctx) {
   return "❌ Something went wrong while processing your request. Please try again or contact support if the problem persists.";
 }
 
+/**
+ * Classify an error into a coarse, low-cardinality class (used for metrics)
+ * @param {Error|string} error - Error object or error message
+ * @returns {string} Error class name
+ */
+export function getErrorClass(error) {
+  const errorMessage = (
+    typeof error === "string" ? error : error?.message || ""
+  ).toLowerCase();
+  const errorCode = typeof error === "object" ? error?.code : undefined;
+
+  if (errorCode === "CANCELLED") return "cancelled";
+  if (errorCode === 429) return "rate_limited";
+  if (
+    errorCode === "TEMP_SPACE_EXHAUSTED" ||
+    errorMessage.includes("temporary disk space")
+  ) {
+    return "disk_space";
+  }
+  if (
+    errorCode === "INTEGRITY_MISMATCH" ||
+    errorMessage.includes("integrity check failed")
+  ) {
+    return "integrity";
+  }
+  if (errorMessage.includes("file size") && errorMessage.includes("exceed")) {
+    return "size_limit";
+  }
+  if (errorMessage.includes("not found") || errorMessage.includes("404")) {
+    return "not_found";
+  }
+  if (
+    errorMessage.includes("access denied") ||
+    errorMessage.includes("403") ||
+    errorMessage.includes("permission")
+  ) {
+    return "access_denied";
+  }
+  if (errorMessage.includes("timeout") || errorMessage.includes("timed out")) {
+    return "timeout";
+  }
+  if (
+    errorMessage.includes("network") ||
+    errorMessage.includes("enotfound") ||
+    errorMessage.includes("econnrefused") ||
+    errorMessage.includes("econnreset") ||
+    errorMessage.includes("econnaborted")
+  ) {
+    return "network";
+  }
+  if (
+    errorMessage.includes("virus scan") ||
+    errorMessage.includes("confirmation")
+  ) {
+    return "virus_scan";
+  }
+  if (errorMessage.includes("quota") || errorMessage.includes("limit exceeded")) {
+    return "quota";
+  }
+  if (errorMessage.includes("file id")) return "invalid_id";
+
+  return "other";
+}
+
 /**
  * Handle specific error types with custom logic
  * @param {Error} error - The error that occurred
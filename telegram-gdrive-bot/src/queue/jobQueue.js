@@ -0,0 +1,226 @@
+import logger from "../logger/index.js";
+
+/**
+ * Download Job Queue
+ * Runs jobs with a global and a per-user concurrency limit. Pending jobs run
+ * in FIFO order, except that higher-priority jobs (admins) go first.
+ */
+
+export const JOB_PRIORITY = {
+  NORMAL: 0,
+  ADMIN: 1,
+};
+
+export class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum running jobs overall
+   * @param {number} options.perUserConcurrency - Maximum running jobs per user
+   */
+  constructor({ concurrency, perUserConcurrency }) {
+    this.concurrency = concurrency;
+    this.perUserConcurrency = perUserConcurrency;
+    this.pending = [];
+    this.running = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} spec - Job specification
+   * @param {number} spec.userId - Owner of the job
+   * @param {number} spec.chatId - Chat the job reports to
+   * @param {number} spec.priority - JOB_PRIORITY value
+   * @param {string} spec.label - Short description shown in /queue
+   * @param {Function} spec.run - async (job) => result, performs the work
+   * @param {Function} spec.onPositionChange - Optional (position) => void for pending jobs
+   * @returns {Object} Job; job.finished resolves with the run result or { cancelled: true }
+   */
+  enqueue(spec) {
+    const job = {
+      ...spec,
+      id: `${Date.now().toString(36)}${(++this.sequence).toString(36)}`,
+      seq: this.sequence,
+      priority: spec.priority ?? JOB_PRIORITY.NORMAL,
+      status: "pending",
+      position: null,
+      enqueuedAt: Date.now(),
+    };
+    job.finished = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+
+    // Insert after every job with the same or a higher priority
+    const index = this.pending.findIndex(
+      (pendingJob) => pendingJob.priority < job.priority
+    );
+    if (index === -1) {
+      this.pending.push(job);
+    } else {
+      this.pending.splice(index, 0, job);
+    }
+
+    logger.debug("Job queued", {
+      jobId: job.id,
+      userId: job.userId,
+      priority: job.priority,
+      pending: this.pending.length,
+    });
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Remove a pending job from the queue
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was pending and has been cancelled
+   */
+  cancel(jobId) {
+    const index = this.pending.findIndex((job) => job.id === jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.pending.splice(index, 1);
+    job.status = "cancelled";
+    job.resolve({ cancelled: true });
+
+    logger.debug("Queued job cancelled", { jobId, userId: job.userId });
+
+    this.notifyPositions();
+    return true;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Pending or running job
+   */
+  get(jobId) {
+    return (
+      this.running.get(jobId) ||
+      this.pending.find((job) => job.id === jobId) ||
+      null
+    );
+  }
+
+  /**
+   * 1-based position of a pending job
+   * @param {string} jobId - Job ID
+   * @returns {number|null} Position, or null if the job is not pending
+   */
+  getPosition(jobId) {
+    const index = this.pending.findIndex((job) => job.id === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Pending jobs in run order
+   * @param {number} userId - Optional owner filter
+   * @returns {Array<Object>} Pending jobs
+   */
+  getPendingJobs(userId = null) {
+    return this.pending.filter((job) => userId === null || job.userId === userId);
+  }
+
+  /**
+   * Running jobs
+   * @param {number} userId - Optional owner filter
+   * @returns {Array<Object>} Running jobs
+   */
+  getRunningJobs(userId = null) {
+    return Array.from(this.running.values()).filter(
+      (job) => userId === null || job.userId === userId
+    );
+  }
+
+  /**
+   * Number of running jobs owned by a user
+   * @param {number} userId - User ID
+   * @returns {number} Running job count
+   */
+  countRunning(userId) {
+    let count = 0;
+    for (const job of this.running.values()) {
+      if (job.userId === userId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Start as many pending jobs as the limits allow
+   */
+  pump() {
+    let index = 0;
+
+    while (index < this.pending.length && this.running.size < this.concurrency) {
+      const job = this.pending[index];
+
+      // Users at their limit keep their place without blocking others
+      if (this.countRunning(job.userId) >= this.perUserConcurrency) {
+        index++;
+        continue;
+      }
+
+      this.pending.splice(index, 1);
+      this.start(job);
+    }
+
+    this.notifyPositions();
+  }
+
+  /**
+   * Run a job and start the next one when it finishes
+   * @param {Object} job - Job to run
+   */
+  start(job) {
+    job.status = "running";
+    job.position = null;
+    job.startedAt = Date.now();
+    this.running.set(job.id, job);
+
+    logger.debug("Job started", {
+      jobId: job.id,
+      userId: job.userId,
+      waitedMs: job.startedAt - job.enqueuedAt,
+    });
+
+    Promise.resolve()
+      .then(() => job.run(job))
+      .catch((error) => {
+        logger.error("Queued job failed", {
+          jobId: job.id,
+          userId: job.userId,
+          error: error.message,
+        });
+        return { success: false, error: error.message };
+      })
+      .then((result) => {
+        job.status = "finished";
+        this.running.delete(job.id);
+        job.resolve(result);
+        this.pump();
+      });
+  }
+
+  /**
+   * Tell pending jobs whose position changed about their new position
+   */
+  notifyPositions() {
+    this.pending.forEach((job, index) => {
+      const position = index + 1;
+      if (job.position === position) return;
+
+      job.position = position;
+      try {
+        job.onPositionChange?.(position);
+      } catch (error) {
+        logger.debug("Queue position listener failed", {
+          jobId: job.id,
+          error: error.message,
+        });
+      }
+    });
+  }
+}
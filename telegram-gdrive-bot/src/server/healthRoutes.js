@@ -0,0 +1,64 @@
+import config from "../config/index.js";
+import metricsRegistry from "../utils/metrics.js";
+import { isDirectoryWritable } from "../utils/fileHandler.js";
+
+/**
+ * Health, Readiness and Metrics Endpoints
+ * GET /healthz - liveness: is the update transport (polling/webhook) alive
+ * GET /readyz  - readiness: transport alive, TEMP_DIR writable, storage loaded
+ * GET /metrics - Prometheus text format
+ */
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Register health endpoints on an HTTP server
+ * @param {HttpServer} server - Server to register routes on
+ * @param {Object} probes - State probes provided by the bot
+ * @param {Function} probes.getUpdateMode - () => 'polling'|'webhook'|null
+ * @param {Function} probes.isTransportAlive - () => boolean
+ * @param {Function} probes.isStorageReady - () => boolean
+ */
+export function registerHealthRoutes(server, probes) {
+  server.route("GET", "/healthz", async (req, res) => {
+    const alive = probes.isTransportAlive();
+
+    sendJson(res, alive ? 200 : 503, {
+      status: alive ? "ok" : "unavailable",
+      updateMode: probes.getUpdateMode(),
+      transportAlive: alive,
+      uptimeSeconds: Math.round(process.uptime()),
+    });
+  });
+
+  server.route("GET", "/readyz", async (req, res) => {
+    const checks = {
+      transportAlive: probes.isTransportAlive(),
+      tempDirWritable: await isDirectoryWritable(config.TEMP_DIR),
+      storageReady: probes.isStorageReady(),
+    };
+    const ready = Object.values(checks).every(Boolean);
+
+    sendJson(res, ready ? 200 : 503, {
+      status: ready ? "ready" : "not_ready",
+      updateMode: probes.getUpdateMode(),
+      checks,
+    });
+  });
+
+  server.route("GET", "/metrics", async (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+    });
+    res.end(metricsRegistry.render());
+  });
+}
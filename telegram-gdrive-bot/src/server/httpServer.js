@@ -0,0 +1,103 @@
+import http from "http";
+import logger from "../logger/index.js";
+
+/**
+ * Minimal HTTP Server
+ * Built on Node's http module, routes requests by method and exact path.
+ * Used for the Telegram webhook endpoint.
+ */
+export class HttpServer {
+  constructor() {
+    this.routes = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Register a route handler
+   * @param {string} method - HTTP method (GET, POST, ...)
+   * @param {string} routePath - Exact request path (query string is ignored)
+   * @param {Function} handler - (req, res) => void | Promise<void>
+   * @returns {HttpServer} This server for chaining
+   */
+  route(method, routePath, handler) {
+    this.routes.set(`${method.toUpperCase()} ${routePath}`, handler);
+    return this;
+  }
+
+  /**
+   * Dispatch an incoming request to its route
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const start = Date.now();
+    const pathname = (req.url || "/").split("?")[0];
+    const handler = this.routes.get(`${req.method} ${pathname}`);
+
+    try {
+      if (!handler) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not Found");
+        return;
+      }
+
+      await handler(req, res);
+    } catch (error) {
+      logger.error("HTTP request handler failed", {
+        method: req.method,
+        path: pathname,
+        error: error.message,
+      });
+
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+      }
+      res.end("Internal Server Error");
+    } finally {
+      logger.debug(`HTTP ${req.method} ${pathname} ${res.statusCode}`, {
+        responseTime: Date.now() - start,
+      });
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to bind
+   * @param {string} host - Host/interface to bind
+   * @returns {Promise<void>} Resolves once the server is listening
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        logger.info("HTTP server listening", { port, host });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether the server is currently accepting connections
+   * @returns {boolean} True if listening
+   */
+  isListening() {
+    return Boolean(this.server?.listening);
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>} Resolves once the server is closed
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server?.listening) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections?.();
+    });
+  }
+}
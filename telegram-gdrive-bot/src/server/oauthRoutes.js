@@ -0,0 +1,41 @@
+import config from "../config/index.js";
+
+/**
+ * Google Sign-in Redirect Endpoint
+ * GET <path of GOOGLE_OAUTH_REDIRECT_URL> - Google sends the browser here
+ * after /connect, with the authorization code and the sign-in's state
+ */
+
+/**
+ * Send a short HTML page
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} text - Message shown to the user
+ */
+function sendPage(res, statusCode, text) {
+  res.writeHead(statusCode, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Google sign-in</title></head><body><p>${text}</p></body></html>`
+  );
+}
+
+/**
+ * Register the sign-in redirect endpoint on an HTTP server
+ * @param {HttpServer} server - Server to register routes on
+ * @param {GoogleOAuthClient} oauth - Client with the sign-ins waiting for a redirect
+ */
+export function registerOAuthRoutes(server, oauth) {
+  server.route("GET", config.GOOGLE_OAUTH_CALLBACK_PATH, async (req, res) => {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const accepted = oauth.completeWebFlow(params.get("state"), {
+      code: params.get("code"),
+      error: params.get("error"),
+    });
+
+    if (!accepted) {
+      sendPage(res, 400, "This sign-in link is no longer valid. Send /connect to the bot again.");
+      return;
+    }
+    sendPage(res, 200, "Thanks! You can close this page and go back to Telegram.");
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * Persistent Collection
+ * A Map-compatible key/value store backed by a storage adapter.
+ * Keys are normalised to strings so they survive a JSON round trip.
+ */
+export class Collection {
+  /**
+   * @param {string} name - Collection name as stored on disk
+   * @param {Function} onChange - Called after every mutation
+   */
+  constructor(name, onChange = () => {}) {
+    this.name = name;
+    this.entriesMap = new Map();
+    this.onChange = onChange;
+  }
+
+  get size() {
+    return this.entriesMap.size;
+  }
+
+  get(key) {
+    return this.entriesMap.get(String(key));
+  }
+
+  has(key) {
+    return this.entriesMap.has(String(key));
+  }
+
+  set(key, value) {
+    this.entriesMap.set(String(key), value);
+    this.onChange(this.name);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = this.entriesMap.delete(String(key));
+    if (deleted) {
+      this.onChange(this.name);
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entriesMap.clear();
+    this.onChange(this.name);
+  }
+
+  keys() {
+    return this.entriesMap.keys();
+  }
+
+  values() {
+    return this.entriesMap.values();
+  }
+
+  entries() {
+    return this.entriesMap.entries();
+  }
+
+  forEach(callback, thisArg) {
+    this.entriesMap.forEach(callback, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.entriesMap.entries();
+  }
+
+  /**
+   * Replace the collection contents without triggering a write
+   * @param {Object} data - Plain object of key/value pairs
+   */
+  load(data = {}) {
+    this.entriesMap = new Map(Object.entries(data));
+  }
+
+  /**
+   * Serialise the collection to a plain object
+   * @returns {Object} Key/value pairs
+   */
+  toJSON() {
+    return Object.fromEntries(this.entriesMap);
+  }
+}
@@ -0,0 +1,34 @@
+import config from "../config/index.js";
+import { MemoryStorage } from "./memoryStorage.js";
+import { JsonFileStorage } from "./jsonFileStorage.js";
+
+/**
+ * Storage Layer
+ * Pluggable persistence for bot state (user stats, file history, cooldowns,
+ * sessions). Adapters expose Map-compatible collections via collection(name).
+ */
+
+/**
+ * Create a storage adapter for the given driver
+ * @param {'json'|'memory'} driver - Storage driver name
+ * @returns {MemoryStorage} Storage adapter instance
+ */
+export function createStorage(driver = config.STORAGE_DRIVER) {
+  switch (driver) {
+    case "memory":
+      return new MemoryStorage();
+
+    case "json":
+      return new JsonFileStorage(config.STORAGE_PATH, {
+        flushIntervalMs: config.STORAGE_FLUSH_INTERVAL_MS,
+      });
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+const storage = createStorage();
+
+export { MemoryStorage, JsonFileStorage };
+export default storage;
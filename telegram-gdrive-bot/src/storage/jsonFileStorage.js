@@ -0,0 +1,118 @@
+import fs from "fs-extra";
+import path from "path";
+import logger from "../logger/index.js";
+import { MemoryStorage } from "./memoryStorage.js";
+
+/**
+ * JSON File Storage Adapter
+ * Persists all collections to a single JSON document on disk.
+ * Writes are debounced and atomic (temp file + rename), and the previous
+ * document is backed up before any schema migration runs.
+ */
+export class JsonFileStorage extends MemoryStorage {
+  /**
+   * @param {string} filePath - Path of the JSON data file
+   * @param {Object} options - Adapter options
+   * @param {number} options.flushIntervalMs - Debounce delay for writes
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readData() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(this.filePath);
+    } catch (error) {
+      // Never start with an empty store on top of an unreadable file,
+      // the next flush would overwrite the user's history
+      throw new Error(
+        `Storage file ${this.filePath} could not be parsed: ${error.message}`
+      );
+    }
+  }
+
+  async beforeMigrate(data, fromVersion) {
+    if (!(await fs.pathExists(this.filePath))) {
+      return;
+    }
+
+    const backupPath = `${this.filePath}.v${fromVersion}.bak`;
+    await fs.copy(this.filePath, backupPath);
+
+    logger.info("Storage backup created before migration", {
+      backupPath: path.basename(backupPath),
+      fromVersion,
+    });
+  }
+
+  markDirty() {
+    this.dirty = true;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch((error) => {
+          logger.error("Failed to persist storage", {
+            error: error.message,
+            filePath: this.filePath,
+          });
+        });
+      }, this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.dirty) {
+      return this.writeQueue;
+    }
+
+    this.dirty = false;
+    const snapshot = this.snapshot();
+    this.writeQueue = this.writeQueue
+      .catch(() => {}) // A failed earlier write must not block later ones
+      .then(() => this.writeData(snapshot))
+      .catch((error) => {
+        this.dirty = true;
+        throw error;
+      });
+    return this.writeQueue;
+  }
+
+  flushSync() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    const tempPath = `${this.filePath}.tmp`;
+    fs.ensureDirSync(path.dirname(this.filePath));
+    fs.writeFileSync(tempPath, JSON.stringify(this.snapshot()));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Atomically write a data document to disk
+   * @param {Object} snapshot - Data document
+   */
+  async writeData(snapshot) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,131 @@
+import logger from "../logger/index.js";
+import { Collection } from "./collection.js";
+import { runMigrations, LATEST_SCHEMA_VERSION } from "./migrations.js";
+
+/**
+ * In-memory Storage Adapter
+ * Keeps all collections in process memory. Serves as the base class for
+ * persistent adapters, which only need to implement readData/writeData.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+    this.schemaVersion = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * Get (or create) a named collection
+   * @param {string} name - Collection name
+   * @returns {Collection} Map-compatible collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(
+        name,
+        new Collection(name, (collectionName) => this.markDirty(collectionName))
+      );
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Load persisted data, run migrations and populate collections
+   */
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+
+    const data = (await this.readData()) || {
+      schemaVersion: 0,
+      collections: {},
+    };
+    const previousVersion = data.schemaVersion || 0;
+
+    if (previousVersion < LATEST_SCHEMA_VERSION) {
+      await this.beforeMigrate(data, previousVersion);
+    }
+
+    const applied = runMigrations(data);
+    for (const migration of applied) {
+      logger.info("Storage migration applied", {
+        version: migration.version,
+        description: migration.description,
+      });
+    }
+
+    for (const [name, entries] of Object.entries(data.collections)) {
+      this.collection(name).load(entries);
+    }
+
+    this.schemaVersion = data.schemaVersion;
+    this.initialized = true;
+
+    if (applied.length > 0) {
+      this.markDirty();
+      await this.flush();
+    }
+
+    logger.info("Storage initialized", {
+      driver: this.constructor.name,
+      schemaVersion: this.schemaVersion,
+      collections: Array.from(this.collections.keys()),
+    });
+  }
+
+  /**
+   * Build the data document for all collections
+   * @returns {Object} Serialisable data document
+   */
+  snapshot() {
+    const collections = {};
+    for (const [name, collection] of this.collections) {
+      collections[name] = collection.toJSON();
+    }
+
+    return {
+      schemaVersion: this.schemaVersion,
+      updatedAt: new Date().toISOString(),
+      collections,
+    };
+  }
+
+  /**
+   * Called whenever a collection changes
+   * @param {string} collectionName - Name of the changed collection
+   */
+  markDirty(collectionName) {}
+
+  /**
+   * Write pending changes
+   */
+  async flush() {}
+
+  /**
+   * Write pending changes synchronously (used right before process exit)
+   */
+  flushSync() {}
+
+  /**
+   * Flush and release resources
+   */
+  async close() {
+    await this.flush();
+  }
+
+  /**
+   * Hook called before migrations run on existing data
+   * @param {Object} data - Data document about to be migrated
+   * @param {number} fromVersion - Current schema version
+   */
+  async beforeMigrate(data, fromVersion) {}
+
+  /**
+   * Read the persisted data document
+   * @returns {Promise<Object|null>} Data document or null when empty
+   */
+  async readData() {
+    return null;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Storage Schema Migrations
+ * Each migration upgrades the raw data document by exactly one version.
+ * Migrations must be additive so an upgrade never drops existing history.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Initial schema: user stats, file history, cooldowns and sessions",
+    up(data) {
+      data.collections.userStats ??= {};
+      data.collections.fileHistory ??= {};
+      data.collections.cooldowns ??= {};
+      data.collections.userSessions ??= {};
+    },
+  },
+  {
+    version: 2,
+    description: "Per-user preferences (remembered export formats)",
+    up(data) {
+      data.collections.userPreferences ??= {};
+    },
+  },
+  {
+    version: 3,
+    description: "Queued and running download jobs (resumed after a restart)",
+    up(data) {
+      data.collections.downloadJobs ??= {};
+    },
+  },
+  {
+    version: 4,
+    description: "Telegram file_id cache keyed by Google Drive file",
+    up(data) {
+      data.collections.fileCache ??= {};
+    },
+  },
+  {
+    version: 5,
+    description: "Linked Google accounts with encrypted refresh tokens",
+    up(data) {
+      data.collections.googleAccounts ??= {};
+    },
+  },
+  {
+    version: 6,
+    description: "Shared Drives each chat may download from",
+    up(data) {
+      data.collections.chatDrives ??= {};
+    },
+  },
+  {
+    version: 7,
+    description: "Drive files and folders watched by chats",
+    up(data) {
+      data.collections.driveWatches ??= {};
+    },
+  },
+];
+
+/**
+ * Latest schema version known to this build
+ */
+export const LATEST_SCHEMA_VERSION = MIGRATIONS.reduce(
+  (latest, migration) => Math.max(latest, migration.version),
+  0
+);
+
+/**
+ * Apply all pending migrations to a data document
+ * @param {Object} data - Raw data document ({ schemaVersion, collections })
+ * @returns {Array<Object>} Migrations that were applied
+ */
+export function runMigrations(data) {
+  data.schemaVersion ??= 0;
+  data.collections ??= {};
+
+  if (data.schemaVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema version ${data.schemaVersion} is newer than this build supports (${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  const pending = MIGRATIONS.filter(
+    (migration) => migration.version > data.schemaVersion
+  ).sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  }
+
+  return pending;
+}
@@ -0,0 +1,542 @@
+import axios from 'axios';
+import fs from 'fs-extra';
+import { createSign } from 'crypto';
+import config from '../config/index.js';
+import logger from '../logger/index.js';
+
+/**
+ * Google Drive API v3 Client
+ * Metadata lookups and downloads through the official API, authenticated
+ * with an API key (public files), a service account (files shared with it)
+ * or a user's linked account (see auth/googleAccounts.js)
+ */
+
+export const DRIVE_API_URL = 'https://www.googleapis.com/drive/v3';
+export const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3';
+export const DRIVE_READONLY_SCOPE = 'https://www.googleapis.com/auth/drive.readonly';
+export const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Metadata requested by getFile()
+export const FILE_FIELDS = 'id,name,mimeType,size,modifiedTime,md5Checksum,sha256Checksum,driveId';
+
+// Metadata returned for uploaded files and created folders
+const CREATED_FILE_FIELDS = 'id,name,mimeType,size,md5Checksum,webViewLink,driveId';
+
+// Upper bound for folder listings and Shared Drive lists
+const MAX_LISTED_ITEMS = 1000;
+
+// Resumable uploads send the file in chunks; the API requires multiples of 256KB
+const UPLOAD_CHUNK_SIZE = 32 * 256 * 1024;
+const UPLOAD_MAX_RETRIES = 3;
+
+// Access tokens are renewed this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Authenticates requests with an API key (works for publicly shared files only)
+ */
+export class ApiKeyAuth {
+  /**
+   * @param {string} apiKey - Google Cloud API key with the Drive API enabled
+   */
+  constructor(apiKey) {
+    this.type = 'api_key';
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @returns {Promise<Object>} { headers, params } to add to a request
+   */
+  async getRequestAuth() {
+    return { headers: {}, params: { key: this.apiKey } };
+  }
+}
+
+/**
+ * Authenticates requests as a service account
+ * The key file is the JSON downloaded from the Google Cloud console. Access
+ * tokens come from the OAuth 2.0 JWT bearer flow and are reused until they expire.
+ */
+export class ServiceAccountAuth {
+  /**
+   * @param {string} keyFile - Path to the service account JSON key
+   * @param {string[]} scopes - OAuth scopes to request
+   */
+  constructor(keyFile, scopes = [DRIVE_READONLY_SCOPE]) {
+    this.type = 'service_account';
+    this.keyFile = keyFile;
+    this.scopes = scopes;
+    this.credentials = null;
+    this.token = null;
+    this.pendingToken = null;
+  }
+
+  async loadCredentials() {
+    if (!this.credentials) {
+      const credentials = await fs.readJson(this.keyFile);
+      if (credentials.type !== 'service_account' || !credentials.client_email || !credentials.private_key) {
+        throw new Error(`${this.keyFile} is not a service account key`);
+      }
+      this.credentials = credentials;
+    }
+    return this.credentials;
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when needed
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return this.token.accessToken;
+    }
+
+    // Concurrent requests share one token request
+    this.pendingToken ??= this.requestToken().finally(() => {
+      this.pendingToken = null;
+    });
+    return this.pendingToken;
+  }
+
+  async requestToken() {
+    const credentials = await this.loadCredentials();
+    const tokenUri = credentials.token_uri || 'https://oauth2.googleapis.com/token';
+    const now = Math.floor(Date.now() / 1000);
+
+    const assertion = signJwt(
+      {
+        iss: credentials.client_email,
+        scope: this.scopes.join(' '),
+        aud: tokenUri,
+        iat: now,
+        exp: now + 3600
+      },
+      credentials.private_key
+    );
+
+    try {
+      const response = await axios.post(
+        tokenUri,
+        new URLSearchParams({
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion
+        }).toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+
+      this.token = {
+        accessToken: response.data.access_token,
+        expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+      };
+
+      logger.debug('Service account access token issued', {
+        clientEmail: credentials.client_email,
+        expiresIn: response.data.expires_in
+      });
+
+      return this.token.accessToken;
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw new Error(`Service account authentication failed: ${reason}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { headers, params } to add to a request
+   */
+  async getRequestAuth() {
+    return {
+      headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+      params: {}
+    };
+  }
+}
+
+/**
+ * Minimal Drive API v3 client
+ */
+export class DriveApiClient {
+  /**
+   * @param {Object|null} auth - ApiKeyAuth, ServiceAccountAuth or anything with getRequestAuth()
+   */
+  constructor(auth) {
+    this.auth = auth;
+  }
+
+  get isConfigured() {
+    return Boolean(this.auth);
+  }
+
+  /**
+   * Send an authenticated request to the Drive API
+   * @param {Object} request - Axios request config; url is relative to DRIVE_API_URL unless absolute
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(request) {
+    if (!this.auth) {
+      throw new Error('Google Drive API is not configured');
+    }
+
+    const { headers, params } = await this.auth.getRequestAuth();
+
+    try {
+      return await axios({
+        timeout: config.DOWNLOAD_TIMEOUT_MS,
+        ...request,
+        url: /^https?:\/\//.test(request.url) ? request.url : `${DRIVE_API_URL}${request.url}`,
+        headers: { ...request.headers, ...headers },
+        params: { ...request.params, ...params }
+      });
+    } catch (error) {
+      throw toDriveApiError(error);
+    }
+  }
+
+  /**
+   * Get file metadata (files.get)
+   * @param {string} fileId - Google Drive file ID
+   * @param {string} fields - Fields to return
+   * @returns {Promise<Object>} Drive file resource
+   */
+  async getFile(fileId, fields = FILE_FIELDS) {
+    const response = await this.request({
+      method: 'GET',
+      url: `/files/${encodeURIComponent(fileId)}`,
+      params: { fields, supportsAllDrives: true }
+    });
+    return response.data;
+  }
+
+  /**
+   * List the children of a folder (files.list)
+   * Folders on a Shared Drive are listed within that drive.
+   * @param {string} folderId - Folder ID (a Shared Drive ID lists the drive's root)
+   * @param {string|null} driveId - Shared Drive the folder belongs to
+   * @returns {Promise<Array<Object>>} Drive file resources ({ id, name, mimeType, size, modifiedTime, isAppAuthorized })
+   */
+  async listFolder(folderId, driveId = null) {
+    return this.listAll('/files', 'files', {
+      q: `'${folderId.replace(/'/g, "\\'")}' in parents and trashed = false`,
+      fields: 'nextPageToken,files(id,name,mimeType,size,modifiedTime,isAppAuthorized)',
+      orderBy: 'folder,name',
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      ...(driveId ? { corpora: 'drive', driveId } : {})
+    });
+  }
+
+  /**
+   * List the Shared Drives the client is a member of (drives.list)
+   * @returns {Promise<Array<Object>>} Drives ({ id, name })
+   */
+  async listDrives() {
+    return this.listAll('/drives', 'drives', {
+      fields: 'nextPageToken,drives(id,name)'
+    });
+  }
+
+  /**
+   * Get a Shared Drive (drives.get)
+   * @param {string} driveId - Shared Drive ID
+   * @returns {Promise<Object>} Drive ({ id, name })
+   */
+  async getDrive(driveId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `/drives/${encodeURIComponent(driveId)}`,
+      params: { fields: 'id,name' }
+    });
+    return response.data;
+  }
+
+  async listAll(url, key, params) {
+    const items = [];
+    let pageToken;
+
+    do {
+      const response = await this.request({
+        method: 'GET',
+        url,
+        params: { ...params, pageSize: 100, ...(pageToken ? { pageToken } : {}) }
+      });
+      items.push(...(response.data[key] || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && items.length < MAX_LISTED_ITEMS);
+
+    return items.slice(0, MAX_LISTED_ITEMS);
+  }
+
+  /**
+   * Create a folder (files.create)
+   * @param {string} name - Folder name
+   * @param {string|null} parentId - Parent folder, or null for the root of My Drive
+   * @returns {Promise<Object>} Drive file resource of the folder
+   */
+  async createFolder(name, parentId = null) {
+    const response = await this.request({
+      method: 'POST',
+      url: '/files',
+      params: { fields: CREATED_FILE_FIELDS, supportsAllDrives: true },
+      data: {
+        name,
+        mimeType: FOLDER_MIME_TYPE,
+        ...(parentId ? { parents: [parentId] } : {})
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Copy a file within Google Drive (files.copy)
+   * Needs read access to the source and write access to the target folder.
+   * @param {string} fileId - File to copy
+   * @param {Object} metadata - Metadata of the copy ({ name, parents }); the name defaults to the source's
+   * @returns {Promise<Object>} Drive file resource of the copy
+   */
+  async copyFile(fileId, metadata = {}) {
+    const response = await this.request({
+      method: 'POST',
+      url: `/files/${encodeURIComponent(fileId)}/copy`,
+      params: { fields: CREATED_FILE_FIELDS, supportsAllDrives: true },
+      data: metadata
+    });
+    return response.data;
+  }
+
+  /**
+   * Let anyone with the link view a file (permissions.create)
+   * Organisations may forbid this on their Shared Drives.
+   * @param {string} fileId - Google Drive file ID
+   */
+  async shareWithAnyone(fileId) {
+    await this.request({
+      method: 'POST',
+      url: `/files/${encodeURIComponent(fileId)}/permissions`,
+      params: { supportsAllDrives: true },
+      data: { type: 'anyone', role: 'reader' }
+    });
+  }
+
+  /**
+   * Upload a file with the resumable upload protocol
+   * The file is sent in chunks. After a network error or a 5xx response the
+   * upload asks Drive how much it received and continues from there.
+   * @param {string} filePath - File to upload
+   * @param {Object} metadata - File metadata ({ name, mimeType, parents })
+   * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Called with the number of bytes Drive has confirmed
+   * @param {AbortSignal} options.signal - Aborts the upload
+   * @returns {Promise<Object>} Drive file resource of the uploaded file
+   */
+  async uploadFile(filePath, metadata, { onProgress, signal } = {}) {
+    const { size } = await fs.stat(filePath);
+    const mimeType = metadata.mimeType || 'application/octet-stream';
+
+    const session = await this.request({
+      method: 'POST',
+      url: `${DRIVE_UPLOAD_URL}/files`,
+      params: { uploadType: 'resumable', fields: CREATED_FILE_FIELDS, supportsAllDrives: true },
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': mimeType,
+        'X-Upload-Content-Length': size
+      },
+      data: { ...metadata, mimeType },
+      signal
+    });
+    const sessionUrl = session.headers.location;
+
+    let offset = 0;
+    let failures = 0;
+
+    for (;;) {
+      try {
+        const end = Math.min(offset + UPLOAD_CHUNK_SIZE, size);
+        const response = await this.request({
+          method: 'PUT',
+          url: sessionUrl,
+          headers: {
+            'Content-Length': end - offset,
+            'Content-Range': size > 0 ? `bytes ${offset}-${end - 1}/${size}` : 'bytes */0'
+          },
+          data: size > 0 ? fs.createReadStream(filePath, { start: offset, end: end - 1 }) : '',
+          maxBodyLength: Infinity,
+          validateStatus: (status) => status === 308 || (status >= 200 && status < 300),
+          signal
+        });
+
+        if (response.status !== 308) {
+          onProgress?.(size);
+          return response.data;
+        }
+
+        offset = getUploadedBytes(response.headers);
+        failures = 0;
+        onProgress?.(offset);
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status >= 500 || status === 429;
+        if (signal?.aborted || !retryable || ++failures > UPLOAD_MAX_RETRIES) {
+          throw error;
+        }
+
+        logger.warn('Drive upload chunk failed, resuming', {
+          fileName: metadata.name,
+          offset,
+          attempt: failures,
+          error: error.message
+        });
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (failures - 1)));
+
+        const uploadStatus = await this.getUploadStatus(sessionUrl, size, signal);
+        if (uploadStatus.done) {
+          onProgress?.(size);
+          return uploadStatus.file;
+        }
+        offset = uploadStatus.offset;
+      }
+    }
+  }
+
+  /**
+   * Ask Drive how much of a resumable upload it has received
+   * @param {string} sessionUrl - Upload session URI
+   * @param {number} size - Total file size
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Object>} { done, file } or { done: false, offset }
+   */
+  async getUploadStatus(sessionUrl, size, signal) {
+    const response = await this.request({
+      method: 'PUT',
+      url: sessionUrl,
+      headers: { 'Content-Length': 0, 'Content-Range': `bytes */${size}` },
+      data: '',
+      validateStatus: (status) => status === 308 || (status >= 200 && status < 300),
+      signal
+    });
+
+    return response.status === 308
+      ? { done: false, offset: getUploadedBytes(response.headers) }
+      : { done: true, file: response.data };
+  }
+
+  /**
+   * Get the account the client acts as (about.get)
+   * @returns {Promise<Object>} { emailAddress, displayName }
+   */
+  async getUser() {
+    const response = await this.request({
+      method: 'GET',
+      url: '/about',
+      params: { fields: 'user(emailAddress,displayName)' }
+    });
+    return response.data.user || {};
+  }
+
+  /**
+   * URL and auth headers that download a file's content (files.get with alt=media)
+   * The caller sends the request itself so it can stream, resume and retry it.
+   * getHeaders is called for every request, since a long download can outlive
+   * an access token.
+   * @param {string} fileId - Google Drive file ID
+   * @returns {Promise<Object>} { url, getHeaders } with getHeaders: async () => headers
+   */
+  async getMediaRequest(fileId) {
+    return this.getDownloadRequest(`/files/${encodeURIComponent(fileId)}`, {
+      alt: 'media',
+      supportsAllDrives: 'true'
+    });
+  }
+
+  /**
+   * URL and headers that export a Google Workspace file (files.export, up to 10MB)
+   * @param {string} fileId - Google Drive file ID
+   * @param {string} mimeType - Export MIME type
+   * @returns {Promise<Object>} { url, getHeaders } with getHeaders: async () => headers
+   */
+  async getExportRequest(fileId, mimeType) {
+    return this.getDownloadRequest(`/files/${encodeURIComponent(fileId)}/export`, { mimeType });
+  }
+
+  async getDownloadRequest(path, query) {
+    if (!this.auth) {
+      throw new Error('Google Drive API is not configured');
+    }
+
+    const { params } = await this.auth.getRequestAuth();
+    return {
+      url: `${DRIVE_API_URL}${path}?${new URLSearchParams({ ...query, ...params })}`,
+      getHeaders: async () => (await this.auth.getRequestAuth()).headers
+    };
+  }
+}
+
+/**
+ * Turn an Axios error into an error carrying the Drive API's own message
+ * The HTTP status stays in the message so callers can classify it.
+ * @param {Error} error - Axios error
+ * @returns {Error} Error with a readable message and the response attached
+ */
+export function toDriveApiError(error) {
+  const status = error.response?.status;
+  if (!status) {
+    return error;
+  }
+
+  // Streamed responses have no parsed error body
+  const apiError = typeof error.response.data === 'object' ? error.response.data?.error : null;
+  const reason = apiError?.errors?.[0]?.reason;
+  const message = status === 404
+    ? 'File not found or access denied'
+    : apiError?.message || error.message;
+
+  const driveError = new Error(`Drive API error ${status}: ${message}${reason ? ` (${reason})` : ''}`);
+  driveError.response = error.response;
+  driveError.reason = reason;
+  return driveError;
+}
+
+/**
+ * Bytes of a resumable upload Drive has stored, from a 308 response's Range header
+ * @param {Object} headers - Response headers
+ * @returns {number} Offset to continue from
+ */
+function getUploadedBytes(headers) {
+  const match = /bytes=0-(\d+)/.exec(headers.range || '');
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+/**
+ * Create a signed RS256 JSON Web Token
+ * @param {Object} claims - JWT claims
+ * @param {string} privateKey - PEM private key
+ * @returns {string} Signed token
+ */
+function signJwt(claims, privateKey) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function createDefaultAuth() {
+  if (config.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE) {
+    // Uploads to DRIVE_UPLOAD_FOLDER_ID need write access
+    return new ServiceAccountAuth(config.GOOGLE_DRIVE_SERVICE_ACCOUNT_FILE, [
+      config.DRIVE_UPLOAD_FOLDER_ID ? DRIVE_SCOPE : DRIVE_READONLY_SCOPE
+    ]);
+  }
+  if (config.GOOGLE_DRIVE_API_KEY) {
+    return new ApiKeyAuth(config.GOOGLE_DRIVE_API_KEY);
+  }
+  return null;
+}
+
+// Shared client configured from GOOGLE_DRIVE_* settings
+const driveApi = new DriveApiClient(createDefaultAuth());
+
+export default driveApi;
@@ -1,7 +1,10 @@
 import { fileTypeFromFile, fileTypeFromBuffer } from 'file-type';
 import mime from 'mime';
+import archiver from 'archiver';
 import fs from 'fs-extra';
 import path from 'path';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
 import config from '../config/index.js';
 import logger from '../logger/index.js';
 
@@ -56,7 +59,7 @@ export async function getFileType(filePath) {
     }
 
     // If both methods fail, try reading first few bytes
-    const buffer = await fs.readFile(filePath, { start: 0, end: 4100 });
+    const buffer = await readFileHead(filePath, 4100);
     const bufferType = await fileTypeFromBuffer(buffer);
     
     if (bufferType) {
@@ -177,6 +180,23 @@ export function validateFileSize(fileSizeBytes, maxSizeMB = config.MAX_FILE_SIZE
   return fileSizeBytes <= maxBytes;
 }
 
+/**
+ * Read the first bytes of a file without loading the rest
+ * @param {string} filePath - Path to the file
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Promise<Buffer>} File header
+ */
+async function readFileHead(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * Get human-readable file size
  * @param {number} bytes - File size in bytes
@@ -222,6 +242,24 @@ export async function getFileStats(filePath) {
   }
 }
 
+/**
+ * Compute checksums of a file in a single pass
+ * @param {string} filePath - Path to the file
+ * @param {Array<string>} algorithms - Hash algorithms, e.g. ['sha256', 'md5']
+ * @returns {Promise<Object>} Hex digests keyed by algorithm
+ */
+export async function computeFileChecksums(filePath, algorithms = ['sha256']) {
+  const hashes = algorithms.map((algorithm) => [algorithm, createHash(algorithm)]);
+
+  await pipeline(fs.createReadStream(filePath), async function* (source) {
+    for await (const chunk of source) {
+      hashes.forEach(([, hash]) => hash.update(chunk));
+    }
+  });
+
+  return Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+}
+
 /**
  * Validate file extension against a list of allowed extensions
  * @param {string} fileName - File name
@@ -378,6 +416,59 @@ export async function isFileAccessible(filePath) {
   }
 }
 
+/**
+ * Check if a directory exists and is writable
+ * @param {string} dirPath - Directory to check
+ * @returns {Promise<boolean>} True if files can be created in the directory
+ */
+export async function isDirectoryWritable(dirPath) {
+  try {
+    await fs.access(dirPath, fs.constants.W_OK);
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bundle files into a single zip archive
+ * @param {Array<{filePath: string, name: string}>} files - Files to add and their names inside the archive
+ * @param {string} outputPath - Destination path of the zip file
+ * @returns {Promise<number>} Size of the created archive in bytes
+ */
+export function createZipArchive(files, outputPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', (error) => {
+      output.destroy();
+      fs.unlink(outputPath).catch(() => {}); // Clean up partial archive
+      reject(error);
+    });
+
+    archive.pipe(output);
+
+    const usedNames = new Set();
+    for (const file of files) {
+      // Zip entries must be unique, tabs may share a name after sanitizing
+      let entryName = sanitizeFileName(file.name);
+      const ext = path.extname(entryName);
+      const base = path.basename(entryName, ext);
+      for (let counter = 1; usedNames.has(entryName); counter++) {
+        entryName = `${base}_${counter}${ext}`;
+      }
+      usedNames.add(entryName);
+
+      archive.file(file.filePath, { name: entryName });
+    }
+
+    archive.finalize();
+  });
+}
+
 /**
  * Get MIME type mapping for common file extensions
  * @returns {Object} Extension to MIME type mapping
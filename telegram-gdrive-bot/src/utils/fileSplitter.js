@@ -0,0 +1,177 @@
+import archiver from 'archiver';
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from '../config/index.js';
+import logger from '../logger/index.js';
+import { sanitizeFileName } from './fileHandler.js';
+
+/**
+ * File Splitter Utility
+ * Cuts files that exceed the Telegram upload limit into numbered parts
+ */
+
+export const SPLIT_MODES = ['raw', 'zip'];
+
+/**
+ * Writable that spreads incoming bytes over numbered part files
+ * Parts are named <baseName>.001, <baseName>.002, ... and hashed while written.
+ */
+class PartWriter extends Writable {
+  /**
+   * @param {string} outputDir - Directory receiving the parts
+   * @param {string} baseName - Name the part numbers are appended to
+   * @param {number} partSize - Maximum part size in bytes
+   */
+  constructor(outputDir, baseName, partSize) {
+    super();
+    this.outputDir = outputDir;
+    this.baseName = baseName;
+    this.partSize = partSize;
+    this.parts = [];
+    this.current = null;
+    this.totalSize = 0;
+    this.totalHash = createHash('sha256');
+  }
+
+  async openPart() {
+    const index = this.parts.length + 1;
+    const fileName = `${this.baseName}.${String(index).padStart(3, '0')}`;
+    const filePath = path.join(this.outputDir, fileName);
+
+    this.current = {
+      index,
+      fileName,
+      filePath,
+      size: 0,
+      hash: createHash('sha256'),
+      handle: await fs.promises.open(filePath, 'w')
+    };
+  }
+
+  async closePart() {
+    const { index, fileName, filePath, size, hash, handle } = this.current;
+    this.current = null;
+    await handle.close();
+    this.parts.push({ index, fileName, filePath, size, sha256: hash.digest('hex') });
+  }
+
+  async writeChunk(chunk) {
+    this.totalHash.update(chunk);
+    this.totalSize += chunk.length;
+
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (!this.current) {
+        await this.openPart();
+      }
+
+      const length = Math.min(this.partSize - this.current.size, chunk.length - offset);
+      const slice = chunk.subarray(offset, offset + length);
+      await this.current.handle.write(slice);
+      this.current.hash.update(slice);
+      this.current.size += length;
+      offset += length;
+
+      if (this.current.size === this.partSize) {
+        await this.closePart();
+      }
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    this.writeChunk(chunk).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    (this.current ? this.closePart() : Promise.resolve()).then(() => callback(), callback);
+  }
+
+  _destroy(error, callback) {
+    const handle = this.current?.handle;
+    this.current = null;
+    (handle ? handle.close() : Promise.resolve())
+      .catch(() => {})
+      .then(() => callback(error));
+  }
+}
+
+/**
+ * Split a file into numbered parts
+ * In 'raw' mode the parts are plain byte ranges of the file (name.ext.001, ...).
+ * In 'zip' mode the file is stored in a zip archive that is split into volumes
+ * (name.zip.001, ...), which 7-Zip opens directly.
+ * @param {string} filePath - File to split
+ * @param {Object} options - Split options
+ * @param {number} options.partSize - Maximum part size in bytes
+ * @param {string} options.mode - 'raw' or 'zip'
+ * @param {string} options.fileName - Original file name (defaults to the file's basename)
+ * @returns {Promise<Object>} Split result; parts carry index, fileName, filePath, size and sha256
+ */
+export async function splitFile(filePath, options) {
+  const { partSize, mode = 'raw', fileName = path.basename(filePath) } = options;
+
+  if (!SPLIT_MODES.includes(mode)) {
+    return { success: false, error: `Unknown split mode: ${mode}` };
+  }
+
+  const safeName = sanitizeFileName(fileName);
+  const baseName =
+    mode === 'zip' ? `${path.basename(safeName, path.extname(safeName))}.zip` : safeName;
+  const outputDir = path.join(
+    config.TEMP_DIR,
+    `.parts-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`
+  );
+
+  try {
+    await fs.ensureDir(outputDir);
+    const writer = new PartWriter(outputDir, baseName, partSize);
+
+    if (mode === 'zip') {
+      // Stored without compression: large files are usually compressed already
+      const archive = archiver('zip', { store: true });
+      archive.file(filePath, { name: safeName });
+      const done = pipeline(archive, writer);
+      archive.finalize();
+      await done;
+    } else {
+      await pipeline(fs.createReadStream(filePath), writer);
+    }
+
+    logger.info('File split into parts', {
+      fileName,
+      mode,
+      parts: writer.parts.length,
+      partSize
+    });
+
+    return {
+      success: true,
+      mode,
+      outputDir,
+      baseName,
+      parts: writer.parts,
+      totalSize: writer.totalSize,
+      sha256: writer.totalHash.digest('hex')
+    };
+  } catch (error) {
+    await fs.remove(outputDir).catch(() => {});
+    logger.error('Failed to split file', {
+      fileName,
+      mode,
+      error: error.message
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check whether a file must be split before it can be uploaded
+ * @param {number} fileSizeBytes - File size in bytes
+ * @returns {boolean} True if the file exceeds the Telegram upload limit
+ */
+export function needsSplitting(fileSizeBytes) {
+  return fileSizeBytes > config.TELEGRAM_UPLOAD_LIMIT_MB * 1024 * 1024;
+}
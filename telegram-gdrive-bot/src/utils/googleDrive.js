@@ -2,20 +2,66 @@ import axios from 'axios';
 import fs from 'fs-extra';
 import path from 'path';
 import { URL } from 'url';
+import { createHash } from 'crypto';
 import config from '../config/index.js';
 import logger from '../logger/index.js';
-import { generateDownloadUrl, generateConfirmationUrl, extractConfirmationToken } from './urlParser.js';
+import {
+  generateDownloadUrl,
+  generateConfirmationUrl,
+  extractConfirmationToken,
+  generateFolderViewUrl,
+  generateExportUrl,
+  generateSheetHtmlViewUrl
+} from './urlParser.js';
+import { getErrorClass } from '../middleware/errorHandler.js';
+import {
+  downloadsTotal,
+  downloadBytesTotal,
+  downloadDurationSeconds,
+  downloadFailuresTotal
+} from './metrics.js';
+import { ProgressTracker } from './progress.js';
+import tempStorage, { isSpaceError } from './tempStorage.js';
+import { computeFileChecksums } from './fileHandler.js';
+import driveApi, { toDriveApiError, FOLDER_MIME_TYPE } from './driveApi.js';
 
 /**
  * Google Drive File Downloader Utility
  * Handles downloading files from Google Drive with proper error handling and retry logic
  */
 
+// Drive API export MIME types for the formats in config.GOOGLE_EXPORT_FORMATS
+const EXPORT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  epub: 'application/epub+zip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  ods: 'application/x-vnd.oasis.opendocument.spreadsheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
 /**
  * Download a file from Google Drive
+ * Files are fetched through the Drive API and/or the public download link in
+ * the order set by GOOGLE_DRIVE_STRATEGY; native documents are exported
+ * through their public export link. With options.driveClient (a user's linked
+ * account), files the others can't reach are fetched through that account.
+ * Files on Shared Drives are only fetched with the bot's own credentials when
+ * the drive is in options.allowedDriveIds.
  * @param {string} fileId - Google Drive file ID
  * @param {Object} options - Download options
- * @returns {Promise<Object>} Download result with file path and metadata
+ * @param {string} options.docType - Native Google document type to export (document, spreadsheets, presentation)
+ * @param {string} options.exportFormat - Export format for native documents (pdf, docx, xlsx, ...)
+ * @param {string} options.gid - Sheet tab to export (spreadsheets only)
+ * @param {AbortSignal} options.signal - Aborts the download, removes the partial file and skips remaining retries
+ * @param {Function} options.onProgress - Called with { phase, fileName, bytes, totalBytes, percent, speedBps, etaSeconds }
+ * @param {Object} options.expectedChecksums - Hex digests from Drive metadata ({ md5, sha256 }) the file must match
+ * @param {DriveApiClient} options.driveClient - Client for the requesting user's linked Google account
+ * @param {string[]|null} options.allowedDriveIds - Shared Drives the bot's credentials may be used for (null allows all)
+ * @returns {Promise<Object>} Download result with file path, metadata, checksums and source (export, scrape, api or account)
  */
 export async function downloadGoogleDriveFile(fileId, options = {}) {
   const startTime = Date.now();
@@ -28,11 +74,7 @@ export async function downloadGoogleDriveFile(fileId, options = {}) {
       throw new Error('Invalid file ID provided');
     }
 
-    // Generate initial download URL
-    const downloadUrl = generateDownloadUrl(fileId);
-    
-    // Attempt initial download
-    const result = await attemptDownload(downloadUrl, fileId, options);
+    const result = await downloadWithStrategies(fileId, options);
     
     // Log performance metrics
     const duration = Date.now() - startTime;
@@ -42,15 +84,40 @@ export async function downloadGoogleDriveFile(fileId, options = {}) {
       fileName: result.fileName
     });
 
+    downloadsTotal.inc({ result: 'success' });
+    downloadBytesTotal.inc({}, result.fileSize);
+    downloadDurationSeconds.observe({ result: 'success' }, duration / 1000);
+
     return result;
 
   } catch (error) {
     const duration = Date.now() - startTime;
+
+    if (isCancelledError(error)) {
+      logger.info('Google Drive download cancelled', {
+        fileId: fileId.substring(0, 10) + '...',
+        duration
+      });
+
+      downloadsTotal.inc({ result: 'cancelled' });
+
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message,
+        duration
+      };
+    }
+
     logger.error('Google Drive download failed', {
       fileId: fileId.substring(0, 10) + '...',
       error: error.message,
       duration
     });
+
+    downloadsTotal.inc({ result: 'failure' });
+    downloadFailuresTotal.inc({ error_class: getErrorClass(error) });
+    downloadDurationSeconds.observe({ result: 'failure' }, duration / 1000);
     
     return {
       success: false,
@@ -60,21 +127,212 @@ export async function downloadGoogleDriveFile(fileId, options = {}) {
   }
 }
 
+/**
+ * Download a file with each strategy until one succeeds
+ * Native documents are exported (through the Drive API as well when it's
+ * enabled), other files follow GOOGLE_DRIVE_STRATEGY.
+ * The user's linked account comes last, so public files never use it.
+ * Cancellation, missing disk space and size limit errors don't fall through,
+ * since another strategy would fail the same way. If all fail, the Drive
+ * API's error is reported.
+ * @param {string} fileId - Google Drive file ID
+ * @param {Object} options - Download options
+ * @returns {Promise<Object>} Download result
+ */
+async function downloadWithStrategies(fileId, options) {
+  const apiStrategies = config.GOOGLE_DRIVE_STRATEGY_ORDER.filter((strategy) => strategy === 'api');
+  const strategies = options.docType ? ['export', ...apiStrategies] : [...config.GOOGLE_DRIVE_STRATEGY_ORDER];
+  if (options.driveClient) {
+    strategies.push('account');
+  }
+  let apiError = null;
+
+  for (const [index, strategy] of strategies.entries()) {
+    try {
+      const result = await runDownloadStrategy(strategy, fileId, options);
+      return { ...result, source: strategy };
+    } catch (error) {
+      if (isCancelledError(error) || ['disk_space', 'size_limit'].includes(getErrorClass(error))) {
+        throw error;
+      }
+      if (strategy === 'api' || strategy === 'account') {
+        apiError = error;
+      }
+      // The Drive API says why a file is unavailable; a failed scrape rarely does
+      if (index === strategies.length - 1) {
+        throw apiError || error;
+      }
+
+      logger.warn('Download strategy failed, trying the next one', {
+        fileId: fileId.substring(0, 10) + '...',
+        strategy,
+        next: strategies[index + 1],
+        error: error.message
+      });
+    }
+  }
+}
+
+function runDownloadStrategy(strategy, fileId, options) {
+  switch (strategy) {
+    case 'export':
+      return attemptDownload(
+        generateExportUrl(fileId, options.docType, options.exportFormat, { gid: options.gid }),
+        fileId,
+        options
+      );
+    case 'api':
+      return downloadViaApi(driveApi, fileId, options, { checkSharedDrive: true });
+    case 'account':
+      return downloadViaApi(options.driveClient, fileId, options, { checkSharedDrive: false });
+    default:
+      return attemptDownload(generateDownloadUrl(fileId), fileId, options);
+  }
+}
+
+/**
+ * Download a file through the Drive API (files.get with alt=media, or files.export)
+ * The metadata lookup supplies the name, size and checksums the public link
+ * often leaves out, and the media request never shows a virus scan page.
+ * @param {DriveApiClient} client - Drive API client to download with
+ * @param {string} fileId - Google Drive file ID
+ * @param {Object} options - Download options
+ * @param {Object} access - { checkSharedDrive } whether options.allowedDriveIds applies to the client
+ * @returns {Promise<Object>} Download result, with the Shared Drive ID (driveId) if any
+ */
+async function downloadViaApi(client, fileId, options, { checkSharedDrive }) {
+  const file = await client.getFile(fileId);
+
+  if (checkSharedDrive) {
+    assertSharedDriveAllowed(file, options.allowedDriveIds);
+  }
+
+  const result = options.docType
+    ? await exportViaApi(client, file, options)
+    : await downloadMediaViaApi(client, file, options);
+
+  return { ...result, driveId: file.driveId || null };
+}
+
+/**
+ * Reject files on Shared Drives the requesting chat is not allowed to pull from
+ * @param {Object} file - Drive file resource (with driveId)
+ * @param {string[]|null} allowedDriveIds - Allowed Shared Drive IDs (null allows all)
+ * @throws {Error} With code "SHARED_DRIVE_NOT_ALLOWED"
+ */
+function assertSharedDriveAllowed(file, allowedDriveIds) {
+  if (!file.driveId || allowedDriveIds === null || allowedDriveIds?.includes(file.driveId)) {
+    return;
+  }
+
+  const error = new Error('Access denied: this Shared Drive is not enabled for this chat');
+  error.code = 'SHARED_DRIVE_NOT_ALLOWED';
+  throw error;
+}
+
+async function downloadMediaViaApi(client, file, options) {
+  const fileId = file.id;
+
+  if (file.mimeType?.startsWith('application/vnd.google-apps.')) {
+    throw new Error(`${file.name} is a Google Workspace file and can only be exported`);
+  }
+
+  const fileSize = Number(file.size || 0);
+  if (fileSize > config.MAX_FILE_SIZE_BYTES) {
+    throw new Error(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`);
+  }
+
+  const { url, getHeaders } = await client.getMediaRequest(fileId);
+
+  try {
+    return await attemptDownload(
+      url,
+      fileId,
+      {
+        ...options,
+        expectedChecksums: {
+          md5: file.md5Checksum || null,
+          sha256: file.sha256Checksum || null,
+          ...options.expectedChecksums
+        }
+      },
+      { getHeaders, fileName: file.name, modifiedTime: file.modifiedTime }
+    );
+  } catch (error) {
+    throw toDriveApiError(error);
+  }
+}
+
+/**
+ * Export a native Google document through the Drive API
+ * The API exports whole documents only, so single sheet tabs can't be exported.
+ * @param {DriveApiClient} client - Drive API client to export with
+ * @param {Object} file - Drive file resource
+ * @param {Object} options - Download options (docType, exportFormat, gid)
+ * @returns {Promise<Object>} Download result
+ */
+async function exportViaApi(client, file, options) {
+  const mimeType = EXPORT_MIME_TYPES[options.exportFormat];
+  if (!mimeType || options.gid) {
+    throw new Error(`Export as ${options.exportFormat}${options.gid ? ' of a single sheet' : ''} is not supported by the Drive API`);
+  }
+
+  const { url, getHeaders } = await client.getExportRequest(file.id, mimeType);
+
+  try {
+    return await attemptDownload(url, file.id, options, {
+      getHeaders,
+      fileName: `${file.name}.${options.exportFormat}`,
+      modifiedTime: file.modifiedTime
+    });
+  } catch (error) {
+    throw toDriveApiError(error);
+  }
+}
+
 /**
  * Attempt to download a file from the given URL
+ * A retry continues from the bytes already on disk with a Range request when
+ * the first response carried a validator (ETag/Last-Modified). If the server
+ * ignores the Range or the file changed, the download restarts from zero.
+ * A virus scan page switches the download to its confirmation URL, which then
+ * gets the same retries and resume as the original URL.
  * @param {string} url - Download URL
  * @param {string} fileId - File ID for fallback operations
  * @param {Object} options - Download options
+ * @param {Object} source - Drive API request details ({ getHeaders, fileName, modifiedTime })
  * @returns {Promise<Object>} Download result
  */
-async function attemptDownload(url, fileId, options = {}) {
+async function attemptDownload(url, fileId, options = {}, source = {}) {
   const maxRetries = options.maxRetries || 3;
   let lastError;
+  // Target file of this download, kept between attempts so a retry can resume it
+  let partial = null;
+  let parallelDisabled = false;
+  let confirmed = false;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      logger.debug(`Download attempt ${attempt}/${maxRetries}`, { url: url.substring(0, 50) + '...' });
-      
+      throwIfCancelled(options.signal);
+      const resumeFrom = await getResumeOffset(partial);
+      logger.debug(`Download attempt ${attempt}/${maxRetries}`, {
+        url: url.substring(0, 50) + '...',
+        resumeFrom
+      });
+
+      const headers = {
+        ...config.REQUEST_HEADERS,
+        'Referer': 'https://drive.google.com/',
+        // Sizes, ranges and checksums must describe the file, not a compressed body
+        'Accept-Encoding': 'identity',
+        ...(await source.getHeaders?.())
+      };
+      if (resumeFrom > 0) {
+        headers['Range'] = `bytes=${resumeFrom}-`;
+        // Makes the server send the whole file instead if it has changed
+        headers['If-Range'] = partial.validator;
+      }
+
       // Create axios request with proper configuration
       const response = await axios({
         method: 'GET',
@@ -82,16 +340,65 @@ async function attemptDownload(url, fileId, options = {}) {
         responseType: 'stream',
         timeout: config.DOWNLOAD_TIMEOUT_MS,
         maxRedirects: 5,
-        headers: {
-          ...config.REQUEST_HEADERS,
-          'Referer': 'https://drive.google.com/'
-        }
+        signal: options.signal,
+        headers
       });
 
+      if (response.status === 206 && resumeFrom > 0) {
+        const range = parseContentRange(response.headers['content-range']);
+
+        if (!range || range.start !== resumeFrom || !isSameFileVersion(partial, response.headers)) {
+          response.data.destroy();
+          partial.validator = null; // Restart from zero on the next attempt
+          throw new Error('File changed on the server, restarting the download');
+        }
+
+        if (range.total > config.MAX_FILE_SIZE_BYTES) {
+          response.data.destroy();
+          throw new Error(`File size (${Math.round(range.total / 1024 / 1024)}MB) exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`);
+        }
+
+        logger.info('Resuming download', {
+          fileName: partial.fileName,
+          resumeFrom,
+          totalBytes: range.total
+        });
+
+        partial.expectedSize = range.total;
+        const fileSize = await streamToFile(response.data, partial.filePath, {
+          signal: options.signal,
+          startOffset: resumeFrom,
+          totalBytes: range.total,
+          onProgress: createProgressReporter(options, partial.fileName)
+        });
+
+        return await completeDownload(partial, fileSize);
+      }
+
+      if (resumeFrom > 0) {
+        logger.info('Server ignored the Range request, restarting the download', {
+          fileName: partial.fileName,
+          status: response.status
+        });
+      }
+
+      // Exports never show a virus scan page; HTML means a sign-in page
+      if (options.docType && response.headers['content-type']?.includes('text/html')) {
+        throw new Error('Export failed: access denied, the document is not shared publicly');
+      }
+
       // Check if we hit the virus scan warning page
       if (response.headers['content-type']?.includes('text/html')) {
         logger.debug('Detected virus scan page, attempting to extract confirmation token');
-        return await handleVirusScanPage(response, fileId, options);
+        const confirmUrl = await getVirusScanConfirmUrl(response, fileId, options.signal);
+        if (confirmUrl === url) {
+          throw new Error('Failed to handle virus scan page: the confirmation was not accepted');
+        }
+        url = confirmUrl;
+        // Reaching the confirmation URL is not a failed attempt; a new token on a retry is
+        if (!confirmed) attempt--;
+        confirmed = true;
+        continue;
       }
 
       // Validate file size before downloading
@@ -101,29 +408,78 @@ async function attemptDownload(url, fileId, options = {}) {
       }
 
       // Extract filename from response headers
-      const fileName = extractFileName(response.headers) || `file_${fileId}.bin`;
-      
-      // Generate unique file path
-      const filePath = await generateUniqueFilePath(fileName);
-      
-      // Download the file
-      const fileSize = await streamToFile(response.data, filePath);
+      const fileName =
+        extractFileName(response.headers) || source.fileName || `file_${fileId}.${options.exportFormat || 'bin'}`;
+
+      // Reserve temp space before writing; a restart keeps its reservation
+      const reservation = partial?.reservation || await tempStorage.tryReserve(contentLength, fileName);
+      if (!reservation) {
+        // Waiting may take minutes, so the response isn't kept open meanwhile
+        response.data.destroy();
+        await tempStorage.waitForSpace(contentLength, { signal: options.signal });
+        attempt--; // Waiting for space is not a failed attempt
+        continue;
+      }
       
-      logger.info('File downloaded successfully', {
-        fileName,
-        fileSize,
-        filePath: path.basename(filePath)
-      });
+      // Generate unique file path (a restart overwrites the partial file)
+      const filePath = partial?.filePath || await generateUniqueFilePath(fileName);
+      reservation.track(filePath);
 
-      return {
-        success: true,
+      partial = {
         filePath,
         fileName,
-        fileSize,
-        contentType: response.headers['content-type'] || 'application/octet-stream'
+        contentType: response.headers['content-type'] || 'application/octet-stream',
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null,
+        modifiedTime: source.modifiedTime || null,
+        getRequestHeaders: source.getHeaders || null,
+        validator: getRangeValidator(response.headers),
+        reservation,
+        expectedSize: contentLength || null,
+        expectedChecksums: getExpectedChecksums(response.headers, options)
       };
 
+      // Large files are fetched over several connections when the server supports ranges
+      if (!parallelDisabled && canDownloadInParallel(response.headers, contentLength, partial)) {
+        response.data.destroy();
+        const rangeUrl = response.request?.res?.responseUrl || url;
+        const fileSize = await downloadInParallel(rangeUrl, partial, contentLength, options);
+        return await completeDownload(partial, fileSize);
+      }
+      
+      // Download the file, hashing it on the way to disk
+      const hashes = createHashes(partial);
+      const fileSize = await streamToFile(response.data, filePath, {
+        signal: options.signal,
+        totalBytes: contentLength,
+        hashes,
+        onProgress: createProgressReporter(options, fileName)
+      });
+
+      return await completeDownload(partial, fileSize, hashes);
+
     } catch (error) {
+      // A cancelled download must not be retried
+      if (options.signal?.aborted || isCancelledError(error)) {
+        await discardPartialFile(partial);
+        throw createCancelledError();
+      }
+
+      // Retrying can't create disk space; waitForSpace already waited
+      if (isSpaceError(error)) {
+        await discardPartialFile(partial);
+        throw error;
+      }
+
+      // The saved bytes no longer match the file; start over
+      if ((error.response?.status === 416 || error.code === 'INTEGRITY_MISMATCH') && partial) {
+        partial.validator = null;
+      }
+
+      if (error.code === 'RANGE_UNSUPPORTED') {
+        parallelDisabled = true;
+      }
+
       lastError = error;
       logger.warn(`Download attempt ${attempt} failed`, {
         error: error.message,
@@ -134,25 +490,404 @@ async function attemptDownload(url, fileId, options = {}) {
       // If it's not the last attempt, wait before retrying
       if (attempt < maxRetries) {
         const delayMs = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+        try {
+          await wait(delayMs, options.signal);
+        } catch (waitError) {
+          await discardPartialFile(partial);
+          throw waitError;
+        }
       }
     }
   }
 
+  await discardPartialFile(partial);
   throw lastError || new Error('Download failed after all retry attempts');
 }
 
 /**
- * Handle Google Drive virus scan warning page
+ * Whether a fresh response can be downloaded as parallel byte ranges
+ * @param {Object} headers - Response headers
+ * @param {number} contentLength - File size from content-length
+ * @param {Object} partial - Download target with its If-Range validator
+ * @returns {boolean} True if the file should be split into chunks
+ */
+function canDownloadInParallel(headers, contentLength, partial) {
+  return (
+    config.DOWNLOAD_CONNECTIONS > 1 &&
+    headers['accept-ranges'] === 'bytes' &&
+    !headers['content-encoding'] &&
+    Boolean(partial.validator) &&
+    contentLength > config.DOWNLOAD_CHUNK_SIZE_BYTES
+  );
+}
+
+/**
+ * Download a file as byte ranges over several connections
+ * The file is preallocated and every chunk is written at its own offset.
+ * A failed chunk is retried from the bytes it already wrote; if it keeps
+ * failing, the whole download fails and the partial file is removed.
+ * @param {string} url - Final download URL (after redirects)
+ * @param {Object} partial - Download target (filePath, fileName, validator)
+ * @param {number} totalBytes - File size
+ * @param {Object} options - Download options (signal, onProgress)
+ * @returns {Promise<number>} File size in bytes
+ */
+async function downloadInParallel(url, partial, totalBytes, options = {}) {
+  const chunkSize = config.DOWNLOAD_CHUNK_SIZE_BYTES;
+  const chunks = [];
+  for (let start = 0; start < totalBytes; start += chunkSize) {
+    chunks.push({ start, end: Math.min(start + chunkSize, totalBytes) - 1 });
+  }
+
+  const connections = Math.min(config.DOWNLOAD_CONNECTIONS, chunks.length);
+  logger.info('Downloading in parallel', {
+    fileName: partial.fileName,
+    totalBytes,
+    chunks: chunks.length,
+    connections
+  });
+
+  // One failing chunk stops the others
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  options.signal?.addEventListener('abort', onAbort, { once: true });
+
+  const tracker = new ProgressTracker(totalBytes);
+  const onProgress = createProgressReporter(options, partial.fileName);
+  const handle = await fs.promises.open(partial.filePath, 'w');
+  let completed = false;
+
+  try {
+    await handle.truncate(totalBytes);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < chunks.length) {
+        const chunk = chunks[next++];
+        await downloadChunk(url, handle, chunk, partial, controller.signal, (bytes) => {
+          const progress = tracker.update(bytes);
+          try {
+            onProgress?.(progress);
+          } catch (error) {
+            logger.debug('Progress listener failed', { error: error.message });
+          }
+        });
+      }
+    };
+
+    // Let every worker stop before the file is closed
+    const results = await Promise.allSettled(
+      Array.from({ length: connections }, () =>
+        worker().catch((error) => {
+          controller.abort();
+          throw error;
+        })
+      )
+    );
+
+    const failures = results.filter((result) => result.status === 'rejected').map((result) => result.reason);
+    if (failures.length > 0) {
+      if (options.signal?.aborted) {
+        throw createCancelledError();
+      }
+      // Siblings stopped by the abort report a cancellation; surface the real cause
+      throw failures.find((error) => !isCancelledError(error)) || failures[0];
+    }
+
+    completed = true;
+    return totalBytes;
+  } finally {
+    options.signal?.removeEventListener('abort', onAbort);
+    await handle.close().catch(() => {});
+    if (!completed) {
+      await fs.remove(partial.filePath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Download one byte range into its place in the file
+ * @param {string} url - Download URL
+ * @param {FileHandle} handle - Open handle of the preallocated file
+ * @param {Object} chunk - { start, end } inclusive byte range
+ * @param {Object} partial - Download target with validators
+ * @param {AbortSignal} signal - Stops the chunk
+ * @param {Function} onBytes - Called with the number of bytes written
+ */
+async function downloadChunk(url, handle, chunk, partial, signal, onBytes) {
+  const maxRetries = 3;
+  let position = chunk.start;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      throwIfCancelled(signal);
+
+      const response = await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        timeout: config.DOWNLOAD_TIMEOUT_MS,
+        maxRedirects: 5,
+        signal,
+        headers: {
+          ...config.REQUEST_HEADERS,
+          'Referer': 'https://drive.google.com/',
+          ...(await partial.getRequestHeaders?.()),
+          'Range': `bytes=${position}-${chunk.end}`,
+          'If-Range': partial.validator
+        }
+      });
+
+      const range = parseContentRange(response.headers['content-range']);
+      if (response.status !== 206 || !range || range.start !== position) {
+        response.data.destroy();
+        const error = new Error('Server did not honour the Range request');
+        error.code = 'RANGE_UNSUPPORTED';
+        throw error;
+      }
+
+      if (!isSameFileVersion(partial, response.headers)) {
+        response.data.destroy();
+        throw new Error('File changed on the server during the download');
+      }
+
+      for await (const data of response.data) {
+        if (position + data.length > chunk.end + 1) {
+          throw new Error('Server sent more data than the requested range');
+        }
+        await handle.write(data, 0, data.length, position);
+        position += data.length;
+        onBytes(data.length);
+      }
+
+      if (position <= chunk.end) {
+        throw new Error(`Chunk ended early at byte ${position} of ${chunk.end}`);
+      }
+      return;
+
+    } catch (error) {
+      if (signal.aborted || isCancelledError(error)) {
+        throw createCancelledError();
+      }
+      if (error.code === 'RANGE_UNSUPPORTED' || attempt >= maxRetries) {
+        throw error;
+      }
+
+      logger.debug('Chunk download failed, retrying', {
+        start: chunk.start,
+        position,
+        attempt,
+        error: error.message
+      });
+      await wait(Math.min(1000 * Math.pow(2, attempt - 1), 5000), signal);
+    }
+  }
+}
+
+/**
+ * Build the successful download result
+ * @param {Object} partial - Download target (filePath, fileName, contentType)
+ * @param {number} fileSize - Final file size in bytes
+ * @returns {Object} Download result
+ */
+async function completeDownload(partial, fileSize, hashes = null) {
+  const { checksums, verified } = await verifyDownload(partial, hashes);
+
+  logger.info('File downloaded successfully', {
+    fileName: partial.fileName,
+    fileSize,
+    filePath: path.basename(partial.filePath),
+    sha256: checksums.sha256,
+    verified
+  });
+
+  return {
+    success: true,
+    filePath: partial.filePath,
+    fileName: partial.fileName,
+    fileSize,
+    contentType: partial.contentType,
+    // Drive API downloads are versioned like getFileInfo() reports them
+    lastModified: partial.modifiedTime || partial.lastModified || null,
+    checksums,
+    verified
+  };
+}
+
+/**
+ * Check a finished download against its expected size and checksums
+ * Streamed downloads pass the hashes computed on the way to disk; resumed and
+ * parallel downloads are hashed from the file. A mismatch throws an
+ * INTEGRITY_MISMATCH error, which restarts the download from zero.
+ * @param {Object} partial - Download target with expectedSize and expectedChecksums
+ * @param {Object|null} hashes - Hash objects keyed by algorithm, or null
+ * @returns {Promise<Object>} { checksums: { sha256, md5? }, verified: { size, md5, sha256 } }
+ */
+async function verifyDownload(partial, hashes) {
+  const { size } = await fs.stat(partial.filePath);
+  if (partial.expectedSize && size !== partial.expectedSize) {
+    throw createIntegrityError(`received ${size} of ${partial.expectedSize} bytes`);
+  }
+
+  const checksums = hashes
+    ? Object.fromEntries(Object.entries(hashes).map(([algorithm, hash]) => [algorithm, hash.digest('hex')]))
+    : await computeFileChecksums(partial.filePath, Object.keys(createHashes(partial)));
+
+  const expected = partial.expectedChecksums;
+  for (const [algorithm, label] of [['md5', 'MD5'], ['sha256', 'SHA-256']]) {
+    if (expected[algorithm] && checksums[algorithm] !== expected[algorithm]) {
+      throw createIntegrityError(`${label} ${checksums[algorithm]} does not match ${expected[algorithm]}`);
+    }
+  }
+
+  return {
+    checksums,
+    verified: {
+      size: Boolean(partial.expectedSize),
+      md5: Boolean(expected.md5),
+      sha256: Boolean(expected.sha256)
+    }
+  };
+}
+
+/**
+ * Hash objects for a download: SHA-256 always, MD5 when there is one to compare with
+ * @param {Object} partial - Download target
+ * @returns {Object} Hash objects keyed by algorithm
+ */
+function createHashes(partial) {
+  const hashes = { sha256: createHash('sha256') };
+  if (partial.expectedChecksums.md5) {
+    hashes.md5 = createHash('md5');
+  }
+  return hashes;
+}
+
+/**
+ * Checksums the downloaded file must match
+ * Drive metadata passed in options wins; otherwise the MD5 of the
+ * x-goog-hash or Content-MD5 response header is used.
+ * @param {Object} headers - Response headers
+ * @param {Object} options - Download options (options.expectedChecksums: { md5, sha256 })
+ * @returns {Object} Expected hex digests ({ md5, sha256 }, either may be null)
+ */
+function getExpectedChecksums(headers, options) {
+  const googHash = (headers['x-goog-hash'] || '')
+    .split(',')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith('md5='));
+  const base64Md5 = googHash ? googHash.substring(4) : headers['content-md5'];
+
+  return {
+    md5: options.expectedChecksums?.md5 || (base64Md5 ? Buffer.from(base64Md5, 'base64').toString('hex') : null),
+    sha256: options.expectedChecksums?.sha256 || null
+  };
+}
+
+function createIntegrityError(detail) {
+  const error = new Error(`Integrity check failed: ${detail}`);
+  error.code = 'INTEGRITY_MISMATCH';
+  return error;
+}
+
+/**
+ * Wrap options.onProgress to tag events with the phase and file name
+ * @param {Object} options - Download options
+ * @param {string} fileName - File being downloaded
+ * @returns {Function|null} Progress listener for streamToFile
+ */
+function createProgressReporter(options, fileName) {
+  return options.onProgress
+    ? (progress) => options.onProgress({ phase: 'download', fileName, ...progress })
+    : null;
+}
+
+/**
+ * Validator for If-Range; weak ETags are not allowed there
+ * @param {Object} headers - Response headers
+ * @returns {string|null} Strong ETag or Last-Modified date, null if the response can't be resumed
+ */
+function getRangeValidator(headers) {
+  const etag = headers['etag'];
+  if (etag && !etag.startsWith('W/')) {
+    return etag;
+  }
+  return headers['last-modified'] || null;
+}
+
+/**
+ * Check that a 206 response belongs to the same file version as the saved bytes
+ * @param {Object} partial - Download target with the first response's validators
+ * @param {Object} headers - Headers of the range response
+ * @returns {boolean} True if no validator changed
+ */
+function isSameFileVersion(partial, headers) {
+  if (partial.etag && headers['etag'] && partial.etag !== headers['etag']) {
+    return false;
+  }
+  if (partial.lastModified && headers['last-modified'] && partial.lastModified !== headers['last-modified']) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse a Content-Range header
+ * @param {string} header - e.g. "bytes 1000-1999/5000"
+ * @returns {Object|null} { start, end, total } or null if malformed or the total is unknown
+ */
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    start: Number(match[1]),
+    end: Number(match[2]),
+    total: Number(match[3])
+  };
+}
+
+/**
+ * Number of bytes a retry can resume from
+ * @param {Object|null} partial - Download target from a previous attempt
+ * @returns {Promise<number>} Size of the partial file, or 0 to restart
+ */
+async function getResumeOffset(partial) {
+  if (!partial?.validator) {
+    return 0;
+  }
+
+  try {
+    const stats = await fs.stat(partial.filePath);
+    return stats.size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Remove the partial file of a download that will not be resumed
+ * @param {Object|null} partial - Download target
+ */
+async function discardPartialFile(partial) {
+  if (partial) {
+    await fs.remove(partial.filePath).catch(() => {});
+    partial.reservation?.release();
+  }
+}
+
+/**
+ * Confirmation URL of a Google Drive virus scan warning page
  * @param {Object} response - Axios response containing HTML
  * @param {string} fileId - File ID
- * @param {Object} options - Download options
- * @returns {Promise<Object>} Download result after confirmation
+ * @param {AbortSignal} signal - Cancels reading the page
+ * @returns {Promise<string>} URL that downloads the file without the warning
  */
-async function handleVirusScanPage(response, fileId, options) {
+async function getVirusScanConfirmUrl(response, fileId, signal) {
   try {
     // Convert stream to string to parse HTML
-    const htmlContent = await streamToString(response.data);
+    const htmlContent = await streamToString(response.data, signal);
     
     // Extract confirmation token
     const confirmToken = extractConfirmationToken(htmlContent);
@@ -161,13 +896,13 @@ async function handleVirusScanPage(response, fileId, options) {
       throw new Error('Could not extract confirmation token from virus scan page');
     }
 
-    logger.debug('Extracted confirmation token, retrying download');
-    
-    // Generate confirmation URL and retry download
-    const confirmUrl = generateConfirmationUrl(fileId, confirmToken);
-    return await attemptDownload(confirmUrl, fileId, { ...options, maxRetries: 1 });
+    logger.debug('Extracted confirmation token, continuing with the confirmation URL');
+    return generateConfirmationUrl(fileId, confirmToken);
 
   } catch (error) {
+    if (isCancelledError(error)) {
+      throw error;
+    }
     throw new Error(`Failed to handle virus scan page: ${error.message}`);
   }
 }
@@ -235,41 +970,93 @@ async function generateUniqueFilePath(fileName) {
 
 /**
  * Stream response data to a file
+ * Network errors keep the bytes written so far so the caller can resume;
+ * cancellation, size limit and disk errors remove the partial file.
  * @param {Stream} stream - Response data stream
  * @param {string} filePath - Destination file path
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} options.signal - Stops the stream and removes the partial file
+ * @param {number} options.totalBytes - Expected final size (0 when unknown)
+ * @param {number} options.startOffset - Bytes already in the file; the stream is appended
+ * @param {Object} options.hashes - Hash objects (keyed by algorithm) updated with every chunk
+ * @param {Function} options.onProgress - Called with a progress snapshot for every chunk
  * @returns {Promise<number>} File size in bytes
  */
-function streamToFile(stream, filePath) {
+function streamToFile(stream, filePath, options = {}) {
+  const { signal, onProgress } = options;
+  const startOffset = options.startOffset || 0;
+  const tracker = new ProgressTracker(options.totalBytes, startOffset);
+
   return new Promise((resolve, reject) => {
-    const writeStream = fs.createWriteStream(filePath);
-    let fileSize = 0;
+    const writeStream = fs.createWriteStream(filePath, { flags: startOffset > 0 ? 'a' : 'w' });
+    let fileSize = startOffset;
+    let settled = false;
+
+    const fail = (error, { keepPartial = false } = {}) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      stream.destroy();
+      writeStream.destroy();
+
+      if (keepPartial) {
+        // Resume from what actually reached the disk
+        writeStream.once('close', () => reject(error));
+      } else {
+        fs.unlink(filePath).catch(() => {}); // Clean up partial file
+        reject(error);
+      }
+    };
+
+    const onAbort = () => fail(createCancelledError());
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     stream.on('data', (chunk) => {
       fileSize += chunk.length;
+      for (const hash of Object.values(options.hashes || {})) {
+        hash.update(chunk);
+      }
       
       // Check file size limit during download
       if (fileSize > config.MAX_FILE_SIZE_BYTES) {
-        writeStream.destroy();
-        fs.unlink(filePath).catch(() => {}); // Clean up partial file
-        reject(new Error(`File size exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`));
+        fail(new Error(`File size exceeds the limit of ${config.MAX_FILE_SIZE_MB}MB`));
         return;
       }
-    });
 
-    stream.on('end', () => {
-      writeStream.end();
-      resolve(fileSize);
+      const progress = tracker.update(chunk.length);
+      try {
+        onProgress?.(progress);
+      } catch (error) {
+        logger.debug('Progress listener failed', { error: error.message });
+      }
     });
 
-    stream.on('error', (error) => {
-      writeStream.destroy();
-      fs.unlink(filePath).catch(() => {}); // Clean up partial file
-      reject(error);
-    });
+    stream.on('error', (error) => fail(error, { keepPartial: true }));
+    writeStream.on('error', (error) => fail(error));
+
+    // Resolve only once everything is flushed to disk
+    writeStream.on('finish', () => {
+      if (settled) return;
+
+      // The connection closed cleanly but early
+      if (options.totalBytes && fileSize < options.totalBytes) {
+        fail(new Error(`Connection closed after ${fileSize} of ${options.totalBytes} bytes`), { keepPartial: true });
+        return;
+      }
 
-    writeStream.on('error', (error) => {
-      fs.unlink(filePath).catch(() => {}); // Clean up partial file
-      reject(error);
+      if (options.totalBytes && fileSize > options.totalBytes) {
+        fail(createIntegrityError(`received ${fileSize} bytes, expected ${options.totalBytes}`));
+        return;
+      }
+
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      resolve(fileSize);
     });
 
     stream.pipe(writeStream);
@@ -279,30 +1066,156 @@ function streamToFile(stream, filePath) {
 /**
  * Convert a stream to string
  * @param {Stream} stream - Input stream
+ * @param {AbortSignal} signal - Optional abort signal
  * @returns {Promise<string>} Stream content as string
  */
-function streamToString(stream) {
+function streamToString(stream, signal) {
   return new Promise((resolve, reject) => {
     const chunks = [];
+
+    const onAbort = () => {
+      stream.destroy();
+      reject(createCancelledError());
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
     
     stream.on('data', (chunk) => {
       chunks.push(chunk);
     });
     
     stream.on('end', () => {
+      signal?.removeEventListener('abort', onAbort);
       resolve(Buffer.concat(chunks).toString('utf-8'));
     });
     
-    stream.on('error', reject);
+    stream.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(signal?.aborted ? createCancelledError() : error);
+    });
+  });
+}
+
+/**
+ * Create the error used when a download is cancelled
+ * @returns {Error} Error with code CANCELLED
+ */
+function createCancelledError() {
+  const error = new Error('Download cancelled by user');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * Check whether an error was caused by cancelling a download
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the download was cancelled
+ */
+export function isCancelledError(error) {
+  return error?.code === 'CANCELLED' || axios.isCancel(error);
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Wait for the given time, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
 }
 
 /**
  * Get file information without downloading
+ * Tries the strategies in GOOGLE_DRIVE_STRATEGY order and returns the first success.
  * @param {string} fileId - Google Drive file ID
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.checkSharedDrive - Whether options.allowedDriveIds applies to the Drive API lookup
+ * @param {string[]|null} options.allowedDriveIds - Shared Drives the bot's credentials may be used for (null allows all)
  * @returns {Promise<Object>} File information
  */
-export async function getFileInfo(fileId) {
+export async function getFileInfo(fileId, options = {}) {
+  let result;
+  for (const strategy of config.GOOGLE_DRIVE_STRATEGY_ORDER) {
+    result = strategy === 'api' ? await getFileInfoFromApi(fileId, options) : await getFileInfoFromLink(fileId);
+    if (result.success) {
+      return result;
+    }
+  }
+  return result;
+}
+
+/**
+ * Get file information from the Drive API (files.get)
+ * @param {string} fileId - Google Drive file ID
+ * @param {Object} options - Lookup options ({ allowedDriveIds, checkSharedDrive })
+ * @returns {Promise<Object>} File information, including Drive's checksums
+ */
+async function getFileInfoFromApi(fileId, options) {
+  try {
+    const file = await driveApi.getFile(fileId);
+    if (options.checkSharedDrive) {
+      assertSharedDriveAllowed(file, options.allowedDriveIds);
+    }
+    const fileSize = Number(file.size || 0);
+
+    return {
+      success: true,
+      fileName: file.name,
+      fileSize,
+      contentType: file.mimeType || 'application/octet-stream',
+      lastModified: file.modifiedTime || null,
+      md5Checksum: file.md5Checksum || null,
+      sha256Checksum: file.sha256Checksum || null,
+      isOverSizeLimit: fileSize > config.MAX_FILE_SIZE_BYTES
+    };
+
+  } catch (error) {
+    logger.debug('Failed to get file info from the Drive API', { fileId, error: error.message });
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get file information with a HEAD request against the public download link
+ * @param {string} fileId - Google Drive file ID
+ * @returns {Promise<Object>} File information
+ */
+async function getFileInfoFromLink(fileId) {
   try {
     const url = generateDownloadUrl(fileId);
     
@@ -318,11 +1231,17 @@ export async function getFileInfo(fileId) {
     const fileName = extractFileName(response.headers) || `file_${fileId}`;
     const contentType = response.headers['content-type'] || 'application/octet-stream';
 
+    // Virus scan and sign-in pages describe themselves, not the file
+    if (contentType.includes('text/html')) {
+      throw new Error('No file metadata available from the download link');
+    }
+
     return {
       success: true,
       fileName,
       fileSize: contentLength,
       contentType,
+      lastModified: response.headers['last-modified'] || null,
       isOverSizeLimit: contentLength > config.MAX_FILE_SIZE_BYTES
     };
 
@@ -337,49 +1256,300 @@ export async function getFileInfo(fileId) {
 }
 
 /**
- * Clean up temporary files older than specified age
- * @param {number} maxAgeHours - Maximum age in hours (default: 1 hour)
+ * List the files and subfolders of a Google Drive folder
+ * Uses the Drive API when GOOGLE_DRIVE_STRATEGY includes it (needed for
+ * Shared Drives), and the public folder view otherwise or as a fallback.
+ * @param {string} folderId - Google Drive folder ID
+ * @param {Object} options - Listing options
+ * @param {string[]|null} options.allowedDriveIds - Shared Drives the bot's credentials may be used for (null allows all)
+ * @returns {Promise<Object>} Folder listing ({ success, folderName, items } or { success: false, error })
  */
-export async function cleanupTempFiles(maxAgeHours = 1) {
+export async function listFolderContents(folderId, options = {}) {
+  const strategies = config.GOOGLE_DRIVE_STRATEGY_ORDER;
+  let apiError = null;
+
   try {
-    const tempDir = config.TEMP_DIR;
-    
-    if (!(await fs.pathExists(tempDir))) {
-      return;
+    let listing = null;
+
+    if (strategies.includes('api')) {
+      try {
+        listing = await listFolderFromApi(driveApi, folderId, { ...options, checkSharedDrive: true });
+      } catch (error) {
+        if (!strategies.includes('scrape')) {
+          throw error;
+        }
+        apiError = error;
+        logger.warn('Drive API folder listing failed, trying the public folder view', {
+          folderId: folderId.substring(0, 10) + '...',
+          error: error.message
+        });
+      }
     }
 
-    const files = await fs.readdir(tempDir);
-    const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
-    const now = Date.now();
-    let cleanedCount = 0;
+    listing ??= await listFolderFromLink(folderId);
 
-    for (const file of files) {
-      const filePath = path.join(tempDir, file);
-      const stats = await fs.stat(filePath);
-      
-      if (now - stats.mtime.getTime() > maxAge) {
-        await fs.remove(filePath);
-        cleanedCount++;
+    logger.debug('Listed Google Drive folder', {
+      folderId: folderId.substring(0, 10) + '...',
+      itemCount: listing.items.length
+    });
+
+    return {
+      success: true,
+      folderId,
+      ...listing
+    };
+
+  } catch (error) {
+    logger.error('Failed to list Google Drive folder', {
+      folderId: folderId.substring(0, 10) + '...',
+      error: error.message
+    });
+
+    return {
+      success: false,
+      error: (apiError || error).message
+    };
+  }
+}
+
+/**
+ * List a folder through a given Drive API client
+ * Used for the folders of /list and /get, which belong to a linked account
+ * or the service account.
+ * @param {DriveApiClient} client - Drive API client to list with
+ * @param {string} folderId - Google Drive folder ID
+ * @param {Object} options - Listing options
+ * @param {boolean} options.checkSharedDrive - Whether options.allowedDriveIds applies to the client
+ * @param {string[]|null} options.allowedDriveIds - Shared Drives the client may be used for (null allows all)
+ * @returns {Promise<Object>} Folder listing ({ success, folderName, items } or { success: false, error })
+ */
+export async function listDriveFolder(client, folderId, options = {}) {
+  try {
+    return {
+      success: true,
+      folderId,
+      ...(await listFolderFromApi(client, folderId, options))
+    };
+  } catch (error) {
+    logger.error('Failed to list Google Drive folder', {
+      folderId: folderId.substring(0, 10) + '...',
+      error: error.message
+    });
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List a folder through the Drive API (files.list)
+ * @param {DriveApiClient} client - Drive API client to list with
+ * @param {string} folderId - Google Drive folder ID or Shared Drive ID
+ * @param {Object} options - Listing options ({ allowedDriveIds, checkSharedDrive })
+ * @returns {Promise<Object>} { folderName, driveId, items }
+ */
+async function listFolderFromApi(client, folderId, options) {
+  const folder = await client.getFile(folderId, 'id,name,mimeType,driveId');
+
+  if (folder.mimeType !== FOLDER_MIME_TYPE) {
+    throw new Error('Folder not found or access denied');
+  }
+  if (options.checkSharedDrive) {
+    assertSharedDriveAllowed(folder, options.allowedDriveIds);
+  }
+
+  const files = await client.listFolder(folderId, folder.driveId || null);
+  // The root folder of a Shared Drive is named "Drive"
+  const folderName = folder.id === folder.driveId
+    ? (await client.getDrive(folder.driveId)).name
+    : folder.name;
+
+  return {
+    folderName,
+    driveId: folder.driveId || null,
+    items: files.map((file) => {
+      const isFolder = file.mimeType === FOLDER_MIME_TYPE;
+      return {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        isFolder,
+        size: file.size ? Number(file.size) : null,
+        modifiedTime: file.modifiedTime || null,
+        url: isFolder
+          ? `https://drive.google.com/drive/folders/${file.id}`
+          : `https://drive.google.com/file/d/${file.id}/view`
+      };
+    })
+  };
+}
+
+/**
+ * List a publicly shared folder by parsing its embedded folder view
+ * @param {string} folderId - Google Drive folder ID
+ * @returns {Promise<Object>} { folderName, items }
+ */
+async function listFolderFromLink(folderId) {
+  const response = await axios({
+    method: 'GET',
+    url: generateFolderViewUrl(folderId),
+    timeout: config.DOWNLOAD_TIMEOUT_MS,
+    maxRedirects: 5,
+    headers: config.REQUEST_HEADERS,
+    responseType: 'text'
+  });
+
+  const html = String(response.data);
+
+  // Private folders redirect to a sign-in page instead of the folder view
+  if (!html.includes('flip-entry') && !html.includes('flip-entries')) {
+    throw new Error('Folder not found or access denied');
+  }
+
+  const titleMatch = html.match(/<title>([^<]*)<\/title>/i);
+  const items = parseFolderEntries(html);
+
+  // Folders first, then files, each alphabetically
+  items.sort((a, b) => {
+    if (a.isFolder !== b.isFolder) {
+      return a.isFolder ? -1 : 1;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  return {
+    folderName: titleMatch ? decodeHtmlEntities(titleMatch[1].trim()) : 'Shared folder',
+    items
+  };
+}
+
+/**
+ * List the tabs (sheets) of a publicly shared Google Sheet
+ * @param {string} fileId - Google Sheets file ID
+ * @returns {Promise<Object>} Tab listing ({ success, title, tabs: [{ gid, name }] } or { success: false, error })
+ */
+export async function listSpreadsheetTabs(fileId) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: generateSheetHtmlViewUrl(fileId),
+      timeout: config.DOWNLOAD_TIMEOUT_MS,
+      maxRedirects: 5,
+      headers: config.REQUEST_HEADERS,
+      responseType: 'text'
+    });
+
+    const html = String(response.data);
+    const tabs = [];
+    const seenGids = new Set();
+
+    // The HTML view registers each tab as items.push({name: "...", ..., gid: "..."})
+    const scriptPattern = /name:\s*"((?:[^"\\]|\\.)*)"[^}]*?gid:\s*"(\d+)"/g;
+    // Older pages render tab buttons as <li id="sheet-button-GID">NAME</li>
+    const buttonPattern = /id="sheet-button-(\d+)"[^>]*>(?:\s*<a[^>]*>)?([^<]+)</g;
+
+    let match;
+    while ((match = scriptPattern.exec(html)) !== null) {
+      if (!seenGids.has(match[2])) {
+        seenGids.add(match[2]);
+        tabs.push({ gid: match[2], name: decodeJsString(match[1]) });
       }
     }
 
-    if (cleanedCount > 0) {
-      logger.info(`Cleaned up ${cleanedCount} temporary files`, {
-        tempDir,
-        maxAgeHours,
-        cleanedCount
-      });
+    while ((match = buttonPattern.exec(html)) !== null) {
+      if (!seenGids.has(match[1])) {
+        seenGids.add(match[1]);
+        tabs.push({ gid: match[1], name: decodeHtmlEntities(match[2].trim()) });
+      }
     }
 
+    if (tabs.length === 0) {
+      throw new Error('No sheet tabs found, the spreadsheet may not be shared publicly (access denied)');
+    }
+
+    const titleMatch = html.match(/<title>([^<]*)<\/title>/i);
+
+    return {
+      success: true,
+      title: titleMatch
+        ? decodeHtmlEntities(titleMatch[1].replace(/\s*-\s*Google (Sheets|Drive)\s*$/i, '').trim())
+        : 'Spreadsheet',
+      tabs
+    };
+
   } catch (error) {
-    logger.error('Error during temp file cleanup', {
-      error: error.message,
-      tempDir: config.TEMP_DIR
+    logger.error('Failed to list spreadsheet tabs', {
+      fileId: fileId.substring(0, 10) + '...',
+      error: error.message
     });
+
+    return {
+      success: false,
+      error: error.message
+    };
   }
 }
 
-// Schedule periodic cleanup of temp files
-setInterval(() => {
-  cleanupTempFiles(1); // Clean files older than 1 hour
-}, 30 * 60 * 1000); // Run every 30 minutes
\ No newline at end of file
+/**
+ * Decode escape sequences of a JavaScript string literal
+ * @param {string} text - Escaped string contents
+ * @returns {string} Decoded text
+ */
+function decodeJsString(text) {
+  return text
+    .replace(/\\x([0-9a-f]{2})/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/\\u([0-9a-f]{4})/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse entries from Google Drive's embedded folder view HTML
+ * @param {string} html - Embedded folder view HTML
+ * @returns {Array<Object>} Entries ({ id, name, mimeType, isFolder, url })
+ */
+function parseFolderEntries(html) {
+  const entries = [];
+  const blocks = html.split('class="flip-entry"').slice(1);
+
+  for (const block of blocks) {
+    const idMatch = block.match(/id="entry-([a-zA-Z0-9_-]+)"/);
+    const titleMatch = block.match(/class="flip-entry-title">([^<]*)</);
+    const hrefMatch = block.match(/href="([^"]+)"/);
+    const typeMatch = block.match(/\/type\/([^"?]+)/);
+
+    if (!idMatch) {
+      continue;
+    }
+
+    const url = hrefMatch ? decodeHtmlEntities(hrefMatch[1]) : '';
+    const mimeType = typeMatch ? decodeURIComponent(typeMatch[1]) : 'application/octet-stream';
+    const isFolder = mimeType === FOLDER_MIME_TYPE || url.includes('/folders/');
+
+    entries.push({
+      id: idMatch[1],
+      name: titleMatch ? decodeHtmlEntities(titleMatch[1].trim()) : idMatch[1],
+      mimeType: isFolder ? FOLDER_MIME_TYPE : mimeType,
+      isFolder,
+      url
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Decode the HTML entities Google uses in folder listings
+ * @param {string} text - HTML-encoded text
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
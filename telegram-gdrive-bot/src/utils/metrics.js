@@ -0,0 +1,246 @@
+/**
+ * Prometheus Metrics Utility
+ * Minimal metric registry rendering the Prometheus text exposition format
+ */
+
+/**
+ * Build a stable key for a label set
+ * @param {Object} labels - Label name/value pairs
+ * @returns {string} Serialised label key
+ */
+function labelKey(labels = {}) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((name) => [name, String(labels[name])])
+  );
+}
+
+/**
+ * Format a label set for the exposition format
+ * @param {Object} labels - Label name/value pairs
+ * @returns {string} Formatted labels, e.g. {status="ok"}
+ */
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const current = this.series.get(key) || { labels, value: 0 };
+    current.value += value;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge that can go up and down, optionally computed at scrape time
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Metric description
+   * @param {Function} collect - Optional () => number evaluated on render
+   */
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.series.set(labelKey(labels), { labels, value });
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const current = this.series.get(key) || { labels, value: 0 };
+    current.value += value;
+    this.series.set(key, current);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.set({}, this.collect());
+    }
+
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Histogram with cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(labels);
+    const current = this.series.get(key) || {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        current.counts[index]++;
+      }
+    });
+    current.sum += value;
+    current.count++;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`
+      );
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registry holding all metrics of the process
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.metrics.get(name) || this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect = null) {
+    return this.metrics.get(name) || this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return (
+      this.metrics.get(name) || this.register(new Histogram(name, help, buckets))
+    );
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// Download metrics (fed by utils/googleDrive.js)
+export const downloadsTotal = registry.counter(
+  'gdrive_downloads_total',
+  'Google Drive downloads by result'
+);
+
+export const downloadBytesTotal = registry.counter(
+  'gdrive_download_bytes_total',
+  'Bytes downloaded from Google Drive'
+);
+
+export const downloadDurationSeconds = registry.histogram(
+  'gdrive_download_duration_seconds',
+  'Duration of Google Drive downloads in seconds',
+  [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+);
+
+export const downloadFailuresTotal = registry.counter(
+  'gdrive_download_failures_total',
+  'Failed Google Drive downloads by error class'
+);
+
+// Request metrics (fed by the bot's link handler)
+export const fileRequestsTotal = registry.counter(
+  'bot_file_requests_total',
+  'Google Drive link requests handled by the bot, by result'
+);
+
+export const fileRequestFailuresTotal = registry.counter(
+  'bot_file_request_failures_total',
+  'Failed Google Drive link requests by error class'
+);
+
+export const fileCacheRequestsTotal = registry.counter(
+  'bot_file_cache_requests_total',
+  'Telegram file_id cache lookups by result (hit, miss, stale)'
+);
+
+export const queueDepth = registry.gauge(
+  'bot_download_queue_depth',
+  'Google Drive link requests currently waiting or in progress'
+);
+queueDepth.set({}, 0);
+
+export default registry;
@@ -0,0 +1,126 @@
+/**
+ * File Name Matching Utility
+ * Ranks file names against what a user typed: glob patterns (* and ?) must
+ * match the whole name, anything else is matched loosely so small typos,
+ * missing extensions and different word order still find the file.
+ */
+
+// Matches scoring below this are not offered at all
+const MIN_SCORE = 0.35;
+
+/**
+ * Rank items by how well their name matches a query
+ * @param {Array<Object>} items - Items with a name property
+ * @param {string} query - Name, part of a name or glob pattern
+ * @returns {Array<Object>} Matches ({ item, score } with score 0-1), best first
+ */
+export function matchFileNames(items, query) {
+  const score = isGlobPattern(query)
+    ? createGlobScorer(query)
+    : createFuzzyScorer(query);
+
+  return items
+    .map((item) => ({ item, score: score(item.name) }))
+    .filter((match) => match.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+}
+
+/**
+ * Check whether the best match is clearly the file the user meant
+ * That is the case for a single match, or an exact name match no other
+ * file matches as well.
+ * @param {Array<Object>} matches - Result of matchFileNames
+ * @returns {boolean} True if the first match can be used without asking
+ */
+export function isUnambiguous(matches) {
+  if (matches.length === 1) {
+    return true;
+  }
+  return matches.length > 1 && matches[0].score >= 0.95 && matches[1].score < 0.95;
+}
+
+export function isGlobPattern(query) {
+  return /[*?]/.test(query);
+}
+
+function createGlobScorer(pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${source}$`, 'i');
+
+  return (name) => (regex.test(name) ? 1 : 0);
+}
+
+function createFuzzyScorer(query) {
+  const normalizedQuery = normalize(query);
+  const queryTokens = normalizedQuery.split(' ').filter(Boolean);
+
+  return (name) => {
+    const normalizedName = normalize(name);
+    const baseName = normalize(name.replace(/\.[^.]+$/, ''));
+
+    if (!normalizedQuery) return 0;
+    if (normalizedName === normalizedQuery) return 1;
+    if (baseName === normalizedQuery) return 0.95;
+    if (normalizedName.startsWith(normalizedQuery)) return 0.85;
+    if (normalizedName.includes(normalizedQuery)) return 0.75;
+    if (queryTokens.every((token) => normalizedName.includes(token))) return 0.65;
+
+    // Typos: compare against the name without its extension
+    const similarity = 1 - levenshtein(baseName, normalizedQuery) /
+      Math.max(baseName.length, normalizedQuery.length);
+    if (similarity >= 0.6) {
+      return 0.6 * similarity;
+    }
+
+    return isSubsequence(normalizedQuery.replace(/ /g, ''), normalizedName) ? MIN_SCORE : 0;
+  };
+}
+
+/**
+ * Lowercase, drop accents and turn separators into single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+}
+
+function isSubsequence(needle, haystack) {
+  let position = 0;
+  for (const char of haystack) {
+    if (char === needle[position]) {
+      position++;
+    }
+  }
+  return needle.length > 0 && position === needle.length;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,150 @@
+import { Transform } from 'stream';
+import { formatFileSize } from './fileHandler.js';
+
+/**
+ * Transfer Progress Utility
+ * Tracks byte counts, speed and ETA for downloads and uploads
+ */
+
+// Speed samples closer together than this are merged to keep the average stable
+const SPEED_SAMPLE_INTERVAL_MS = 500;
+// Weight of the newest sample in the moving average
+const SPEED_SMOOTHING = 0.3;
+
+/**
+ * Tracks the progress of a single transfer
+ */
+export class ProgressTracker {
+  /**
+   * @param {number|null} totalBytes - Expected size, or null when unknown
+   * @param {number} initialBytes - Bytes already transferred (resumed transfers)
+   */
+  constructor(totalBytes = null, initialBytes = 0) {
+    this.totalBytes = totalBytes > 0 ? totalBytes : null;
+    this.initialBytes = initialBytes;
+    this.bytes = initialBytes;
+    this.startTime = Date.now();
+    this.lastSampleTime = this.startTime;
+    this.lastSampleBytes = initialBytes;
+    this.speedBps = 0;
+  }
+
+  /**
+   * Record transferred bytes
+   * @param {number} chunkBytes - Bytes transferred since the last call
+   * @returns {Object} Progress snapshot
+   */
+  update(chunkBytes) {
+    this.bytes += chunkBytes;
+
+    const now = Date.now();
+    const sampleMs = now - this.lastSampleTime;
+    if (sampleMs >= SPEED_SAMPLE_INTERVAL_MS) {
+      const sampleSpeed = ((this.bytes - this.lastSampleBytes) * 1000) / sampleMs;
+      this.speedBps = this.speedBps
+        ? this.speedBps * (1 - SPEED_SMOOTHING) + sampleSpeed * SPEED_SMOOTHING
+        : sampleSpeed;
+      this.lastSampleTime = now;
+      this.lastSampleBytes = this.bytes;
+    }
+
+    return this.snapshot();
+  }
+
+  /**
+   * Current progress without recording new bytes
+   * @returns {Object} Progress snapshot (bytes, totalBytes, percent, speedBps, etaSeconds, elapsedMs)
+   */
+  snapshot() {
+    const elapsedMs = Date.now() - this.startTime;
+    // Fall back to the overall average until the first sample is taken
+    const speedBps =
+      this.speedBps || (elapsedMs > 0 ? ((this.bytes - this.initialBytes) * 1000) / elapsedMs : 0);
+    const knownTotal = this.totalBytes && this.bytes <= this.totalBytes;
+
+    return {
+      bytes: this.bytes,
+      totalBytes: this.totalBytes,
+      percent: knownTotal ? Math.floor((this.bytes / this.totalBytes) * 100) : null,
+      speedBps: Math.round(speedBps),
+      etaSeconds:
+        knownTotal && speedBps > 0
+          ? Math.ceil((this.totalBytes - this.bytes) / speedBps)
+          : null,
+      elapsedMs
+    };
+  }
+}
+
+/**
+ * Pass-through stream reporting the bytes that flow through it
+ */
+export class ProgressStream extends Transform {
+  /**
+   * @param {number|null} totalBytes - Expected size, or null when unknown
+   * @param {Function} onProgress - Called with a progress snapshot for every chunk
+   */
+  constructor(totalBytes, onProgress) {
+    super();
+    this.tracker = new ProgressTracker(totalBytes);
+    this.onProgress = onProgress;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const progress = this.tracker.update(chunk.length);
+    try {
+      this.onProgress?.(progress);
+    } catch {
+      // A failing progress listener must never break the transfer
+    }
+    callback(null, chunk);
+  }
+}
+
+/**
+ * Render a text progress bar
+ * @param {number|null} percent - Completion percentage (0-100)
+ * @param {number} width - Number of bar segments
+ * @returns {string} Progress bar, e.g. ▓▓▓▓░░░░░░
+ */
+export function formatProgressBar(percent, width = 10) {
+  const filled = Math.round((Math.min(Math.max(percent || 0, 0), 100) / 100) * width);
+  return '▓'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, e.g. 1m 05s
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Format transfer details for display
+ * @param {Object} progress - Progress snapshot from ProgressTracker
+ * @returns {string[]} Lines describing size, speed and ETA
+ */
+export function formatProgressDetails(progress) {
+  const lines = [];
+
+  if (progress.percent !== null) {
+    lines.push(`${formatProgressBar(progress.percent)} ${progress.percent}%`);
+    lines.push(`💾 ${formatFileSize(progress.bytes)} / ${formatFileSize(progress.totalBytes)}`);
+  } else {
+    lines.push(`💾 ${formatFileSize(progress.bytes)} transferred`);
+  }
+
+  const speed = progress.speedBps > 0 ? `⚡ ${formatFileSize(progress.speedBps)}/s` : '⚡ measuring speed...';
+  lines.push(
+    progress.etaSeconds !== null ? `${speed} · ⏳ ETA ${formatDuration(progress.etaSeconds)}` : speed
+  );
+
+  return lines;
+}
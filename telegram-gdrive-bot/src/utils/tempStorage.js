@@ -0,0 +1,500 @@
+import fs from 'fs-extra';
+import path from 'path';
+import config from '../config/index.js';
+import logger from '../logger/index.js';
+
+/**
+ * Temp Storage Manager
+ * Keeps TEMP_DIR within its size budget and the disk above its free-space
+ * threshold. Jobs reserve space before writing; when there isn't enough,
+ * unreserved leftovers are evicted (least recently used first) and the job
+ * waits for running jobs to release space, or is refused.
+ */
+
+// Unreserved entries younger than this may still be in use and are never evicted
+const EVICTION_GRACE_MS = 10 * 60 * 1000;
+// How often waiting jobs re-check the disk when nothing is released
+const SPACE_POLL_INTERVAL_MS = 5000;
+const MAINTENANCE_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Space reserved for one job
+ * Tracked paths are released automatically once they are removed from disk.
+ */
+export class Reservation {
+  constructor(manager, id, bytes, label) {
+    this.manager = manager;
+    this.id = id;
+    this.bytes = bytes;
+    this.label = label;
+    this.entries = new Set();
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Attribute a file or directory below TEMP_DIR to this reservation
+   * @param {string} filePath - Path inside TEMP_DIR
+   * @returns {Reservation} This reservation
+   */
+  track(filePath) {
+    const entry = this.manager.getEntryName(filePath);
+    if (entry) {
+      this.entries.add(entry);
+    }
+    return this;
+  }
+
+  release() {
+    this.manager.release(this);
+  }
+}
+
+export class TempStorageManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.dir - Directory to manage
+   * @param {number} options.maxBytes - Size budget of the directory, 0 for none
+   * @param {number} options.minFreeBytes - Free disk space to keep
+   * @param {number} options.waitTimeoutMs - Longest time a job waits for space
+   * @param {number} options.maxAgeMs - Age after which unreserved files are removed
+   */
+  constructor({ dir, maxBytes, minFreeBytes, waitTimeoutMs, maxAgeMs }) {
+    this.dir = path.resolve(dir);
+    this.maxBytes = maxBytes;
+    this.minFreeBytes = minFreeBytes;
+    this.waitTimeoutMs = waitTimeoutMs;
+    this.maxAgeMs = maxAgeMs;
+    this.reservations = new Map();
+    this.sequence = 0;
+    this.waiters = new Set();
+    this.lock = Promise.resolve();
+    this.timer = null;
+  }
+
+  /**
+   * Top-level entry of TEMP_DIR that contains a path
+   * @param {string} filePath - Path inside TEMP_DIR
+   * @returns {string|null} Entry name, or null for paths outside TEMP_DIR
+   */
+  getEntryName(filePath) {
+    const relativePath = path.relative(this.dir, path.resolve(filePath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null;
+    }
+    return relativePath.split(path.sep)[0];
+  }
+
+  /**
+   * Run a function while no other reservation is being decided
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * List the top-level entries of TEMP_DIR with their size
+   * Hard links (local Bot API uploads) are only counted once.
+   * @returns {Promise<Array<Object>>} Entries ({ name, filePath, size, lastUsedMs })
+   */
+  async scan() {
+    const names = await fs.readdir(this.dir).catch(() => []);
+    const seen = new Set();
+    const entries = [];
+
+    for (const name of names) {
+      const filePath = path.join(this.dir, name);
+      const stats = await fs.lstat(filePath).catch(() => null);
+      if (!stats) continue;
+
+      entries.push({
+        name,
+        filePath,
+        size: stats.isDirectory()
+          ? await this.getDirectorySize(filePath, seen)
+          : countOnce(stats, seen),
+        lastUsedMs: Math.max(stats.atimeMs, stats.mtimeMs)
+      });
+    }
+
+    return entries;
+  }
+
+  async getDirectorySize(dirPath, seen) {
+    const names = await fs.readdir(dirPath).catch(() => []);
+    let size = 0;
+
+    for (const name of names) {
+      const filePath = path.join(dirPath, name);
+      const stats = await fs.lstat(filePath).catch(() => null);
+      if (!stats) continue;
+
+      size += stats.isDirectory()
+        ? await this.getDirectorySize(filePath, seen)
+        : countOnce(stats, seen);
+    }
+
+    return size;
+  }
+
+  /**
+   * Free space of the disk holding TEMP_DIR
+   * @returns {Promise<number>} Bytes available to the process
+   */
+  async getFreeDiskBytes() {
+    await fs.ensureDir(this.dir);
+    const stats = await fs.promises.statfs(this.dir);
+    return stats.bavail * stats.bsize;
+  }
+
+  /**
+   * Current usage, with reservations that no longer own any file released
+   * @returns {Promise<Object>} Usage snapshot
+   */
+  async getState() {
+    const entries = await this.scan();
+    const sizes = new Map(entries.map((entry) => [entry.name, entry.size]));
+
+    for (const reservation of this.reservations.values()) {
+      const tracked = Array.from(reservation.entries);
+      if (tracked.length > 0 && tracked.every((name) => !sizes.has(name))) {
+        this.release(reservation);
+      }
+    }
+
+    const owned = new Set();
+    let outstandingBytes = 0;
+    for (const reservation of this.reservations.values()) {
+      let written = 0;
+      for (const name of reservation.entries) {
+        owned.add(name);
+        written += sizes.get(name) || 0;
+      }
+      outstandingBytes += Math.max(reservation.bytes - written, 0);
+    }
+
+    const usedBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    return {
+      entries,
+      owned,
+      usedBytes,
+      outstandingBytes,
+      committedBytes: usedBytes + outstandingBytes,
+      freeDiskBytes: await this.getFreeDiskBytes()
+    };
+  }
+
+  /**
+   * Whether a reservation fits into the budget and free-space threshold
+   * @param {Object} state - Result of getState
+   * @param {number} bytes - Requested bytes
+   * @returns {boolean} True if the reservation fits
+   */
+  fits(state, bytes) {
+    const withinBudget = !this.maxBytes || state.committedBytes + bytes <= this.maxBytes;
+    const freeAfter = state.freeDiskBytes - state.outstandingBytes - bytes;
+    return withinBudget && freeAfter >= this.minFreeBytes;
+  }
+
+  /**
+   * Remove unreserved entries, least recently used first, until bytes fit
+   * @param {Object} state - Result of getState (updated in place)
+   * @param {number} bytes - Requested bytes
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async evict(state, bytes) {
+    const now = Date.now();
+    const candidates = state.entries
+      .filter((entry) => !state.owned.has(entry.name) && now - entry.lastUsedMs > EVICTION_GRACE_MS)
+      .sort((a, b) => a.lastUsedMs - b.lastUsedMs);
+
+    let evicted = 0;
+    for (const entry of candidates) {
+      if (this.fits(state, bytes)) break;
+
+      await fs.remove(entry.filePath);
+      state.usedBytes -= entry.size;
+      state.committedBytes -= entry.size;
+      state.freeDiskBytes += entry.size;
+      evicted++;
+
+      logger.info('Evicted temp file to free space', {
+        file: entry.name,
+        size: entry.size
+      });
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Reserve space if it is available now, evicting leftovers if needed
+   * @param {number} bytes - Expected size in bytes (0 if unknown)
+   * @param {string} label - Description for logs and the admin report
+   * @returns {Promise<Reservation|null>} Reservation, or null if there isn't enough space
+   */
+  tryReserve(bytes, label) {
+    return this.withLock(async () => {
+      const state = await this.getState();
+      if (!this.fits(state, bytes)) {
+        await this.evict(state, bytes);
+        if (!this.fits(state, bytes)) {
+          return null;
+        }
+      }
+
+      const reservation = new Reservation(this, `r${++this.sequence}`, bytes, label);
+      this.reservations.set(reservation.id, reservation);
+
+      logger.debug('Temp space reserved', {
+        reservation: reservation.id,
+        label,
+        bytes
+      });
+
+      return reservation;
+    });
+  }
+
+  /**
+   * Wait until a reservation of this size would fit
+   * Fails right away when waiting can't help: the request is larger than the
+   * whole budget, or no running job holds space that could be released.
+   * @param {number} bytes - Expected size in bytes
+   * @param {Object} options - { signal } to stop waiting
+   * @returns {Promise<void>} Resolves when the space is likely available
+   */
+  async waitForSpace(bytes, { signal } = {}) {
+    if (this.maxBytes && bytes > this.maxBytes) {
+      throw createSpaceError(
+        `Not enough temporary disk space: the download needs ${formatMB(bytes)}, the temp budget is ${formatMB(this.maxBytes)}`
+      );
+    }
+
+    const deadline = Date.now() + this.waitTimeoutMs;
+
+    for (;;) {
+      const state = await this.withLock(() => this.getState());
+      if (this.fits(state, bytes)) {
+        return;
+      }
+
+      // Leftovers are evicted by tryReserve; only running jobs can free more
+      if (this.reservations.size === 0) {
+        throw createSpaceError(
+          `Not enough temporary disk space for a ${formatMB(bytes)} download`
+        );
+      }
+
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        throw createSpaceError(
+          `Not enough temporary disk space: waited ${Math.round(this.waitTimeoutMs / 1000)}s for ${formatMB(bytes)} to become free`
+        );
+      }
+
+      logger.debug('Waiting for temp space', {
+        bytes,
+        reservations: this.reservations.size
+      });
+      await this.waitForRelease(Math.min(remainingMs, SPACE_POLL_INTERVAL_MS), signal);
+    }
+  }
+
+  /**
+   * Reserve space, waiting for it if necessary
+   * @param {number} bytes - Expected size in bytes
+   * @param {Object} options - { label, signal }
+   * @returns {Promise<Reservation>} Reservation
+   */
+  async reserve(bytes, { label, signal } = {}) {
+    for (;;) {
+      const reservation = await this.tryReserve(bytes, label);
+      if (reservation) {
+        return reservation;
+      }
+      await this.waitForSpace(bytes, { signal });
+    }
+  }
+
+  waitForRelease(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.waiters.delete(done);
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        done();
+        reject(signal.reason || new Error('Download cancelled by user'));
+      };
+      const timer = setTimeout(done, ms);
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.add(done);
+    });
+  }
+
+  /**
+   * Release a reservation and wake up waiting jobs
+   * @param {Reservation} reservation - Reservation to release
+   */
+  release(reservation) {
+    if (!this.reservations.delete(reservation.id)) {
+      return;
+    }
+
+    logger.debug('Temp space released', {
+      reservation: reservation.id,
+      label: reservation.label
+    });
+
+    for (const wake of Array.from(this.waiters)) {
+      wake();
+    }
+  }
+
+  /**
+   * Remove every unreserved entry of TEMP_DIR
+   * On startup nothing is reserved, so this clears files left behind by a
+   * crash or restart (interrupted downloads restart from scratch).
+   * @returns {Promise<number>} Number of removed entries
+   */
+  cleanupOrphans() {
+    return this.removeUnreserved(() => true, 'orphaned');
+  }
+
+  /**
+   * Remove unreserved entries older than maxAgeMs
+   * @returns {Promise<number>} Number of removed entries
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    return this.removeUnreserved((entry) => now - entry.lastUsedMs > this.maxAgeMs, 'expired');
+  }
+
+  removeUnreserved(predicate, reason) {
+    return this.withLock(async () => {
+      try {
+        const state = await this.getState();
+        const removable = state.entries.filter(
+          (entry) => !state.owned.has(entry.name) && predicate(entry)
+        );
+
+        for (const entry of removable) {
+          await fs.remove(entry.filePath);
+        }
+
+        if (removable.length > 0) {
+          logger.info(`Cleaned up ${removable.length} ${reason} temporary files`, {
+            tempDir: this.dir,
+            cleanedCount: removable.length,
+            freedBytes: removable.reduce((sum, entry) => sum + entry.size, 0)
+          });
+        }
+
+        return removable.length;
+      } catch (error) {
+        logger.error('Error during temp file cleanup', {
+          error: error.message,
+          tempDir: this.dir
+        });
+        return 0;
+      }
+    });
+  }
+
+  /**
+   * Usage report for admins
+   * @returns {Promise<Object>} Report ({ usedBytes, reservedBytes, maxBytes, freeDiskBytes, minFreeBytes, fileCount, orphanCount, reservations })
+   */
+  getReport() {
+    return this.withLock(async () => {
+      const state = await this.getState();
+      const unreserved = state.entries.filter((entry) => !state.owned.has(entry.name));
+
+      return {
+        usedBytes: state.usedBytes,
+        reservedBytes: state.outstandingBytes,
+        maxBytes: this.maxBytes,
+        freeDiskBytes: state.freeDiskBytes,
+        minFreeBytes: this.minFreeBytes,
+        fileCount: state.entries.length,
+        unreservedCount: unreserved.length,
+        unreservedBytes: unreserved.reduce((sum, entry) => sum + entry.size, 0),
+        reservations: Array.from(this.reservations.values()).map((reservation) => ({
+          id: reservation.id,
+          label: reservation.label,
+          bytes: reservation.bytes,
+          ageMs: Date.now() - reservation.createdAt
+        }))
+      };
+    });
+  }
+
+  /**
+   * Clean up orphans now and expired files periodically
+   */
+  async start() {
+    await this.cleanupOrphans();
+
+    this.timer = setInterval(() => this.cleanupExpired(), MAINTENANCE_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Size of a file, or 0 if another hard link to it was counted already
+ * @param {fs.Stats} stats - File stats
+ * @param {Set<string>} seen - Counted dev:ino pairs
+ * @returns {number} Bytes to count
+ */
+function countOnce(stats, seen) {
+  const key = `${stats.dev}:${stats.ino}`;
+  if (seen.has(key)) return 0;
+  seen.add(key);
+  return stats.size;
+}
+
+function formatMB(bytes) {
+  return `${Math.ceil(bytes / 1024 / 1024)}MB`;
+}
+
+function createSpaceError(message) {
+  const error = new Error(message);
+  error.code = 'TEMP_SPACE_EXHAUSTED';
+  return error;
+}
+
+/**
+ * Check whether an error means the temp directory has no room
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for space errors
+ */
+export function isSpaceError(error) {
+  return error?.code === 'TEMP_SPACE_EXHAUSTED';
+}
+
+const tempStorage = new TempStorageManager({
+  dir: config.TEMP_DIR,
+  maxBytes: config.TEMP_DIR_MAX_SIZE_BYTES,
+  minFreeBytes: config.TEMP_MIN_FREE_DISK_BYTES,
+  waitTimeoutMs: config.TEMP_SPACE_WAIT_TIMEOUT_MS,
+  maxAgeMs: config.TEMP_FILE_MAX_AGE_HOURS * 60 * 60 * 1000
+});
+
+export default tempStorage;
@@ -20,7 +20,24 @@ const GOOGLE_DRIVE_PATTERNS = {
   directDownload: /(?:https?:\/\/)?(?:www\.)?drive\.google\.com\/uc\?.*[&?]id=([a-zA-Z0-9_-]+)/,
   
   // https://drive.google.com/file/d/FILE_ID/edit
-  editFormat: /(?:https?:\/\/)?(?:www\.)?drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)\/edit/
+  editFormat: /(?:https?:\/\/)?(?:www\.)?drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)\/edit/,
+
+  // https://drive.google.com/drive/folders/FOLDER_ID (also /drive/u/0/folders/...)
+  folderView: /(?:https?:\/\/)?(?:www\.)?drive\.google\.com\/drive\/(?:u\/\d+\/)?(?:mobile\/)?folders\/([a-zA-Z0-9_-]+)/
+};
+
+/**
+ * Pattern names that identify folders rather than files
+ */
+const FOLDER_FORMATS = ['folderView'];
+
+/**
+ * Google Workspace MIME types mapped to their docs.google.com document type
+ */
+const GOOGLE_DOC_MIME_TYPES = {
+  'application/vnd.google-apps.document': 'document',
+  'application/vnd.google-apps.spreadsheet': 'spreadsheets',
+  'application/vnd.google-apps.presentation': 'presentation'
 };
 
 /**
@@ -58,6 +75,127 @@ export function parseGoogleDriveUrl(url) {
   return null;
 }
 
+/**
+ * Check if a given URL points to a Google Drive folder
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is a folder link
+ */
+export function isGoogleDriveFolderUrl(url) {
+  return FOLDER_FORMATS.includes(getUrlFormat(url));
+}
+
+/**
+ * Extract folder ID from a Google Drive folder URL
+ * @param {string} url - Google Drive folder URL
+ * @returns {string|null} Extracted folder ID or null if not a folder link
+ */
+export function parseGoogleDriveFolderUrl(url) {
+  if (!isGoogleDriveFolderUrl(url)) {
+    return null;
+  }
+
+  const match = url.match(GOOGLE_DRIVE_PATTERNS.folderView);
+  return match ? match[1] : null;
+}
+
+/**
+ * Generate the embedded folder view URL used to list a public folder
+ * @param {string} folderId - Google Drive folder ID
+ * @returns {string} Embedded folder view URL
+ */
+export function generateFolderViewUrl(folderId) {
+  if (!isValidFileId(folderId)) {
+    throw new Error('Invalid folder ID provided');
+  }
+
+  return `https://drive.google.com/embeddedfolderview?id=${folderId}`;
+}
+
+/**
+ * Get the native Google document type of a Docs/Sheets/Slides URL
+ * @param {string} url - Google Drive URL
+ * @returns {'document'|'spreadsheets'|'presentation'|null} Document type or null for regular files
+ */
+export function getGoogleDocType(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const match = url.match(/docs\.google\.com\/(document|spreadsheets|presentation)\/d\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the native Google document type for a Google Workspace MIME type
+ * @param {string} mimeType - MIME type (e.g. from a folder listing)
+ * @returns {'document'|'spreadsheets'|'presentation'|null} Document type or null for regular files
+ */
+export function getGoogleDocTypeFromMime(mimeType) {
+  return GOOGLE_DOC_MIME_TYPES[mimeType] || null;
+}
+
+/**
+ * Extract the sheet tab ID (gid) from a Google Sheets URL
+ * @param {string} url - Google Sheets URL
+ * @returns {string|null} Sheet gid or null if the URL doesn't name a tab
+ */
+export function parseSheetGid(url) {
+  if (getGoogleDocType(url) !== 'spreadsheets') {
+    return null;
+  }
+
+  const match = url.match(/[#?&]gid=(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Generate the HTML view URL of a Google Sheet (used to list its tabs)
+ * @param {string} fileId - Google Sheets file ID
+ * @returns {string} HTML view URL
+ */
+export function generateSheetHtmlViewUrl(fileId) {
+  if (!isValidFileId(fileId)) {
+    throw new Error('Invalid file ID provided');
+  }
+
+  return `https://docs.google.com/spreadsheets/d/${fileId}/htmlview`;
+}
+
+/**
+ * Generate the export URL for a native Google document
+ * @param {string} fileId - Google Drive file ID
+ * @param {'document'|'spreadsheets'|'presentation'} docType - Document type
+ * @param {string} format - Export format (pdf, docx, xlsx, ...)
+ * @param {Object} options - Export options
+ * @param {string} options.gid - Sheet tab to export (spreadsheets only)
+ * @returns {string} Export URL
+ */
+export function generateExportUrl(fileId, docType, format, options = {}) {
+  if (!isValidFileId(fileId)) {
+    throw new Error('Invalid file ID provided');
+  }
+
+  if (!/^[a-z0-9]+$/.test(format)) {
+    throw new Error(`Invalid export format: ${format}`);
+  }
+
+  switch (docType) {
+    case 'document':
+      return `https://docs.google.com/document/d/${fileId}/export?format=${format}`;
+
+    case 'spreadsheets': {
+      const gid = options.gid && /^\d+$/.test(options.gid) ? `&gid=${options.gid}` : '';
+      return `https://docs.google.com/spreadsheets/d/${fileId}/export?format=${format}${gid}`;
+    }
+
+    case 'presentation':
+      return `https://docs.google.com/presentation/d/${fileId}/export/${format}`;
+
+    default:
+      throw new Error(`Unsupported Google document type: ${docType}`);
+  }
+}
+
 /**
  * Extract multiple file IDs from text containing multiple Google Drive URLs
  * @param {string} text - Text that may contain multiple URLs
@@ -187,6 +325,17 @@ export function analyzeGoogleDriveUrl(url) {
     return null;
   }
 
+  if (FOLDER_FORMATS.includes(format)) {
+    return {
+      originalUrl: url,
+      folderId: fileId,
+      format: format,
+      isFolder: true,
+      folderViewUrl: generateFolderViewUrl(fileId),
+      isValidFileId: isValidFileId(fileId)
+    };
+  }
+
   return {
     originalUrl: url,
     fileId: fileId,
@@ -250,4 +399,4 @@ export function extractUrlsFromText(input) {
 }
 
 // Export all patterns for external use if needed
-export { GOOGLE_DRIVE_PATTERNS };
\ No newline at end of file
+export { GOOGLE_DRIVE_PATTERNS, FOLDER_FORMATS };
\ No newline at end of file
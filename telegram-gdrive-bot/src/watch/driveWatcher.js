@@ -0,0 +1,272 @@
+import logger from "../logger/index.js";
+
+/**
+ * Drive Watcher
+ * Keeps per-chat subscriptions to Google Drive files and folders and polls
+ * them on a schedule. Each watch remembers a version (modified time and size)
+ * of every file it covers; files that are new or whose version changed since
+ * the last check are handed to onChanges.
+ */
+
+// How often due watches are looked for; each watch is checked once per interval
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+// A watch is dropped after this many failed checks in a row
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+export class DriveWatcher {
+  /**
+   * @param {Collection} collection - Storage collection holding the watches ("chatId:targetId" -> watch)
+   * @param {Object} options - Watcher options
+   * @param {number} options.intervalMs - Time between two checks of a watch
+   * @param {number} options.maxPerChat - Watches a chat may have
+   * @param {Function} options.inspect - async (watch) => { name, items: [{ id, name, mimeType, version }] }
+   * @param {Function} options.onChanges - async (watch, changes) => void, changes are items with isNew set
+   * @param {Function} options.onFailed - async (watch, error) => void, called when a watch is dropped
+   */
+  constructor(collection, { intervalMs, maxPerChat, inspect, onChanges, onFailed }) {
+    this.collection = collection;
+    this.intervalMs = intervalMs;
+    this.maxPerChat = maxPerChat;
+    this.inspect = inspect;
+    this.onChanges = onChanges;
+    this.onFailed = onFailed;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  static key(chatId, targetId) {
+    return `${chatId}:${targetId}`;
+  }
+
+  /**
+   * Watches of a chat, oldest first
+   * @param {number} chatId - Telegram chat ID
+   * @returns {Array<Object>} Watches
+   */
+  listForChat(chatId) {
+    return Array.from(this.collection.values())
+      .filter((watch) => watch.chatId === chatId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Start watching a file or folder for a chat
+   * The target is inspected right away, so inaccessible targets are refused
+   * and files that already exist are not delivered as new.
+   * @param {Object} spec - Watch specification
+   * @param {number} spec.chatId - Chat changes are delivered to
+   * @param {number} spec.userId - User who created the watch
+   * @param {string} spec.targetId - Google Drive file or folder ID
+   * @param {string} spec.type - "file" or "folder"
+   * @returns {Promise<Object>} The new watch
+   * @throws {Error} With code "WATCH_EXISTS" or "WATCH_LIMIT"
+   */
+  async add({ chatId, userId, targetId, type }) {
+    const key = DriveWatcher.key(chatId, targetId);
+    if (this.collection.has(key)) {
+      throw createWatchError("This chat is already watching it", "WATCH_EXISTS");
+    }
+    if (this.listForChat(chatId).length >= this.maxPerChat) {
+      throw createWatchError(
+        `This chat already watches ${this.maxPerChat} files or folders, the most allowed`,
+        "WATCH_LIMIT"
+      );
+    }
+
+    const watch = { key, chatId, userId, targetId, type };
+    const snapshot = await this.inspect(watch);
+    const now = Date.now();
+
+    const created = {
+      ...watch,
+      name: snapshot.name,
+      versions: toVersions(snapshot.items),
+      createdAt: now,
+      lastCheckedAt: now,
+      lastChangeAt: null,
+      failures: 0,
+      lastError: null,
+    };
+    this.collection.set(key, created);
+
+    logger.info("Drive watch added", { chatId, userId, type });
+    return created;
+  }
+
+  /**
+   * Stop a watch
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} targetId - Google Drive file or folder ID
+   * @returns {Object|null} The removed watch, or null if there was none
+   */
+  remove(chatId, targetId) {
+    const key = DriveWatcher.key(chatId, targetId);
+    const watch = this.collection.get(key);
+    if (!watch) {
+      return null;
+    }
+
+    this.collection.delete(key);
+    logger.info("Drive watch removed", { chatId, type: watch.type });
+    return watch;
+  }
+
+  /**
+   * Stop every watch of a chat (e.g. after the bot was removed from it)
+   * @param {number} chatId - Telegram chat ID
+   * @returns {number} Number of watches removed
+   */
+  removeChat(chatId) {
+    const watches = this.listForChat(chatId);
+    for (const watch of watches) {
+      this.collection.delete(watch.key);
+    }
+    return watches.length;
+  }
+
+  /**
+   * Check every watch whose interval has passed, one after another
+   */
+  async checkDue() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+      const due = Array.from(this.collection.values())
+        .filter((watch) => now - watch.lastCheckedAt >= this.intervalMs)
+        .sort((a, b) => a.lastCheckedAt - b.lastCheckedAt);
+
+      for (const watch of due) {
+        await this.check(watch);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Compare a watch's target with the versions seen last time
+   * @param {Object} watch - Watch to check
+   */
+  async check(watch) {
+    let snapshot;
+    try {
+      snapshot = await this.inspect(watch);
+    } catch (error) {
+      await this.recordFailure(watch, error);
+      return;
+    }
+
+    // Removed with /unwatch while the target was being inspected
+    if (!this.collection.has(watch.key)) return;
+
+    const changes = findChanges(watch.versions, snapshot.items);
+    const now = Date.now();
+    const updated = {
+      ...watch,
+      name: snapshot.name,
+      versions: toVersions(snapshot.items),
+      lastCheckedAt: now,
+      lastChangeAt: changes.length > 0 ? now : watch.lastChangeAt,
+      failures: 0,
+      lastError: null,
+    };
+    this.collection.set(watch.key, updated);
+
+    if (changes.length === 0) return;
+
+    logger.info("Drive watch found changes", {
+      chatId: watch.chatId,
+      type: watch.type,
+      changes: changes.length,
+    });
+
+    try {
+      await this.onChanges(updated, changes);
+    } catch (error) {
+      logger.error("Failed to deliver Drive watch changes", {
+        chatId: watch.chatId,
+        error: error.message,
+      });
+    }
+  }
+
+  async recordFailure(watch, error) {
+    const failures = (watch.failures || 0) + 1;
+    logger.warn("Drive watch check failed", {
+      chatId: watch.chatId,
+      type: watch.type,
+      failures,
+      error: error.message,
+    });
+
+    if (!this.collection.has(watch.key)) return;
+
+    if (failures < MAX_CONSECUTIVE_FAILURES) {
+      this.collection.set(watch.key, {
+        ...watch,
+        lastCheckedAt: Date.now(),
+        failures,
+        lastError: error.message,
+      });
+      return;
+    }
+
+    this.collection.delete(watch.key);
+    try {
+      await this.onFailed(watch, error);
+    } catch (notifyError) {
+      logger.error("Failed to report a dropped Drive watch", {
+        chatId: watch.chatId,
+        error: notifyError.message,
+      });
+    }
+  }
+
+  /**
+   * Check due watches periodically
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.checkDue().catch((error) => {
+        logger.error("Drive watch scheduler failed", { error: error.message });
+      });
+    }, SCHEDULER_TICK_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Items that are new or whose version differs from the remembered one
+ * Items without a known version (e.g. folders listed without the Drive API)
+ * can only be reported as new.
+ * @param {Object} versions - Remembered versions (itemId -> version)
+ * @param {Array<Object>} items - Current items ({ id, name, mimeType, version })
+ * @returns {Array<Object>} Changed items with isNew set
+ */
+function findChanges(versions, items) {
+  return items
+    .filter((item) => {
+      if (!(item.id in versions)) return true;
+      const previous = versions[item.id];
+      return Boolean(item.version && previous && item.version !== previous);
+    })
+    .map((item) => ({ ...item, isNew: !(item.id in versions) }));
+}
+
+function toVersions(items) {
+  return Object.fromEntries(items.map((item) => [item.id, item.version || null]));
+}
+
+function createWatchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}